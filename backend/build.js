@@ -17,17 +17,54 @@ const { execSync } = require('child_process');
 // Configuration
 const config = {
   requiredDirs: ['logs'],
-  requiredFiles: ['.env', 'server.js', 'content_filter.js', 'text_analysis.js'],
+  requiredFiles: ['.env', 'server.js', 'config.js', 'content_filter.js', 'text_analysis.js'],
   buildDir: 'build',
   filesToCopy: [
+    'index.js',
     'server.js',
+    'config.js',
+    'features/text.js',
+    'features/image.js',
+    'features/recovery.js',
+    'features/history.js',
+    'features/debug.js',
     'content_filter.js',
+    'image_content_filter.js',
+    'python_bridge.js',
     'text_analysis.js',
+    'detector_registry.js',
+    'spans.js',
+    'key_store.js',
+    'envelope.js',
+    'masking.js',
+    'pseudonyms.js',
+    'synthetic.js',
+    'checksums.js',
+    'phone_numbers.js',
+    'person_names.js',
+    'text_normalization.js',
+    'profanity_matcher.js',
+    'severity.js',
+    'hate_speech_context.js',
+    'lexicons.js',
+    'language_detection.js',
+    'lexicons/hi.json',
+    'lexicons/mr.json',
+    'lexicons/ta.json',
+    'lexicons/te.json',
+    'lexicons/bn.json',
+    'lexicons/pa.json',
+    'secret_patterns.js',
+    'migrate_encryption_logs.js',
     'package.json',
     'package-lock.json',
     'Procfile',
     '.env',
     'render.yaml'
+  ],
+  // Extension copies of backend modules: [source, destination]
+  extensionFiles: [
+    ['secret_patterns.js', '../extension/secret-patterns.js']
   ]
 };
 
@@ -58,8 +95,8 @@ function validateEnvironment() {
   log(`Node.js version: ${nodeVersion}`, 'info');
   
   const versionNum = nodeVersion.slice(1).split('.').map(Number);
-  if (versionNum[0] < 14) {
-    log('Node.js version 14 or higher is required', 'error');
+  if (versionNum[0] < 16) {
+    log('Node.js version 16 or higher is required', 'error');
     process.exit(1);
   }
   
@@ -123,6 +160,28 @@ function copyFiles() {
   log('Files copied successfully', 'success');
 }
 
+// Contents of the extension's copy of a shared backend module
+function extensionFileContent(source) {
+  const header = `// Generated from backend/${source} by backend/build.js - do not edit.\n`;
+  return header + fs.readFileSync(path.join(__dirname, source), 'utf8');
+}
+
+// Write the extension's copies of shared backend modules, so both sides use one source
+function writeExtensionFiles() {
+  log('Writing extension copies of shared modules...', 'info');
+
+  config.extensionFiles.forEach(([source, destination]) => {
+    if (!fs.existsSync(path.dirname(destination))) {
+      log(`Warning: Extension directory not found for ${destination}`, 'warning');
+      return;
+    }
+    fs.writeFileSync(destination, extensionFileContent(source));
+    log(`Wrote: ${destination}`, 'info');
+  });
+
+  log('Extension files written', 'success');
+}
+
 function createBuildArtifacts() {
   log('Creating build artifacts...', 'info');
   
@@ -147,10 +206,17 @@ function build() {
   log('Starting build process...', 'info');
   
   try {
+    // "node build.js --extension" only refreshes the extension copies
+    if (process.argv.includes('--extension')) {
+      writeExtensionFiles();
+      return;
+    }
+
     validateEnvironment();
     installDependencies();
     cleanBuildDirectory();
     copyFiles();
+    writeExtensionFiles();
     createBuildArtifacts();
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -161,5 +227,12 @@ function build() {
   }
 }
 
-// Run the build
-build();
\ No newline at end of file
+// Run the build when started directly; tests require this file for extensionFileContent()
+if (require.main === module) {
+  build();
+}
+
+module.exports = {
+  config,
+  extensionFileContent
+};
@@ -0,0 +1,402 @@
+/**
+ * Checksum Algorithms for Socio.io
+ * Check digit algorithms shared by the PII validators (text_analysis.js) and the
+ * synthetic data generator (synthetic.js), which needs to produce valid check digits.
+ * Also the address encodings of cryptocurrency wallets (Base58Check, bech32, EIP-55).
+ */
+
+const crypto = require('crypto');
+
+// Verhoeff checksum tables (dihedral group D5 multiplication and permutation)
+const VERHOEFF_MULTIPLICATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_PERMUTATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const VERHOEFF_INVERSE = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+function verhoeffCheck(digits) {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[i % 8][parseInt(reversed[i])]];
+  }
+  return check === 0;
+}
+
+// Check digit that makes `digits` + check digit pass verhoeffCheck
+function verhoeffCheckDigit(digits) {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[(i + 1) % 8][parseInt(reversed[i])]];
+  }
+  return String(VERHOEFF_INVERSE[check]);
+}
+
+// Luhn (mod 10) check as used by payment cards
+function luhnCheck(digits) {
+  let checksum = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    let n = parseInt(reversed[i]);
+    if (i % 2 === 1) {
+      n *= 2;
+      if (n > 9) {
+        n -= 9;
+      }
+    }
+    checksum += n;
+  }
+  return checksum % 10 === 0;
+}
+
+// Check digit that makes `digits` + check digit pass luhnCheck
+function luhnCheckDigit(digits) {
+  for (let candidate = 0; candidate <= 9; candidate++) {
+    if (luhnCheck(digits + candidate)) {
+      return String(candidate);
+    }
+  }
+  return '0';
+}
+
+// ISO 7064 mod 97-10 remainder of an IBAN: the first four characters move to the end,
+// letters become 10-35, and the number is reduced piecewise to stay within safe integers
+function ibanRemainder(iban) {
+  const rearranged = (iban.slice(4) + iban.slice(0, 4)).toUpperCase();
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = parseInt(char, 36);
+    if (Number.isNaN(value)) {
+      return -1;
+    }
+    remainder = value > 9 ? (remainder * 100 + value) % 97 : (remainder * 10 + value) % 97;
+  }
+  return remainder;
+}
+
+// IBAN check (compact form, no spaces): the mod 97 remainder must be 1
+function ibanCheck(iban) {
+  return ibanRemainder(iban) === 1;
+}
+
+// Two check digits that make country + check digits + BBAN pass ibanCheck
+function ibanCheckDigits(country, bban) {
+  const remainder = ibanRemainder(`${country}00${bban}`);
+  return String(98 - remainder).padStart(2, '0');
+}
+
+// ABA routing number check: weights 3, 7, 1 repeated, sum divisible by 10
+function abaCheck(digits) {
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  const sum = weights.reduce((total, weight, i) => total + weight * parseInt(digits[i]), 0);
+  return sum % 10 === 0;
+}
+
+// Check digit that makes the first eight digits of a routing number pass abaCheck
+function abaCheckDigit(digits) {
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7];
+  const sum = weights.reduce((total, weight, i) => total + weight * parseInt(digits[i]), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// GSTIN check character: a Luhn mod 36 over the first 14 characters, with alternate
+// weights 1 and 2 and the product's base 36 digits summed
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function gstinCheckCharacter(value) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+// Spanish DNI/NIE control letter: the number modulo 23 indexes this table
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+function dniLetter(number) {
+  return DNI_LETTERS[parseInt(number, 10) % 23];
+}
+
+// French NIR (INSEE) key over the first 13 characters; Corsican departments 2A and 2B
+// count as 19 and 18
+function nirKey(value) {
+  const digits = value.slice(0, 13).replace(/^(.{5})2A/, '$119').replace(/^(.{5})2B/, '$118');
+  return String(97 - (parseInt(digits, 10) % 97)).padStart(2, '0');
+}
+
+// Dutch "11-test" (elfproef) for BSNs: weights 9 to 2 and -1 for the last digit
+function elevenTest(digits) {
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    sum += parseInt(digits[i]) * (9 - i);
+  }
+  sum -= parseInt(digits[8]);
+  return sum % 11 === 0;
+}
+
+// ISO 7064 MOD 11,10 check digit, used by the German tax ID and VAT number
+function mod11_10CheckDigit(digits) {
+  let product = 10;
+  for (const digit of digits) {
+    let sum = (parseInt(digit) + product) % 10;
+    if (sum === 0) {
+      sum = 10;
+    }
+    product = (sum * 2) % 11;
+  }
+  const check = 11 - product;
+  return String(check === 10 ? 0 : check);
+}
+
+// Italian codice fiscale check letter: characters in odd positions (1st, 3rd, ...) map
+// through a fixed table, even positions by value; the sum modulo 26 is the letter
+const CODICE_FISCALE_ODD = {
+  '0': 1, '1': 0, '2': 5, '3': 7, '4': 9, '5': 13, '6': 15, '7': 17, '8': 19, '9': 21,
+  'A': 1, 'B': 0, 'C': 5, 'D': 7, 'E': 9, 'F': 13, 'G': 15, 'H': 17, 'I': 19, 'J': 21,
+  'K': 2, 'L': 4, 'M': 18, 'N': 20, 'O': 11, 'P': 3, 'Q': 6, 'R': 8, 'S': 12, 'T': 14,
+  'U': 16, 'V': 10, 'W': 22, 'X': 25, 'Y': 24, 'Z': 23
+};
+
+function codiceFiscaleCheckCharacter(value) {
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const char = value[i];
+    if (i % 2 === 0) {
+      sum += CODICE_FISCALE_ODD[char];
+    } else {
+      sum += /\d/.test(char) ? parseInt(char) : char.charCodeAt(0) - 65;
+    }
+  }
+  return String.fromCharCode(65 + (sum % 26));
+}
+
+// Base58 (Bitcoin alphabet: no 0, O, I or l)
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    number = number * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number % 256n));
+    number /= 256n;
+  }
+  // Each leading "1" stands for a zero byte
+  const zeros = value.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+function base58Encode(buffer) {
+  let number = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+  const zeros = buffer.toString('hex').match(/^(?:00)*/)[0].length / 2;
+  return '1'.repeat(zeros) + encoded;
+}
+
+function doubleSha256(buffer) {
+  return crypto.createHash('sha256').update(crypto.createHash('sha256').update(buffer).digest()).digest();
+}
+
+// Base58Check: payload followed by the first four bytes of its double SHA-256.
+// Returns the payload (version byte first), or null if the checksum fails.
+function base58CheckDecode(value) {
+  const bytes = base58Decode(value);
+  if (!bytes || bytes.length < 5) {
+    return null;
+  }
+  const payload = bytes.subarray(0, bytes.length - 4);
+  return doubleSha256(payload).subarray(0, 4).equals(bytes.subarray(bytes.length - 4)) ? payload : null;
+}
+
+function base58CheckEncode(payload) {
+  return base58Encode(Buffer.concat([payload, doubleSha256(payload).subarray(0, 4)]));
+}
+
+// Bech32 (BIP 173) and bech32m (BIP 350) checksums over the human readable part and
+// the 5-bit data values
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        checksum ^= BECH32_GENERATOR[i];
+      }
+    }
+  }
+  return checksum >>> 0;
+}
+
+function bech32HrpExpand(hrp) {
+  const chars = Array.from(hrp, char => char.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+// Decode a bech32 or bech32m string. Returns { hrp, data, encoding } with the data
+// values (checksum removed), or null if the checksum fails.
+function bech32Decode(value) {
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+    return null;
+  }
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || lower.length - separator < 7) {
+    return null;
+  }
+
+  const hrp = lower.slice(0, separator);
+  const data = Array.from(lower.slice(separator + 1), char => BECH32_CHARSET.indexOf(char));
+  if (data.includes(-1)) {
+    return null;
+  }
+
+  const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...data]);
+  const encoding = Object.keys(BECH32_CONSTANTS).find(name => BECH32_CONSTANTS[name] === polymod);
+  return encoding ? { hrp, data: data.slice(0, -6), encoding } : null;
+}
+
+function bech32Encode(hrp, data, encoding = 'bech32') {
+  const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ BECH32_CONSTANTS[encoding];
+  const checksum = Array.from({ length: 6 }, (_, i) => (polymod >>> (5 * (5 - i))) & 31);
+  return hrp + '1' + [...data, ...checksum].map(value => BECH32_CHARSET[value]).join('');
+}
+
+// Keccak-256 (the pre-standard SHA-3 used by Ethereum; Node's sha3-256 pads differently)
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+// Rotation offset of lane x + 5y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+];
+const LANE_MASK = (1n << 64n) - 1n;
+
+function rotateLane(lane, offset) {
+  return offset === 0 ? lane : ((lane << BigInt(offset)) | (lane >> BigInt(64 - offset))) & LANE_MASK;
+}
+
+function keccakPermute(state) {
+  for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+    const c = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let i = 0; i < 25; i++) {
+      state[i] ^= c[(i + 4) % 5] ^ rotateLane(c[(i + 1) % 5], 1);
+    }
+
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLane(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        state[x + 5 * y] = b[x + 5 * y] ^ (~b[(x + 1) % 5 + 5 * y] & LANE_MASK & b[(x + 2) % 5 + 5 * y]);
+      }
+    }
+    state[0] ^= roundConstant;
+  }
+}
+
+function keccak256(input) {
+  const rate = 136;
+  const message = Buffer.from(input);
+  const padded = Buffer.alloc((Math.floor(message.length / rate) + 1) * rate);
+  message.copy(padded);
+  padded[message.length] |= 0x01;
+  padded[padded.length - 1] |= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+    }
+    keccakPermute(state);
+  }
+
+  const output = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) {
+    output.writeBigUInt64LE(state[i], i * 8);
+  }
+  return output;
+}
+
+// EIP-55 mixed-case checksum: a letter is upper case when the matching nibble of the
+// Keccak-256 hash of the lower-case address is 8 or more
+function eip55Checksum(address) {
+  const hex = address.replace(/^0x/i, '').toLowerCase();
+  const hash = keccak256(hex).toString('hex');
+  return '0x' + Array.from(hex, (char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+module.exports = {
+  verhoeffCheck,
+  verhoeffCheckDigit,
+  luhnCheck,
+  luhnCheckDigit,
+  ibanCheck,
+  ibanCheckDigits,
+  abaCheck,
+  abaCheckDigit,
+  gstinCheckCharacter,
+  dniLetter,
+  nirKey,
+  elevenTest,
+  mod11_10CheckDigit,
+  codiceFiscaleCheckCharacter,
+  base58CheckDecode,
+  base58CheckEncode,
+  bech32Decode,
+  bech32Encode,
+  keccak256,
+  eip55Checksum
+};
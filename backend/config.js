@@ -0,0 +1,63 @@
+/**
+ * Server Configuration for Socio.io backend
+ * Collects the settings read by the unified server (server.js) and its feature modules.
+ *
+ * Feature modules are switched on and off with environment variables:
+ *   FEATURES=text,image,recovery   - only these features (default: all, debug outside production)
+ *   DISABLED_FEATURES=image        - everything except these
+ *   LEGACY_ALIASES=false           - drop the old route names (/filter/text, /filter/image, /decrypt)
+ */
+
+require('dotenv').config();
+
+// Feature modules in registration order
+const FEATURE_NAMES = ["text", "image", "recovery", "history", "debug"];
+
+// Turn a comma separated list ("text, image") into an array of names
+function parseList(value) {
+  if (!value) {
+    return null;
+  }
+  return String(value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+}
+
+function defaultFeatures() {
+  // Debug endpoints expose internals, keep them out of production unless asked for
+  return FEATURE_NAMES.filter(name => name !== "debug" || process.env.NODE_ENV !== "production");
+}
+
+/**
+ * Build the server configuration from the environment.
+ *
+ * @param {object} overrides - Values that win over the environment, e.g. { features: { image: false } }
+ * @returns {object} Server configuration
+ */
+function loadConfig(overrides = {}) {
+  const enabled = parseList(process.env.FEATURES) || defaultFeatures();
+  const disabled = parseList(process.env.DISABLED_FEATURES) || [];
+
+  const features = {};
+  for (const name of FEATURE_NAMES) {
+    features[name] = enabled.includes(name) && !disabled.includes(name);
+  }
+
+  return {
+    port: process.env.PORT || 5000,
+    logFolder: process.env.LOG_FOLDER || 'logs',
+    uploadFolder: process.env.UPLOAD_FOLDER || 'uploads',
+    encryptionKeyFile: process.env.ENCRYPTION_KEY_FILE || 'encryption_key.key',
+    keyringFile: process.env.ENCRYPTION_KEYRING_FILE || 'encryption_keys.json',
+    legacyAliases: process.env.LEGACY_ALIASES !== 'false',
+    version: require('./package.json').version,
+    ...overrides,
+    features: { ...features, ...(overrides.features || {}) }
+  };
+}
+
+module.exports = {
+  FEATURE_NAMES,
+  loadConfig
+};
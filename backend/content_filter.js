@@ -4,12 +4,11 @@
  * It uses Python scripts for advanced content filtering with Google Cloud Vision and text analysis.
  */
 
-const crypto = require('crypto');
-const CryptoJS = require('crypto-js');
 const fetch = require('node-fetch');
 const { URL } = require('url');
 const winston = require('winston');
 const textAnalysis = require('./text_analysis');
+const { keyStore, parseCiphertext } = require('./key_store');
 const PythonBridge = require('./python_bridge');
 const path = require('path');
 const fs = require('fs');
@@ -39,8 +38,8 @@ class ContentFilter {
       total_requests: 0
     };
     
-    // Initialize encryption key
-    this.key = crypto.randomBytes(32).toString('base64');
+    // Use the shared keyring so encrypted content can be decrypted after a restart
+    this.keyStore = keyStore;
     
     // Define inappropriate content patterns
     this.inappropriatePatterns = [
@@ -124,7 +123,7 @@ class ContentFilter {
     
     if (inappropriate) {
       // Encrypt the original content
-      const encrypted = this.encryptContent(text);
+      const encrypted = await this.encryptContent(text);
       
       // Replace inappropriate content with asterisks
       let modifiedText = text;
@@ -248,7 +247,7 @@ class ContentFilter {
           reason: 'Potentially inappropriate image',
           original: imageUrl,
           modified: placeholderImage,
-          encrypted: this.encryptContent(imageUrl)
+          encrypted: await this.encryptContent(imageUrl)
         };
       }
     }
@@ -266,7 +265,7 @@ class ContentFilter {
         reason: 'Randomly filtered for demonstration',
         original: imageUrl,
         modified: placeholderImage,
-        encrypted: this.encryptContent(imageUrl)
+        encrypted: await this.encryptContent(imageUrl)
       };
     }
     
@@ -282,13 +281,12 @@ class ContentFilter {
    * Encrypt content for secure storage.
    * 
    * @param {string} content - Content to encrypt
-   * @returns {string} Encrypted content as a base64 string
+   * @returns {Promise<string>} Encrypted content in the key store's v2 format
    */
-  encryptContent(content) {
+  async encryptContent(content) {
     try {
-      // Encrypt the content using CryptoJS
-      const encrypted = CryptoJS.AES.encrypt(content, this.key).toString();
-      return encrypted;
+      await this.keyStore.load();
+      return this.keyStore.encrypt(content);
     } catch (error) {
       logger.error(`Error encrypting content: ${error.message}`);
       return '';
@@ -298,12 +296,14 @@ class ContentFilter {
   /**
    * Decrypt previously encrypted content.
    * 
-   * @param {string} encrypted - Encrypted content as a base64 string
+   * @param {string} encrypted - Encrypted content produced by encryptContent()
    * @returns {string} Decrypted content
    */
   async decryptContent(encrypted) {
-    // Try to use Python for decryption if available
-    if (this.pythonAvailable) {
+    // Content encrypted by the key store is decrypted locally; anything else may
+    // have come from the Python filter
+    const parsed = parseCiphertext(encrypted);
+    if (this.pythonAvailable && !parsed) {
       try {
         logger.info('Using Python for decryption');
         const result = await this.pythonBridge.decryptContent(encrypted);
@@ -319,10 +319,8 @@ class ContentFilter {
     logger.info('Using JavaScript implementation for decryption');
     
     try {
-      // Decrypt the content using CryptoJS
-      const bytes = CryptoJS.AES.decrypt(encrypted, this.key);
-      const decrypted = bytes.toString(CryptoJS.enc.Utf8);
-      return decrypted;
+      await this.keyStore.load();
+      return this.keyStore.decrypt(encrypted);
     } catch (error) {
       logger.error(`Error decrypting content: ${error.message}`);
       return '';
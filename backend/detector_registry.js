@@ -0,0 +1,265 @@
+/**
+ * Detector Registry Module for Socio.io
+ * This module lets every text detector (regex PII, lexicon, Vertex AI, Gemini, ...)
+ * implement one interface and be enabled, ordered and merged by configuration.
+ *
+ * A detector is a plain object:
+ *   {
+ *     name: 'regex_pii',                  // unique identifier used in configuration
+ *     categories: ['emails', 'pan', ...], // result categories the detector can report
+ *     supports: (context) => true,        // optional, skip the detector when false
+ *     detect: async (text, context) => {} // returns a partial detection result or null
+ *   }
+ *
+ * A partial result may carry `spans` (see spans.js). Results from detectors that only
+ * report matched strings get their spans by locating those strings in the text.
+ */
+
+const { spansFromResult, sortSpans, isSameSpan } = require('./spans');
+const { highestSeverity } = require('./severity');
+
+// Fields that every merged detection result carries
+const BOOLEAN_FIELDS = ["hate_speech", "profanity"];
+const LIST_FIELDS = ["flagged_words", "flagged_sentences"];
+
+// Detectors used when neither the caller nor the environment configures any
+const DEFAULT_DETECTORS = ["regex_pii", "lexicon", "vertex_ai", "gemini"];
+
+function createEmptyResults() {
+  return {
+    "hate_speech": false,
+    "profanity": false,
+    "flagged_words": [],
+    "flagged_sentences": [],
+    "sensitive_info": {},
+    "spans": [],
+    "language": "und",
+    "languages": [],
+    "severity": null,
+    "hate_speech_context": [],
+    "detectors": []
+  };
+}
+
+// Merge a partial detection result into the accumulated result.
+// Booleans are OR-ed, lists are unioned, sensitive categories are unioned per category
+// and the highest severity wins.
+function mergeResults(target, partial) {
+  if (!partial || typeof partial !== 'object') {
+    return target;
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (partial[field] === true) {
+      target[field] = true;
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    const items = Array.isArray(partial[field]) ? partial[field] : [];
+    for (const item of items) {
+      if (!target[field].includes(item)) {
+        target[field].push(item);
+      }
+    }
+  }
+
+  // The most severe profanity tier any detector reported
+  target.severity = highestSeverity([target.severity, partial.severity]);
+
+  // Language tags of sentences, and the language of the text from the first detector
+  // that identified one
+  if (target.language === "und" && partial.language && partial.language !== "und") {
+    target.language = partial.language;
+  }
+  for (const tag of Array.isArray(partial.languages) ? partial.languages : []) {
+    if (!target.languages.some(other => other.start === tag.start && other.end === tag.end)) {
+      target.languages.push(tag);
+    }
+  }
+
+  // Hate speech matches that are negated, quoted, reported or condemned (hate_speech_context.js)
+  for (const context of Array.isArray(partial.hate_speech_context) ? partial.hate_speech_context : []) {
+    if (!target.hate_speech_context.some(other => other.start === context.start && other.end === context.end)) {
+      target.hate_speech_context.push(context);
+    }
+  }
+
+  for (const [category, items] of Object.entries(partial.sensitive_info || {})) {
+    if (!Array.isArray(target.sensitive_info[category])) {
+      target.sensitive_info[category] = [];
+    }
+    // LLM detectors occasionally return a single string instead of an array
+    const list = Array.isArray(items) ? items : (items ? [items] : []);
+    for (const item of list) {
+      if (!target.sensitive_info[category].includes(item)) {
+        target.sensitive_info[category].push(item);
+      }
+    }
+  }
+
+  return target;
+}
+
+// Add spans to the accumulated result, skipping spans another detector already reported
+function mergeSpans(target, spans) {
+  for (const span of spans) {
+    if (!target.spans.some(existing => isSameSpan(existing, span))) {
+      target.spans.push(span);
+    }
+  }
+  return target;
+}
+
+// Turn a comma separated list ("regex_pii, lexicon") into an array of names
+function parseDetectorList(value) {
+  if (!value) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+}
+
+class DetectorRegistry {
+  /**
+   * Initialize an empty registry.
+   */
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  /**
+   * Register a detector. Registering a name twice replaces the earlier detector.
+   *
+   * @param {object} detector - Detector implementing { name, categories, detect }
+   * @returns {DetectorRegistry} The registry, for chaining
+   */
+  register(detector) {
+    if (!detector || typeof detector.name !== 'string' || !detector.name) {
+      throw new Error('Detector must have a name');
+    }
+    if (!Array.isArray(detector.categories)) {
+      throw new Error(`Detector ${detector.name} must declare its categories`);
+    }
+    if (typeof detector.detect !== 'function') {
+      throw new Error(`Detector ${detector.name} must implement detect()`);
+    }
+
+    this.detectors.set(detector.name, detector);
+    return this;
+  }
+
+  /**
+   * Remove a detector from the registry.
+   *
+   * @param {string} name - Name of the detector
+   * @returns {boolean} True if a detector was removed
+   */
+  unregister(name) {
+    return this.detectors.delete(name);
+  }
+
+  /**
+   * Look up a detector by name.
+   *
+   * @param {string} name - Name of the detector
+   * @returns {object|undefined} The detector
+   */
+  get(name) {
+    return this.detectors.get(name);
+  }
+
+  /**
+   * List the registered detectors with the categories they report.
+   *
+   * @returns {Array<object>} Detector names and categories in registration order
+   */
+  list() {
+    return [...this.detectors.values()].map(detector => ({
+      name: detector.name,
+      categories: [...detector.categories]
+    }));
+  }
+
+  /**
+   * Resolve which detectors run, and in which order.
+   * Order of precedence: explicit list, TEXT_DETECTORS environment variable, defaults.
+   * Names listed in `disabled` are dropped from whichever list applies.
+   *
+   * @param {object} config - { detectors: string[]|string, disabled: string[]|string }
+   * @returns {Array<object>} Ordered detectors
+   */
+  resolve(config = {}) {
+    const names = parseDetectorList(config.detectors) ||
+      parseDetectorList(process.env.TEXT_DETECTORS) ||
+      DEFAULT_DETECTORS;
+    const disabled = parseDetectorList(config.disabled) || [];
+
+    const resolved = [];
+    for (const name of names) {
+      if (disabled.includes(name)) {
+        continue;
+      }
+      const detector = this.detectors.get(name);
+      if (!detector) {
+        console.log(`Unknown detector "${name}" in configuration, skipping`);
+        continue;
+      }
+      resolved.push(detector);
+    }
+    return resolved;
+  }
+
+  /**
+   * Run the configured detectors in order and merge their findings.
+   * A detector that throws or returns null is recorded but does not stop the others.
+   *
+   * @param {string} text - Text to analyze
+   * @param {object} config - Detector selection, see resolve()
+   * @param {object} context - Passed to every detector's supports() and detect()
+   * @returns {object} Merged detection result
+   */
+  async run(text, config = {}, context = {}) {
+    const results = createEmptyResults();
+
+    for (const detector of this.resolve(config)) {
+      if (typeof detector.supports === 'function' && !detector.supports(context)) {
+        continue;
+      }
+
+      const record = { name: detector.name, status: 'ok' };
+      try {
+        const partial = await detector.detect(text, context);
+        if (partial) {
+          mergeResults(results, partial);
+          mergeSpans(results, Array.isArray(partial.spans) ?
+            partial.spans :
+            spansFromResult(text, partial, detector.name));
+        } else {
+          record.status = 'no_result';
+        }
+      } catch (e) {
+        console.log(`Detector ${detector.name} failed: ${e.message}`);
+        record.status = 'error';
+        record.error = e.message;
+      }
+      results.detectors.push(record);
+    }
+
+    results.spans = sortSpans(results.spans);
+    return results;
+  }
+}
+
+module.exports = {
+  DetectorRegistry,
+  DEFAULT_DETECTORS,
+  createEmptyResults,
+  mergeResults,
+  mergeSpans
+};
@@ -0,0 +1,145 @@
+/**
+ * Redaction Envelope Module for Socio.io
+ * A portable JSON record of one redaction: the processed text, every encrypted span
+ * with its offsets and category, the key ID and a MAC over all of it. Any backend that
+ * holds the key can restore the original text from the envelope alone, so clients can
+ * keep envelopes instead of pointing at log files on one server.
+ *
+ * {
+ *   "format": "socio.io/redaction-envelope",
+ *   "version": 1,
+ *   "key_id": "k20250101-a1b2c3",          // key the MAC was made with
+ *   "created": "2025-01-01T00:00:00.000Z",
+ *   "processed_text": "Call [ENCRYPTED PHONE_NUMBERS]",
+ *   "spans": [{ "type", "category", "start", "end", "position", "replacement", "encrypted", "hash" }],
+ *   "mac": "..."
+ * }
+ *
+ * `start`/`end` are offsets in the original text, `position` is where `replacement`
+ * starts in the processed text. Each `encrypted` value names its own key.
+ */
+
+const { keyStore } = require('./key_store');
+
+const ENVELOPE_FORMAT = 'socio.io/redaction-envelope';
+const ENVELOPE_VERSION = 1;
+
+// Span fields covered by the MAC, in a fixed order
+const SPAN_FIELDS = ['type', 'category', 'start', 'end', 'position', 'replacement', 'encrypted', 'hash'];
+
+// Serialize the authenticated part of an envelope independently of key order
+function serializeEnvelope(envelope) {
+  return JSON.stringify([
+    envelope.format,
+    envelope.version,
+    envelope.key_id,
+    envelope.created,
+    envelope.processed_text,
+    envelope.spans.map(span => SPAN_FIELDS.map(field => span[field] === undefined ? null : span[field]))
+  ]);
+}
+
+/**
+ * Check whether a value looks like a redaction envelope (without verifying it).
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True if the value claims the envelope format
+ */
+function isEnvelope(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Build and sign an envelope from processText output.
+ *
+ * @param {string} processedText - Text with encrypted spans replaced
+ * @param {Array<object>} encryptionLog - Encryption log entries from processText
+ * @param {object} options - { created } to set the creation time
+ * @returns {object} Signed envelope
+ */
+function createEnvelope(processedText, encryptionLog, options = {}) {
+  const envelope = {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    key_id: keyStore.activeKeyId,
+    created: options.created || new Date().toISOString(),
+    processed_text: processedText,
+    spans: encryptionLog.map(entry => {
+      const span = {};
+      for (const field of SPAN_FIELDS) {
+        span[field] = entry[field] === undefined ? null : entry[field];
+      }
+      return span;
+    })
+  };
+
+  envelope.mac = keyStore.sign(serializeEnvelope(envelope), envelope.key_id);
+  return envelope;
+}
+
+/**
+ * Check an envelope's structure and MAC.
+ *
+ * @param {object} envelope - Envelope to check
+ * @returns {object} { valid, error }
+ */
+function verifyEnvelope(envelope) {
+  if (!isEnvelope(envelope)) {
+    return { valid: false, error: 'Not a redaction envelope' };
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    return { valid: false, error: `Unsupported envelope version: ${envelope.version}` };
+  }
+  if (typeof envelope.processed_text !== 'string' || !Array.isArray(envelope.spans)) {
+    return { valid: false, error: 'Envelope is missing its processed text or spans' };
+  }
+  if (!keyStore.keys.has(envelope.key_id)) {
+    return { valid: false, error: `Unknown encryption key: ${envelope.key_id}` };
+  }
+  if (!keyStore.verifySignature(serializeEnvelope(envelope), envelope.mac, envelope.key_id)) {
+    return { valid: false, error: 'Envelope integrity check failed' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Restore the original text from an envelope.
+ * Throws if the envelope was modified or any span cannot be decrypted.
+ *
+ * @param {object} envelope - Signed envelope
+ * @returns {string} Original text
+ */
+function openEnvelope(envelope) {
+  const { valid, error } = verifyEnvelope(envelope);
+  if (!valid) {
+    throw new Error(error);
+  }
+
+  // Replace from the end so earlier positions stay valid
+  const spans = [...envelope.spans].sort((a, b) => b.position - a.position);
+  let text = envelope.processed_text;
+
+  for (const span of spans) {
+    if (!text.startsWith(span.replacement, span.position)) {
+      throw new Error(`Span at position ${span.position} does not match the processed text`);
+    }
+
+    const original = keyStore.decrypt(span.encrypted);
+    if (span.hash && !keyStore.verifyHash(original, span.hash)) {
+      throw new Error(`Span at position ${span.position} does not match its hash`);
+    }
+
+    text = text.slice(0, span.position) + original + text.slice(span.position + span.replacement.length);
+  }
+
+  return text;
+}
+
+module.exports = {
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSION,
+  isEnvelope,
+  createEnvelope,
+  verifyEnvelope,
+  openEnvelope
+};
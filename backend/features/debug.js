@@ -0,0 +1,66 @@
+/**
+ * Debug Feature
+ * Diagnostic endpoints; disabled in production unless listed in FEATURES.
+ *
+ * Routes:
+ *   GET  /debug/info                     - runtime and configuration details
+ *   POST /debug/test_detection {"text"}  - run detection without processing or logging
+ */
+
+const path = require('path');
+const glob = require('glob');
+const moment = require('moment');
+const textAnalysis = require('../text_analysis');
+const { keyStore } = require('../key_store');
+const { determineAction } = require('./text');
+
+function register(app, context) {
+  const { config } = context;
+
+  app.get('/debug/info', async (req, res) => {
+    try {
+      const fileCount = glob.sync(path.join(config.logFolder, "*.json")).length;
+
+      res.json({
+        node_version: process.version,
+        app_version: config.version,
+        timestamp: moment().toISOString(),
+        log_files: fileCount,
+        has_encryption_key: keyStore.activeKeyId !== null,
+        encryption_keys: keyStore.list(),
+        features: context.features,
+        detectors: textAnalysis.detectorRegistry.list().map(detector => detector.name)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.post('/debug/test_detection', async (req, res) => {
+    try {
+      const data = req.body;
+      if (!data || !data.text) {
+        return res.status(400).json({ error: 'No text provided' });
+      }
+      if (typeof data.text !== 'string') {
+        return res.status(400).json({ error: 'Text must be a string' });
+      }
+
+      const text = data.text;
+      const detectionResults = await textAnalysis.detectContent(text);
+
+      res.json({
+        text,
+        detection_results: detectionResults,
+        determined_action: determineAction(detectionResults)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  name: "debug",
+  register
+};
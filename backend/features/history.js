@@ -0,0 +1,78 @@
+/**
+ * History Feature
+ * Lists past text processing runs from the processing logs.
+ *
+ * Routes:
+ *   GET /history           - newest first: timestamp, action and detection summary of each run
+ *   GET /history/languages - per language: runs and sentences seen, and runs filtered
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+
+// Processing logs, newest first; unreadable files are logged and skipped
+async function loadLogs(config, logger) {
+  const logs = [];
+  const files = glob.sync(path.join(config.logFolder, "processing_log_*.json")).sort().reverse();
+
+  for (const filename of files) {
+    try {
+      logs.push(JSON.parse(await fs.readFile(filename, 'utf-8')));
+    } catch (err) {
+      logger.error(`Error loading log file ${filename}: ${err.message}`);
+    }
+  }
+  return logs;
+}
+
+// Sum the per-sentence language counts of the logs. Logs written before language
+// detection have no counts and are left out.
+function languageStats(logs) {
+  const stats = {};
+  for (const log of logs) {
+    const counts = (log.detection_summary && log.detection_summary.sentence_languages) || {};
+    for (const [language, sentences] of Object.entries(counts)) {
+      const entry = stats[language] || (stats[language] = { runs: 0, sentences: 0, filtered: 0 });
+      entry.runs += 1;
+      entry.sentences += sentences;
+      if (log.action && log.action !== "keep") {
+        entry.filtered += 1;
+      }
+    }
+  }
+  return stats;
+}
+
+function register(app, context) {
+  const { logger, config } = context;
+
+  app.get('/history', async (req, res) => {
+    try {
+      const logs = await loadLogs(config, logger);
+      res.json(logs.map(log => ({
+        timestamp: log.timestamp,
+        action: log.action,
+        detection_summary: log.detection_summary || log.detection_results
+      })));
+    } catch (err) {
+      logger.error(`Error getting history: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get('/history/languages', async (req, res) => {
+    try {
+      res.json(languageStats(await loadLogs(config, logger)));
+    } catch (err) {
+      logger.error(`Error getting language history: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  name: "history",
+  register,
+  languageStats
+};
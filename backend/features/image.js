@@ -0,0 +1,170 @@
+/**
+ * Image Analysis Feature
+ * Classifies images with Google Cloud Vision (image_content_filter.js) and decides
+ * whether the extension should allow, blur or block them.
+ *
+ * Routes:
+ *   POST /analyze_image  {"image_url", "url"}  - used by the browser extension
+ *   POST /filter/image   {"url"}               - legacy alias with the old response shape
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const textAnalysis = require('../text_analysis');
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400x300?text=Content+Filtered';
+
+let imageFilter = null;
+
+// Load the image filter lazily: it pulls in canvas and the Vision client, which are
+// not available in every deployment
+function init(context) {
+  try {
+    const ImageContentFilter = require('../image_content_filter');
+    imageFilter = new ImageContentFilter();
+    context.logger.info("Image content filter initialized successfully");
+  } catch (err) {
+    context.logger.error(`Error initializing image filter: ${err.message}`);
+    context.logger.warn("Image filtering will use fallback mock implementation");
+  }
+}
+
+// Run the image filter and reduce its output to the fields the routes need
+async function analyze(imageUrl, pageUrl, context) {
+  const { logger, config } = context;
+  let results;
+
+  try {
+    if (!imageFilter) {
+      throw new Error('Image content filter is not available');
+    }
+
+    const analysisResults = await imageFilter.analyzeImage({ imageUrl, showResults: false });
+
+    // Extract relevant information from the analysis results
+    results = {
+      overall_safety: analysisResults.overall_safety || "safe",
+      content_flags: analysisResults.content_flags || [],
+      confidence: 0.9,  // Default confidence
+      suggested_action: analysisResults.suggested_action || "allow"
+    };
+
+    logger.info(`Image analysis results: ${JSON.stringify(results)}`);
+  } catch (err) {
+    logger.error(`Error during image analysis: ${err.message}`);
+    // Fallback to mock results if analysis fails
+    results = {
+      overall_safety: "questionable",
+      content_flags: ["processing_error"],
+      confidence: 0.5
+    };
+  }
+
+  // Determine action based on results
+  let action = "allow";
+  if (results.overall_safety === "unsafe") {
+    action = "block";
+  } else if (results.overall_safety === "questionable" ||
+    results.overall_safety === "potentially_concerning") {
+    action = "blur";
+  }
+
+  logger.info(`Action determined for image: ${action}`);
+
+  const reasons = results.content_flags.map(flag => {
+    return flag.replace(/_/g, ' ')
+      .replace(/:/g, ': ')
+      .replace(/\b\w/g, c => c.toUpperCase()) + " detected";
+  });
+
+  // Save log
+  const timestamp = moment().format('YYYYMMDD_HHmmss_SSS');
+  const logFilename = path.join(config.logFolder, `image_log_${timestamp}.json`);
+  try {
+    await fs.mkdir(config.logFolder, { recursive: true });
+    await fs.writeFile(logFilename, JSON.stringify({
+      timestamp,
+      image_url: imageUrl,
+      page_url: pageUrl,
+      action,
+      reasons,
+      analysis: results
+    }, null, 2));
+  } catch (err) {
+    logger.error(`Error saving image log: ${err.message}`);
+  }
+
+  context.stats.total_requests += 1;
+  if (action !== "allow") {
+    context.stats.images_filtered += 1;
+  }
+
+  return { action, reasons, results };
+}
+
+function register(app, context) {
+  const { logger } = context;
+
+  app.post('/analyze_image', async (req, res) => {
+    try {
+      const data = req.body;
+      if (!data || !data.image_url) {
+        return res.status(400).json({ error: 'No image URL provided' });
+      }
+
+      const imageUrl = data.image_url;
+      const pageUrl = data.url || 'Unknown URL';
+
+      logger.info(`Analyzing image from ${pageUrl}: ${imageUrl}`);
+
+      const { action, reasons, results } = await analyze(imageUrl, pageUrl, context);
+
+      res.json({
+        image_url: imageUrl,
+        action,
+        reasons,
+        analysis: results
+      });
+    } catch (err) {
+      logger.error(`Error analyzing image: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  if (!context.config.legacyAliases) {
+    return;
+  }
+
+  // The legacy route calls the image URL "url"
+  app.post('/filter/image', async (req, res) => {
+    try {
+      const { url } = req.body || {};
+      if (!url) {
+        return res.status(400).json({ error: 'No image URL provided' });
+      }
+
+      logger.info(`Filtering image: ${url}`);
+
+      const { action, reasons } = await analyze(url, 'Unknown URL', context);
+      const filtered = action !== "allow";
+
+      res.json({
+        filtered,
+        reason: filtered ? (reasons.join(', ') || 'Potentially inappropriate image') : 'No inappropriate content detected',
+        original: url,
+        modified: filtered ? PLACEHOLDER_IMAGE : url,
+        ...(filtered ? { encrypted: textAnalysis.encryptData(url) } : {})
+      });
+    } catch (err) {
+      logger.error(`Error filtering image: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  name: "image",
+  init,
+  register
+};
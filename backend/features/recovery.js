@@ -0,0 +1,158 @@
+/**
+ * Recovery Feature
+ * Restores content that the text feature encrypted.
+ * Encryption data files hold only ciphertext, so recovery always decrypts.
+ *
+ * Routes:
+ *   GET  /encryption_files             - list the encryption data files that can be recovered
+ *   GET  /recover_content?filename=... - restore the original text of one file
+ *   POST /recover_content {"envelope"} - restore the original text of a redaction envelope
+ *   POST /recover_content {"text", "pseudonym_session"}
+ *                                      - replace a session's placeholders in a text
+ *   POST /decrypt {"encrypted"}        - legacy alias: decrypt a single encrypted value
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const moment = require('moment');
+const textAnalysis = require('../text_analysis');
+const { verifyEnvelope, openEnvelope } = require('../envelope');
+const { PseudonymSession } = require('../pseudonyms');
+const { keyStore } = require('../key_store');
+
+// encryption_data_* files are written by saveProcessingLog, encryption_log_* by the old app.js
+const ENCRYPTION_FILE_PATTERN = /^encryption_(?:data|log)_[\w-]+\.json$/;
+
+// Resolve a client supplied filename inside the log folder, refusing anything else
+function resolveEncryptionFile(filename, config) {
+  const basename = path.basename(String(filename));
+  if (!ENCRYPTION_FILE_PATTERN.test(basename)) {
+    return null;
+  }
+  return path.join(config.logFolder, basename);
+}
+
+function register(app, context) {
+  const { logger, config } = context;
+
+  app.get('/encryption_files', async (req, res) => {
+    try {
+      const files = [];
+      const filenames = glob.sync(path.join(config.logFolder, "encryption_*.json"))
+        .filter(filename => ENCRYPTION_FILE_PATTERN.test(path.basename(filename)));
+
+      for (const filename of filenames) {
+        try {
+          const stats = await fs.stat(filename);
+          files.push({
+            filename: path.basename(filename),
+            date: moment(stats.mtime).format('YYYY-MM-DD HH:mm:ss'),
+            content_type: 'text'
+          });
+        } catch (err) {
+          logger.error(`Error loading encryption file ${filename}: ${err.message}`);
+        }
+      }
+
+      res.json(files);
+    } catch (err) {
+      logger.error(`Error getting encryption files: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get('/recover_content', async (req, res) => {
+    try {
+      const filename = req.query.filename;
+      if (!filename) {
+        return res.status(400).json({ error: 'No filename provided' });
+      }
+
+      const filepath = resolveEncryptionFile(filename, config);
+      const encryptionData = filepath ? await textAnalysis.loadEncryptionLog(filepath) : null;
+      if (!encryptionData) {
+        return res.status(400).json({ error: 'Invalid encryption file or file not found' });
+      }
+
+      let recoveredText;
+      try {
+        recoveredText = textAnalysis.recoverFromEncryptionLog(encryptionData);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (recoveredText === null) {
+        return res.status(400).json({ error: 'Encryption file does not contain recoverable content' });
+      }
+
+      res.json({
+        recovered_text: recoveredText
+      });
+    } catch (err) {
+      logger.error(`Error recovering content: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Envelopes and pseudonym sessions are self-contained, so no log file on this server is needed
+  app.post('/recover_content', (req, res) => {
+    try {
+      const { envelope, text, pseudonym_session: pseudonymSession } = req.body || {};
+
+      // Pseudonymized text can be restored from its session mapping alone
+      if (!envelope && pseudonymSession && typeof text === 'string') {
+        return res.json({
+          recovered_text: PseudonymSession.fromJSON(pseudonymSession).restore(text)
+        });
+      }
+
+      if (!envelope) {
+        return res.status(400).json({ error: 'No envelope provided' });
+      }
+
+      const { valid, error } = verifyEnvelope(envelope);
+      if (!valid) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({
+        recovered_text: openEnvelope(envelope)
+      });
+    } catch (err) {
+      logger.error(`Error recovering envelope: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  if (!config.legacyAliases) {
+    return;
+  }
+
+  app.post('/decrypt', (req, res) => {
+    try {
+      const { encrypted } = req.body || {};
+      if (!encrypted) {
+        return res.status(400).json({ error: 'No encrypted content provided' });
+      }
+
+      logger.info('Decrypting content...');
+
+      let decrypted;
+      try {
+        decrypted = keyStore.decrypt(String(encrypted));
+      } catch (err) {
+        return res.status(400).json({ error: `Could not decrypt content: ${err.message}` });
+      }
+
+      res.json({ decrypted });
+    } catch (err) {
+      logger.error(`Error decrypting content: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  name: "recovery",
+  register
+};
@@ -0,0 +1,239 @@
+/**
+ * Text Analysis Feature
+ * Detects hate speech, profanity and sensitive information in text and redacts it.
+ *
+ * Routes:
+ *   POST /analyze_text  {"text", "url"}  - used by the browser extension; encrypted results
+ *                                         include a redaction envelope for recovery.
+ *                                         With "pseudonymize": true sensitive values become
+ *                                         EMAIL_1, PHONE_2, ...; pass the returned
+ *                                         "pseudonym_session" back to keep numbering stable
+ *                                         across a batch. With "synthesize": true sensitive
+ *                                         values are replaced with fake ones ("seed" makes
+ *                                         them reproducible). "region" (e.g. "US") is the
+ *                                         default region for phone numbers written without
+ *                                         a country code. "severity_profile" (family,
+ *                                         standard, adult) and "severity_actions"
+ *                                         ({"mild": "keep"}) choose what happens to
+ *                                         profanity of each severity tier; "action" is
+ *                                         "mask" when only words were softened or masked.
+ *                                         "hate_speech_context" lists hate speech matches
+ *                                         that are negated, quoted, reported or
+ *                                         condemned, with an explanation; they are
+ *                                         masked instead of removed
+ *   POST /filter/text   {"text"}         - legacy alias with the old response shape
+ */
+
+const textAnalysis = require('../text_analysis');
+const { DEFAULT_SEVERITY, resolveSeverityActions, strongestAction } = require('../severity');
+const { PseudonymSession } = require('../pseudonyms');
+const { NUMBERING_PLANS } = require('../phone_numbers');
+
+// Pick the action for a detection result. Hate speech is removed, unless all of it is
+// negated, quoted, reported or condemned: then its phrases are masked. Profanity is
+// handled by the action of its severity tiers (severity.js): "remove" removes the text,
+// "soften" and "mask" only change the words ("mask", or "encrypt" when sensitive
+// information is encrypted too) and "keep" ignores them.
+function determineAction(detectionResults, severityActions = resolveSeverityActions()) {
+  const sensitive = Object.values(detectionResults.sensitive_info || {}).some(items => items && items.length > 0);
+  const framedHateSpeech = textAnalysis.isFramedHateSpeech(detectionResults);
+  if (detectionResults.hate_speech && !framedHateSpeech) {
+    return "remove";
+  }
+  if (detectionResults.profanity) {
+    const tiers = (detectionResults.spans || [])
+      .filter(span => span.type === 'flagged_word')
+      .map(span => span.severity);
+    const tierAction = strongestAction(tiers.length > 0 ? tiers : [detectionResults.severity], severityActions);
+    if (tierAction === "remove") {
+      return "remove";
+    }
+    if (tierAction !== "keep") {
+      return sensitive ? "encrypt" : "mask";
+    }
+  }
+  if (framedHateSpeech) {
+    return sensitive ? "encrypt" : "mask";
+  }
+  if (sensitive) {
+    return "encrypt";
+  }
+  return "keep";
+}
+
+// Human readable explanations for a detection result
+function describeReasons(detectionResults) {
+  const reasons = [];
+  if (detectionResults.hate_speech) {
+    reasons.push(textAnalysis.isFramedHateSpeech(detectionResults) ?
+      "Hate speech detected in context (masked instead of removed)" :
+      "Hate speech detected");
+  }
+  if (detectionResults.profanity) {
+    reasons.push(`Profanity detected (${detectionResults.severity || DEFAULT_SEVERITY})`);
+  }
+  // Hate speech that was negated, quoted, reported or condemned, and only masked
+  for (const context of detectionResults.hate_speech_context || []) {
+    reasons.push(`Hate speech in context: ${context.explanation}`);
+  }
+
+  // Add details about sensitive information
+  for (const [category, items] of Object.entries(detectionResults.sensitive_info || {})) {
+    if (items && items.length > 0) {
+      reasons.push(`${category.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())} detected`);
+    }
+  }
+  return reasons;
+}
+
+// Run detection, processing and logging for one text.
+// `options.pseudonyms` is a PseudonymSession to pseudonymize sensitive values with;
+// `options.synthesize` replaces them with fake values seeded by `options.seed`;
+// `options.region` is the default region for phone numbers;
+// `options.severityActions` maps profanity severity tiers to actions.
+async function analyze(text, context, options = {}) {
+  const severityActions = options.severityActions || resolveSeverityActions();
+  const detectionResults = await textAnalysis.detectContent(text, null, null, null, {
+    phoneRegion: options.region
+  });
+  let action = determineAction(detectionResults, severityActions);
+  if (options.synthesize && action !== "keep") {
+    action = "synthesize";
+  }
+
+  context.logger.info(`Action determined for text: ${action}`);
+
+  const { processedText, encryptionLog, escalation, envelope } =
+    await textAnalysis.processText(text, detectionResults, action, {
+      ...(options.pseudonyms ? { masking: { default: 'pseudonym' }, pseudonyms: options.pseudonyms } : {}),
+      seed: options.seed,
+      severityActions
+    });
+
+  const logFilename = await textAnalysis.saveProcessingLog(
+    text, processedText, detectionResults, encryptionLog, action,
+    { logFolder: context.config.logFolder, envelope }
+  );
+
+  context.stats.total_requests += 1;
+  if (action !== "keep") {
+    context.stats.text_filtered += 1;
+  }
+
+  return {
+    detectionResults,
+    action,
+    processedText,
+    escalation,
+    envelope,
+    reasons: describeReasons(detectionResults),
+    logFilename
+  };
+}
+
+function register(app, context) {
+  const { logger } = context;
+
+  app.post('/analyze_text', async (req, res) => {
+    try {
+      const data = req.body;
+      if (!data || !data.text) {
+        return res.status(400).json({ error: 'No text provided' });
+      }
+      if (typeof data.text !== 'string') {
+        return res.status(400).json({ error: 'Text must be a string' });
+      }
+
+      const text = data.text;
+      const url = data.url || 'Unknown URL';
+
+      logger.info(`Analyzing text from ${url}: ${text.substring(0, 50)}...`);
+
+      let pseudonyms = null;
+      if (data.pseudonymize || data.pseudonym_session) {
+        try {
+          pseudonyms = data.pseudonym_session ?
+            PseudonymSession.fromJSON(data.pseudonym_session) :
+            new PseudonymSession();
+        } catch (err) {
+          return res.status(400).json({ error: err.message });
+        }
+      }
+
+      const region = data.region ? String(data.region).toUpperCase() : undefined;
+      if (region && !NUMBERING_PLANS[region]) {
+        return res.status(400).json({ error: `Unknown phone region: ${data.region}` });
+      }
+
+      let severityActions;
+      try {
+        severityActions = resolveSeverityActions(data.severity_profile, data.severity_actions);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const result = await analyze(text, context, {
+        pseudonyms,
+        region,
+        severityActions,
+        synthesize: Boolean(data.synthesize),
+        seed: data.seed
+      });
+
+      res.json({
+        original_text: text,
+        processed_text: result.processedText,
+        action: result.action,
+        severity: result.detectionResults.severity,
+        hate_speech_context: result.detectionResults.hate_speech_context || [],
+        reasons: result.reasons,
+        escalation: result.escalation,
+        envelope: result.envelope,
+        ...(pseudonyms ? { pseudonym_session: pseudonyms.toJSON() } : {}),
+        log_file: result.logFilename
+      });
+    } catch (err) {
+      logger.error(`Error analyzing text: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  if (!context.config.legacyAliases) {
+    return;
+  }
+
+  app.post('/filter/text', async (req, res) => {
+    try {
+      const { text } = req.body || {};
+      if (!text) {
+        return res.status(400).json({ error: 'No text provided' });
+      }
+      if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'Text must be a string' });
+      }
+
+      logger.info(`Filtering text: ${text.substring(0, 50)}...`);
+
+      const result = await analyze(text, context);
+      const filtered = result.action !== "keep";
+
+      res.json({
+        filtered,
+        reason: filtered ? result.reasons.join(', ') : 'No inappropriate content detected',
+        original: text,
+        modified: result.processedText,
+        ...(filtered ? { encrypted: textAnalysis.encryptData(text) } : {})
+      });
+    } catch (err) {
+      logger.error(`Error filtering text: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  name: "text",
+  register,
+  determineAction,
+  describeReasons
+};
@@ -0,0 +1,185 @@
+/**
+ * Hate Speech Context Module for Socio.io
+ * Looks at the words around a HATE_SPEECH_KEYWORDS match for framing that changes what
+ * the sentence says, so reporting and rebuttals are not removed as hate speech:
+ *   negation        - the hateful phrase itself is negated: "I don't hate all those
+ *                     people", "nobody should kill ..." (not "Not kidding, ...")
+ *   quotation       - the match is inside quotation marks introduced by a reporting
+ *                     verb: 'The banner read "..."'
+ *   reported speech - "the minister said ...", "he was accused of telling ..."
+ *   counter-speech  - "we condemn calls to ...", "there is no place for ..."
+ *
+ * A framed match is still hate speech; its span carries the context so the action can
+ * be lowered (features/text.js determineAction) and the explanation shown.
+ * Set HATE_SPEECH_CONTEXT=off to ignore framing.
+ */
+
+const CONTEXT_FRAMES = ['negation', 'quotation', 'reported_speech', 'counter_speech'];
+
+// Negation words. A negation only counts right before the match, with at most
+// auxiliaries and adverbs in between ("don't hate", "should never kill", "don't want to
+// kill", "no one should kill"), so it applies to the hateful phrase and not to another
+// part of the sentence.
+const NEGATION = /^(?:not|never|no|nobody|neither|nor|(?:do|does|did|wo|would|should|must|ca|could|is|are|was|were)n['’]?t|cannot)$/i;
+const NEGATED_VERB_GAP = /^(?:should|would|will|must|can|could|shall|may|might|do|does|did|to|ever|really|actually|even|want|wants|wanted|need|needs|one)$/i;
+
+// Where a negation stops applying: clause punctuation and "but"
+const CLAUSE_BREAK = /[,;:()]|\bbut\b/gi;
+
+// Reporting verbs and phrases before the match. They need a subject before them that
+// is not the writer ("the minister said", not "I said" or a bare "Read this:").
+const REPORTING = /\b(?:said|says|saying|told|tells|telling|wrote|writes|written|posted|tweeted|claimed|claims|shouted|chanted|chanting|declared|stated|announced|read|reads|quoted\s+as\s+saying|accused\s+of|allegedly|reportedly|calls?\s+for|called\s+for|calling\s+for)\b/gi;
+const REPORTING_SOURCE = /\baccording\s+to\s+[\p{L}\p{N}]/iu;
+const FIRST_PERSON = /\b(?:i|we)\s+(?:\w+\s+)?$/i;
+
+// Phrases that condemn what follows them ("we condemn ...") and, after the match, verdicts
+// on it ("... is unacceptable")
+const COUNTER_SPEECH = /\b(?:condemn(?:s|ed|ing)?|denounc(?:e|es|ed|ing)|reject(?:s|ed|ing)?|repudiat(?:e|es|ed|ing)|(?:is|was)\s+(?:unacceptable|wrong|shameful|disgraceful|abhorrent)|wrong\s+to|no\s+place\s+for|stand(?:s|ing)?\s+against|speak(?:s|ing)?\s+out\s+against|spoke\s+out\s+against)\b/i;
+const COUNTER_VERDICT = /^\W*(?:(?:is|are|was|were)\s+(?!not\b|never\b)(?:\w+\s+)?(?:unacceptable|wrong|shameful|disgraceful|abhorrent|hate\s+speech)|must\s+not\s+be\s+tolerated)\b/i;
+
+// A reporting clause after a quotation: '"...," the minister said', '"...", said the mayor'
+const REPORTED_AFTER = /^[\s,]*(?:(?!(?:i|we)\s)(?:[\p{L}\p{N}'’-]+\s+){1,3}(?:said|says|wrote|writes|posted|tweeted|claimed|claims|shouted|chanted|declared|stated|announced)|(?:said|says|wrote|writes|declared|stated|announced)\s+(?!(?:i|we)\b)\p{L})/iu;
+
+// Opening and closing quotation marks; straight double quotes open and close themselves
+const QUOTE_PAIRS = { '"': '"', '“': '”', '„': '“', '«': '»', '‘': '’', '「': '」' };
+
+/**
+ * Ranges of text inside quotation marks. A quotation that holds the whole text is not
+ * counted: there is nothing around it that reports it.
+ *
+ * @param {string} text - Original text
+ * @returns {Array<object>} { start, end } of each quotation, quotation marks included
+ */
+function findQuotations(text) {
+  const quotations = [];
+  let open = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (open && char === QUOTE_PAIRS[open.char]) {
+      // "’" between letters is an apostrophe ("don’t"), not a closing mark
+      if (char === '’' && /\p{L}/u.test(text[i + 1] || '')) {
+        continue;
+      }
+      quotations.push({ start: open.index, end: i + 1 });
+      open = null;
+    } else if (!open && QUOTE_PAIRS[char] !== undefined) {
+      open = { char, index: i };
+    }
+  }
+
+  return quotations.filter(range =>
+    /[\p{L}\p{N}]/u.test(text.slice(0, range.start) + text.slice(range.end)));
+}
+
+// The words of `before` after its last clause break
+function lastClause(before) {
+  let from = 0;
+  let breakMatch;
+  CLAUSE_BREAK.lastIndex = 0;
+  while ((breakMatch = CLAUSE_BREAK.exec(before)) !== null) {
+    from = breakMatch.index + breakMatch[0].length;
+  }
+  return before.slice(from);
+}
+
+// The negation word right before the match, skipping auxiliaries and adverbs
+function negationBefore(clause) {
+  const words = clause.split(/\s+/).map(word => word.replace(/[^\p{L}'’]/gu, '')).filter(Boolean);
+  while (words.length > 0 && NEGATED_VERB_GAP.test(words[words.length - 1])) {
+    words.pop();
+  }
+  const last = words[words.length - 1];
+  return last && NEGATION.test(last) ? last : null;
+}
+
+// The last reporting verb in `before` that has a subject other than the writer
+function reportingCue(before) {
+  let cue = null;
+  let reportMatch;
+  REPORTING.lastIndex = 0;
+  while ((reportMatch = REPORTING.exec(before)) !== null) {
+    const lead = before.slice(0, reportMatch.index);
+    if (/[\p{L}\p{N}]/u.test(lead) && !FIRST_PERSON.test(lead)) {
+      cue = reportMatch[0];
+    }
+  }
+  if (!cue && REPORTING_SOURCE.test(before)) {
+    cue = before.match(/according\s+to/i)[0];
+  }
+  return cue;
+}
+
+// A condemnation in `clause` that is not itself negated ("we don't condemn ...")
+function counterCue(clause) {
+  const counter = clause.match(COUNTER_SPEECH);
+  if (!counter || negationBefore(clause.slice(0, counter.index))) {
+    return null;
+  }
+  return counter[0];
+}
+
+/**
+ * Find framing around a hate speech match.
+ *
+ * @param {string} text - Original text
+ * @param {object} sentence - { start, end } of the sentence holding the match
+ * @param {number} start - Start of the match in text
+ * @param {number} end - End of the match in text
+ * @returns {object|null} { frames, cues, explanation }, or null when the match is not
+ *                        framed (or HATE_SPEECH_CONTEXT=off)
+ */
+function findHateSpeechContext(text, sentence, start, end) {
+  if ((process.env.HATE_SPEECH_CONTEXT || '').toLowerCase() === 'off') {
+    return null;
+  }
+
+  const matched = text.slice(start, end);
+  const before = text.slice(sentence.start, start);
+  const after = text.slice(end, sentence.end);
+  const clause = lastClause(before);
+  const found = [];
+
+  // Negation of the phrase itself ("I don't hate ...", "nobody should kill ...")
+  const negation = negationBefore(clause);
+  if (negation) {
+    found.push({ frame: 'negation', cue: negation, explanation: `negated by "${negation}"` });
+  }
+
+  // A quotation counts when someone else is reported saying it, before or after it
+  const quotation = findQuotations(text).find(range =>
+    range.start >= sentence.start && range.start <= start && range.end >= end);
+  if (quotation) {
+    const reporter = reportingCue(text.slice(sentence.start, quotation.start)) ||
+      (REPORTED_AFTER.test(text.slice(quotation.end, sentence.end)) ? 'reported' : null);
+    if (reporter) {
+      found.push({ frame: 'quotation', cue: text[quotation.start], explanation: 'inside quotation marks' });
+    }
+  }
+
+  const reporting = reportingCue(before);
+  if (reporting) {
+    found.push({ frame: 'reported_speech', cue: reporting, explanation: `reported speech ("${reporting}")` });
+  }
+
+  const counter = counterCue(clause);
+  const verdict = counter ? null : after.match(COUNTER_VERDICT);
+  if (counter || verdict) {
+    const cue = counter || verdict[0].replace(/^\W+/, '');
+    found.push({ frame: 'counter_speech', cue, explanation: `counter-speech ("${cue}")` });
+  }
+
+  if (found.length === 0) {
+    return null;
+  }
+  return {
+    frames: found.map(item => item.frame),
+    cues: found.map(item => item.cue),
+    explanation: `"${matched}" is ${found.map(item => item.explanation).join(', ')}`
+  };
+}
+
+module.exports = {
+  CONTEXT_FRAMES,
+  findQuotations,
+  findHateSpeechContext
+};
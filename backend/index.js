@@ -1,6 +1,6 @@
 /**
  * Entry point for Socio.io backend
- * This file simply requires the server-minimal.js file
+ * This file starts the unified server in server.js
  */
 // Add this to the top of your index.js or server-minimal.js file
 if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
@@ -12,5 +12,8 @@ if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
   process.env.GOOGLE_APPLICATION_CREDENTIALS = '/tmp/google-credentials.json';
 }
 
-// Require the minimal server file
-require('./server-minimal.js');
\ No newline at end of file
+// Start the unified server
+require('./server.js').startServer().catch(err => {
+  console.error(`Error starting server: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,433 @@
+/**
+ * Key Store Module for Socio.io
+ * One shared store of encryption keys for everything that encrypts content
+ * (text_analysis.js, content_filter.js). Content is encrypted with AES-256-GCM and
+ * the ciphertext names the key it was made with, so keys can be rotated while older
+ * records stay recoverable across restarts and deployments.
+ *
+ * Ciphertext format (v2):  v2:<keyId>:<iv>:<authTag>:<ciphertext>   (base64url parts)
+ * Legacy format (v1):      <iv hex>:<ciphertext hex>                 (AES-256-CBC)
+ *
+ * Keys come from, in order of precedence:
+ *   ENCRYPTION_KEYS="id:base64key,id:base64key"  - e.g. for hosts without a persistent disk;
+ *                                                  the first key is the active one
+ *   the keyring file (encryption_keys.json)      - written on first start and by `rotate`
+ *   the legacy key file (encryption_key.key)     - used to decrypt v1 records
+ * ENCRYPTION_ACTIVE_KEY_ID picks the active key explicitly.
+ *
+ * Usage: node key_store.js [list|rotate]
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const moment = require('moment');
+
+const CIPHER = 'aes-256-gcm';
+const LEGACY_CIPHER = 'aes-256-cbc';
+const FORMAT_VERSION = 'v2';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+// GCM tags are checked at full length; a shortened tag would be easier to forge
+const TAG_LENGTH = 16;
+const LEGACY_KEY_ID = 'legacy';
+const HASH_INFO = 'socio.io record hash';
+const SIGNATURE_INFO = 'socio.io record signature';
+
+function generateKeyId() {
+  return `k${moment().format('YYYYMMDD')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Parse ENCRYPTION_KEYS ("id:base64,id:base64") into [{ id, key }]
+function parseEnvKeys(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+      }
+      return { id: entry.slice(0, separator), key: Buffer.from(entry.slice(separator + 1), 'base64') };
+    });
+}
+
+/**
+ * Split a ciphertext into its parts without decrypting it.
+ *
+ * @param {string} token - Ciphertext produced by KeyStore.encrypt() or the legacy CBC format
+ * @returns {object|null} { version, keyId, iv, tag, data } or null if the format is unknown
+ */
+function parseCiphertext(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split(':');
+  if (parts[0] === FORMAT_VERSION && parts.length === 5) {
+    return {
+      version: FORMAT_VERSION,
+      keyId: parts[1],
+      iv: Buffer.from(parts[2], 'base64url'),
+      tag: Buffer.from(parts[3], 'base64url'),
+      data: Buffer.from(parts[4], 'base64url')
+    };
+  }
+  if (parts.length === 2 && /^[0-9a-f]{32}$/i.test(parts[0])) {
+    return {
+      version: 'v1',
+      keyId: null,
+      iv: Buffer.from(parts[0], 'hex'),
+      tag: null,
+      data: Buffer.from(parts[1], 'hex')
+    };
+  }
+  return null;
+}
+
+class KeyStore {
+  /**
+   * Initialize an empty key store; call load() before encrypting.
+   *
+   * @param {object} options - { keyringFile, legacyKeyFile }
+   */
+  constructor(options = {}) {
+    this.keyringFile = options.keyringFile || process.env.ENCRYPTION_KEYRING_FILE || 'encryption_keys.json';
+    this.legacyKeyFile = options.legacyKeyFile || process.env.ENCRYPTION_KEY_FILE || 'encryption_key.key';
+    this.keys = new Map();
+    this.activeKeyId = null;
+    this.loaded = null;
+  }
+
+  /**
+   * Load keys from the environment, the keyring file and the legacy key file.
+   * A key is generated and saved when none is found. Loading twice is a no-op
+   * unless different file locations are given.
+   *
+   * @param {object} options - { keyringFile, legacyKeyFile }
+   * @returns {Promise<KeyStore>} The loaded store
+   */
+  load(options = {}) {
+    const changed = (options.keyringFile && options.keyringFile !== this.keyringFile) ||
+      (options.legacyKeyFile && options.legacyKeyFile !== this.legacyKeyFile);
+
+    if (!this.loaded || changed) {
+      this.keyringFile = options.keyringFile || this.keyringFile;
+      this.legacyKeyFile = options.legacyKeyFile || this.legacyKeyFile;
+      this.loaded = this._load();
+    }
+    return this.loaded;
+  }
+
+  async _load() {
+    this.keys = new Map();
+    this.activeKeyId = null;
+
+    const keyring = await this._readKeyring();
+    for (const entry of keyring.keys) {
+      this.keys.set(entry.id, { key: Buffer.from(entry.key, 'base64'), created: entry.created, source: 'keyring' });
+    }
+    this.activeKeyId = keyring.active;
+
+    const envKeys = parseEnvKeys(process.env.ENCRYPTION_KEYS);
+    for (const entry of envKeys) {
+      this.keys.set(entry.id, { key: entry.key, created: null, source: 'environment' });
+    }
+    if (envKeys.length > 0) {
+      this.activeKeyId = envKeys[0].id;
+    }
+
+    const legacyKey = await this._readLegacyKey();
+    if (legacyKey && !this.keys.has(LEGACY_KEY_ID)) {
+      this.keys.set(LEGACY_KEY_ID, { key: legacyKey, created: null, source: 'legacy' });
+    }
+
+    if (process.env.ENCRYPTION_ACTIVE_KEY_ID) {
+      this.activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID;
+    }
+
+    for (const [id, entry] of this.keys) {
+      if (entry.key.length !== KEY_LENGTH) {
+        throw new Error(`Encryption key ${id} must be ${KEY_LENGTH} bytes`);
+      }
+    }
+
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      if (this.activeKeyId) {
+        console.log(`Active encryption key ${this.activeKeyId} not found`);
+      }
+      // Keep using an existing legacy key rather than introducing a new secret
+      if (this.keys.has(LEGACY_KEY_ID)) {
+        this.activeKeyId = LEGACY_KEY_ID;
+      } else {
+        console.log("No encryption key found. Generating new key.");
+        await this.rotate();
+      }
+    }
+
+    console.log(`Encryption keys loaded (${this.keys.size}), active key: ${this.activeKeyId}`);
+    return this;
+  }
+
+  async _readKeyring() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.keyringFile, 'utf8'));
+      return { active: data.active || null, keys: Array.isArray(data.keys) ? data.keys : [] };
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.log(`Error loading keyring ${this.keyringFile}: ${e.message}`);
+      }
+      return { active: null, keys: [] };
+    }
+  }
+
+  async _readLegacyKey() {
+    let key;
+    try {
+      key = await fs.readFile(this.legacyKeyFile);
+    } catch (e) {
+      return null;
+    }
+    // The old app.js server used the first 32 bytes of the file as the key
+    if (key.length < KEY_LENGTH) {
+      console.log(`Ignoring legacy key file ${this.legacyKeyFile}: shorter than ${KEY_LENGTH} bytes`);
+      return null;
+    }
+    return key.subarray(0, KEY_LENGTH);
+  }
+
+  // Only keys that came from the keyring file (or were generated) are written back
+  async _saveKeyring() {
+    const keys = [...this.keys.entries()]
+      .filter(([, entry]) => entry.source === 'keyring')
+      .map(([id, entry]) => ({ id, created: entry.created, key: entry.key.toString('base64') }));
+
+    await fs.writeFile(
+      this.keyringFile,
+      JSON.stringify({ active: this.activeKeyId, keys }, null, 2),
+      { encoding: 'utf8', mode: 0o600 }
+    );
+  }
+
+  _requireLoaded() {
+    if (!this.activeKeyId) {
+      throw new Error('Key store is not loaded');
+    }
+  }
+
+  /**
+   * Generate a new key, make it the active key and save the keyring.
+   * Earlier keys stay available for decryption.
+   *
+   * @returns {Promise<string>} ID of the new active key
+   */
+  async rotate() {
+    const id = generateKeyId();
+    this.keys.set(id, { key: crypto.randomBytes(KEY_LENGTH), created: new Date().toISOString(), source: 'keyring' });
+    this.activeKeyId = id;
+    await this._saveKeyring();
+    console.log(`Encryption key ${id} generated and saved to ${this.keyringFile}`);
+    return id;
+  }
+
+  /**
+   * List the known keys without their key material.
+   *
+   * @returns {Array<object>} { id, created, source, active }
+   */
+  list() {
+    return [...this.keys.entries()].map(([id, entry]) => ({
+      id,
+      created: entry.created,
+      source: entry.source,
+      active: id === this.activeKeyId
+    }));
+  }
+
+  /**
+   * Return the raw key material for a key ID (defaults to the active key).
+   *
+   * @param {string} keyId - Key ID
+   * @returns {Buffer} Key material
+   */
+  getKey(keyId = this.activeKeyId) {
+    this._requireLoaded();
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+    return entry.key;
+  }
+
+  /**
+   * Encrypt a string with the active key.
+   *
+   * @param {string} plaintext - Content to encrypt
+   * @returns {string} v2 ciphertext
+   */
+  encrypt(plaintext) {
+    this._requireLoaded();
+    const keyId = this.activeKeyId;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, this.getKey(keyId), iv, { authTagLength: TAG_LENGTH });
+    // The header is authenticated so the key ID cannot be swapped
+    cipher.setAAD(Buffer.from(`${FORMAT_VERSION}:${keyId}`, 'utf8'));
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [
+      FORMAT_VERSION,
+      keyId,
+      iv.toString('base64url'),
+      cipher.getAuthTag().toString('base64url'),
+      data.toString('base64url')
+    ].join(':');
+  }
+
+  /**
+   * Keyed hash (HMAC-SHA256) of a value, so records can be matched and checked
+   * without storing the value itself. The HMAC key is derived from the encryption
+   * key and is never used to encrypt.
+   *
+   * @param {string} value - Value to hash
+   * @param {string} keyId - Key ID (defaults to the active key)
+   * @returns {string} <keyId>:<base64url digest>
+   */
+  hash(value, keyId = this.activeKeyId) {
+    return `${keyId}:${this._hmac(HASH_INFO, keyId, value)}`;
+  }
+
+  /**
+   * Check a value against a hash produced by hash().
+   *
+   * @param {string} value - Candidate value
+   * @param {string} hash - Stored hash
+   * @returns {boolean} True if the value matches
+   */
+  verifyHash(value, hash) {
+    const separator = typeof hash === 'string' ? hash.lastIndexOf(':') : -1;
+    if (separator <= 0 || !this.keys.has(hash.slice(0, separator))) {
+      return false;
+    }
+    const expected = Buffer.from(this.hash(value, hash.slice(0, separator)));
+    const actual = Buffer.from(hash);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Message authentication code for a serialized record, e.g. a redaction envelope.
+   * Uses its own key derived from the encryption key.
+   *
+   * @param {string} value - Serialized record
+   * @param {string} keyId - Key ID (defaults to the active key)
+   * @returns {string} base64url HMAC-SHA256
+   */
+  sign(value, keyId = this.activeKeyId) {
+    return this._hmac(SIGNATURE_INFO, keyId, value);
+  }
+
+  /**
+   * Check a MAC produced by sign().
+   *
+   * @param {string} value - Serialized record
+   * @param {string} signature - MAC to check
+   * @param {string} keyId - Key ID the MAC was made with
+   * @returns {boolean} True if the MAC matches
+   */
+  verifySignature(value, signature, keyId) {
+    if (typeof signature !== 'string' || !this.keys.has(keyId)) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(value, keyId));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // HMAC-SHA256 with a key derived (HKDF) from an encryption key for one purpose
+  _hmac(info, keyId, value) {
+    const macKey = Buffer.from(crypto.hkdfSync('sha256', this.getKey(keyId), Buffer.alloc(0), info, KEY_LENGTH));
+    return crypto.createHmac('sha256', macKey).update(String(value), 'utf8').digest('base64url');
+  }
+
+  /**
+   * Decrypt a v2 ciphertext, or a legacy v1 (AES-CBC) ciphertext.
+   * Throws when the ciphertext was tampered with or its key is unknown.
+   *
+   * @param {string} token - Ciphertext
+   * @returns {string} Decrypted content
+   */
+  decrypt(token) {
+    this._requireLoaded();
+    const parsed = parseCiphertext(token);
+    if (!parsed) {
+      throw new Error('Invalid encrypted data format');
+    }
+
+    if (parsed.version === FORMAT_VERSION) {
+      if (parsed.tag.length !== TAG_LENGTH) {
+        throw new Error('Invalid authentication tag length');
+      }
+      const decipher = crypto.createDecipheriv(CIPHER, this.getKey(parsed.keyId), parsed.iv, {
+        authTagLength: TAG_LENGTH
+      });
+      decipher.setAAD(Buffer.from(`${FORMAT_VERSION}:${parsed.keyId}`, 'utf8'));
+      decipher.setAuthTag(parsed.tag);
+      return Buffer.concat([decipher.update(parsed.data), decipher.final()]).toString('utf8');
+    }
+
+    // v1 records do not name their key: try the legacy key first, then the rest
+    const candidates = [LEGACY_KEY_ID, ...this.keys.keys()].filter((id, i, all) =>
+      this.keys.has(id) && all.indexOf(id) === i
+    );
+    for (const keyId of candidates) {
+      try {
+        const decipher = crypto.createDecipheriv(LEGACY_CIPHER, this.getKey(keyId), parsed.iv);
+        return Buffer.concat([decipher.update(parsed.data), decipher.final()]).toString('utf8');
+      } catch (e) {
+        continue;
+      }
+    }
+    throw new Error('No key could decrypt the legacy record');
+  }
+}
+
+// The store shared by every module in the process
+const keyStore = new KeyStore();
+
+module.exports = {
+  KeyStore,
+  keyStore,
+  parseCiphertext,
+  FORMAT_VERSION
+};
+
+async function main() {
+  const command = process.argv[2] || 'list';
+  await keyStore.load();
+
+  if (command === 'rotate') {
+    const id = await keyStore.rotate();
+    if (process.env.ENCRYPTION_KEYS) {
+      console.log('ENCRYPTION_KEYS is set and overrides the keyring file.');
+      console.log(`Prepend "${id}:${keyStore.getKey(id).toString('base64')}" to ENCRYPTION_KEYS to activate it.`);
+    }
+  } else if (command !== 'list') {
+    console.log('Usage: node key_store.js [list|rotate]');
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const entry of keyStore.list()) {
+    console.log(`${entry.active ? '*' : ' '} ${entry.id}  ${entry.source}  ${entry.created || ''}`);
+  }
+}
+
+// Run the command line interface if this script is executed directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Key store error: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,373 @@
+/**
+ * Language Detection Module for Socio.io
+ * Identifies the script and language of a piece of text offline. The script is read off
+ * the Unicode script of its letters; where a script is shared by several languages
+ * (Latin, Devanagari) a naive Bayes classifier over character 1- to 3-grams picks the
+ * language. Its profiles are built at load time from the sample sentences below, which
+ * include romanized Hindi, Marathi, Tamil, Telugu, Bengali and Punjabi as they are
+ * typed in chats, so Hinglish is told apart from English. Latin text is English and
+ * Devanagari Hindi unless another language wins both the whole text and most of its
+ * words.
+ *
+ * Scripts are ISO 15924 codes ("Latn", "Deva"), languages ISO 639-1 codes ("hi") and
+ * "und" when the language cannot be determined.
+ */
+
+// Scripts told apart, in the order they are checked
+const SCRIPTS = [
+  ["Latn", /\p{Script=Latin}/u],
+  ["Deva", /\p{Script=Devanagari}/u],
+  ["Beng", /\p{Script=Bengali}/u],
+  ["Guru", /\p{Script=Gurmukhi}/u],
+  ["Gujr", /\p{Script=Gujarati}/u],
+  ["Orya", /\p{Script=Oriya}/u],
+  ["Taml", /\p{Script=Tamil}/u],
+  ["Telu", /\p{Script=Telugu}/u],
+  ["Knda", /\p{Script=Kannada}/u],
+  ["Mlym", /\p{Script=Malayalam}/u],
+  ["Arab", /\p{Script=Arabic}/u],
+  ["Cyrl", /\p{Script=Cyrillic}/u],
+  ["Grek", /\p{Script=Greek}/u],
+  ["Hebr", /\p{Script=Hebrew}/u],
+  ["Thai", /\p{Script=Thai}/u],
+  ["Hang", /\p{Script=Hangul}/u],
+  ["Hira", /\p{Script=Hiragana}/u],
+  ["Kana", /\p{Script=Katakana}/u],
+  ["Hani", /\p{Script=Han}/u]
+];
+
+// Scripts written by (practically) one language
+const SCRIPT_LANGUAGES = {
+  Beng: "bn", Guru: "pa", Gujr: "gu", Orya: "or", Taml: "ta", Telu: "te", Knda: "kn",
+  Mlym: "ml", Grek: "el", Hebr: "he", Thai: "th", Hang: "ko", Hira: "ja", Kana: "ja"
+};
+
+// Sample sentences per script and language, the training data of the classifier
+const LANGUAGE_SAMPLES = {
+  Latn: {
+    en: `The weather is really nice today, so we are going to the park after lunch.
+      I think you should call her before the meeting starts tomorrow morning.
+      What are you doing this weekend? Let me know if you want to watch a movie with us.
+      She said that the train was late again and everyone was waiting at the station.
+      Thanks for sharing this, it was very helpful and I learned something new.
+      We need to finish the report by Friday because the client is expecting it.
+      This is the worst service I have ever had, nobody answered my emails.
+      Have you seen the new video? It is so funny, I could not stop laughing.
+      People should be kind to each other and listen before they judge.
+      My brother works at a bank and my sister is still studying at the university.
+      Call me back when you are free. I do not know what happened.
+      See you later, take care. Where are you now? That is not true at all.
+      Just ignore him, he is always like this. Get out of here.`,
+    hi: `Kal hum log market gaye the aur bahut saara saamaan khareeda.
+      Yaar tum kahan ho, main kab se tumhara wait kar raha hoon.
+      Mummy ne kaha ki pehle khana kha lo, phir padhai karna.
+      Aaj office mein bahut kaam tha, boss bhi gussa the.
+      Chalo chai peete hain, phir baat karenge is baare mein.
+      Tujhe kya lagta hai, kya woh sach bol raha hai ya nahi?
+      Mujhe nahi pata tha ki tum bhi aa rahe ho, bahut accha hua.
+      Bhai ye kya bakwas hai, kuch bhi bolta rehta hai tu.
+      Humne socha ki aaj ghar pe hi rahenge aur film dekhenge.
+      Abhi mere paas time nahi hai, baad mein call karna please.
+      Kya kar raha hai tu? Kal milte hain. Mera naam Rahul hai.
+      Bhai sun na, ye banda pagal hai kya? Chup kar yaar.
+      Tu kaun hai be, nikal yahan se. Kaisa hai bhai, sab badhiya?`,
+    mr: `Mala khup bhook lagli aahe, chal aapan jevayla jaauya.
+      Mi udya sakali lavkar yenar aahe, tu kuthe aahes?
+      Tula kay vatta, he kaam aaj purna hoil ka?
+      Aamhi kal gavala gelo hoto ani tithe khup maja aali.
+      Tyacha ghar shalechya javal aahe, mi tyala olakhto.
+      Kay re, kasa aahes? Khup divasani bhetlas.
+      Aai mhanali ki aadhi abhyas kar mag khel.
+      He pustak khup chhan aahe, tu nakki vaach.
+      Majha bhau Punyat naukri karto ani bahin Mumbait shikte.
+      Aaj paus padnar aahe mhanun chhatri gheun ja.
+      Kay karto aahes? Mi yeto thodya velat. Mala mahit nahi.
+      Tu kuthe aahes re? Gapp bas. Kasa kay, sagla theek?
+      Jaa ithun, tula kahi kalat nahi.`,
+    ta: `Naan naalaikku ungala vandhu paakuren, neenga veetla irupeengala?
+      Enna machan, epdi irukka? Romba naal aachu paathu.
+      Amma saapadu ready pannitaanga, seekiram vaa.
+      Indha padam romba nalla irundhuchu, neeyum paaru.
+      Naanga ellarum kovilukku poitu vandhom.
+      Avan enna sonnan nu enakku theriyala, nee kelu.
+      Inniku office la romba velai irundhuchu, tired ah irukken.
+      Unakku enna venum nu sollu, naan vaangitu varen.
+      Mazhai peyyudhu, kudai eduthuttu po.
+      Enga ooru la thiruvizha nadakkudhu, kandippa vaanga.
+      Saptiya? Enna panra? Naan varen. Romba nandri.
+      Dei, summa iru da. Yaaru nee? Poda, onnum theriyadhu unakku.`,
+    te: `Nenu intiki veltunna, meeru ela unnaru?
+      Emandi, ee roju chala vedi ga undi kada.
+      Nuvvu repu college ki vastunnava leda?
+      Maa amma chala baga vanta chestundi.
+      Ee cinema chala bagundi, nuvvu kuda chudu.
+      Vaadu emi cheppadu naaku ardham kaaledu.
+      Memu andaram kalisi gudiki vellamu.
+      Naaku konchem pani undi, tarvata call chestanu.
+      Mee ooru ekkada? Nenu Hyderabad lo untanu.
+      Ippudu varsham padutondi, godugu teesukuni vellu.
+      Em chestunnav? Nenu vastanu. Ela unnav ra?
+      Nuvvu evaru ra? Po ra, neeku emi teliyadu. Nijamga cheppu.`,
+    bn: `Ami bhalo achi, tumi kemon acho?
+      Aaj khub gorom porche, bairey jete ichhe korche na.
+      Tumi ki kal amader barite ashbe?
+      Amar ma khub bhalo ranna kore, tumi kheye dekho.
+      Ei boita khub sundor, tumi porte paro.
+      Oke ki bolechi ami mone nei, tumi jiggesh koro.
+      Amra sobai mile pujo dekhte giyechilam.
+      Ekhon amar kaaj ache, pore tomake phone korbo.
+      Tomar bari kothay? Ami Kolkata te thaki.
+      Brishti porche, chhata niye jao.
+      Ki korcho? Ami jani na. Tumi kothay?
+      Chup kor, tor kono kaaj nei? Ki bolchis tui, pagol naki?`,
+    pa: `Tussi kiddan ho, sab theek thaak hai?
+      Main kal pind ja reha haan, tusi vi chalo.
+      Oye ki haal hai, bade dinan baad milya.
+      Mainu bhukh lagi hai, chalo roti khaaiye.
+      Assi sab gurudware gaye si te bada sohna lagya.
+      Ohne ki keha mainu samajh nahi aaya.
+      Tenu pata hai ajj mausam kinna vadhiya hai.
+      Mera veer Canada rehnda hai te bhain Ludhiane padhdi hai.
+      Chhetti aaja, sab tera intezaar kar rahe ne.
+      Meenh pai reha hai, chhatri lai ja.
+      Ki haal aa? Mainu ni pata. Tenu ki? Oye kithe gaya si?
+      Tussi kithe ho? Chal nikal ithon, tu ki jaanda ae.`,
+    es: `Hoy hace muy buen tiempo, así que vamos al parque después de comer.
+      Creo que deberías llamarla antes de que empiece la reunión mañana.
+      ¿Qué vas a hacer este fin de semana? Avísame si quieres ver una película.
+      Dijo que el tren llegó tarde otra vez y todos estaban esperando en la estación.
+      Gracias por compartir esto, fue muy útil y aprendí algo nuevo.
+      No sé nada. ¿Dónde estás? Nos vemos mañana, cuídate.`,
+    fr: `Il fait très beau aujourd'hui, alors nous allons au parc après le déjeuner.
+      Je pense que tu devrais l'appeler avant que la réunion commence demain matin.
+      Qu'est-ce que tu fais ce week-end? Dis-moi si tu veux voir un film avec nous.
+      Elle a dit que le train était encore en retard et que tout le monde attendait.
+      Merci d'avoir partagé ceci, c'était très utile et j'ai appris quelque chose.
+      Je ne sais pas. Où es-tu? À demain, prends soin de toi.`,
+    de: `Heute ist das Wetter sehr schön, deshalb gehen wir nach dem Essen in den Park.
+      Ich glaube, du solltest sie anrufen, bevor die Besprechung morgen früh beginnt.
+      Was machst du am Wochenende? Sag mir Bescheid, wenn du einen Film sehen willst.
+      Sie sagte, dass der Zug wieder zu spät war und alle am Bahnhof gewartet haben.
+      Danke, dass du das geteilt hast, es war sehr hilfreich und ich habe etwas gelernt.
+      Ich weiß nicht. Wo bist du? Bis morgen, pass auf dich auf.`
+  },
+  Deva: {
+    hi: `मैं आज बाज़ार गया था और बहुत सारा सामान खरीदा।
+      आप कैसे हैं? बहुत दिनों के बाद आपसे मिलकर अच्छा लगा।
+      मुझे कल छुट्टी चाहिए क्योंकि घर पर कुछ काम है।
+      यह किताब बहुत अच्छी है, तुम इसे ज़रूर पढ़ना।
+      हम सब लोग शाम को मंदिर जाएंगे और फिर खाना खाएंगे।
+      उसने क्या कहा मुझे समझ नहीं आया, तुम उससे पूछ लो।
+      आज बारिश हो रही है इसलिए छाता लेकर जाना।
+      मेरा भाई दिल्ली में नौकरी करता है और बहन पढ़ाई कर रही है।
+      तू कौन है? यहाँ से निकल। ये क्या है यार? तुम कहाँ हो?
+      चुप कर, तुझे कुछ नहीं पता। वो पागल है क्या?`,
+    mr: `मी उद्या सकाळी लवकर येणार आहे, तू कुठे आहेस?
+      तुम्ही कसे आहात? खूप दिवसांनी भेटलात.
+      मला खूप भूक लागली आहे, चल आपण जेवायला जाऊया.
+      हे पुस्तक खूप छान आहे, तू नक्की वाच.
+      आम्ही सगळे संध्याकाळी मंदिरात जाणार आहोत.
+      त्याने काय सांगितले ते मला समजले नाही, तू त्याला विचार.
+      आज पाऊस पडत आहे म्हणून छत्री घेऊन जा.
+      माझा भाऊ पुण्यात नोकरी करतो आणि बहीण मुंबईत शिकते.
+      तू कुठे चाललास? गप्प बस, तुला काही कळत नाही. काय झालं रे?`
+  }
+};
+
+// Shorter texts are tagged with their script only
+const MIN_LETTERS = 3;
+
+// Additive smoothing for n-grams a sample does not contain
+const SMOOTHING = 0.1;
+
+// Language a script is read as unless the text clearly says otherwise
+const DEFAULT_LANGUAGES = { Latn: "en", Deva: "hi" };
+
+// What another language needs to beat the default: a lead in log-likelihood per n-gram
+// over the whole text, and this many words (and most words) that prefer it on their own
+const MIN_MARGIN = 0.1;
+const MIN_SUPPORTING_WORDS = 2;
+
+// Email addresses and links are not written in any language ("mail a@b.com")
+const ADDRESS_TOKENS = /\S+@\S+|(?:https?:\/\/|www\.)\S+/giu;
+
+// Letters of a text in one script, as words padded with "_" for their n-grams
+function scriptWords(text, pattern) {
+  const words = [];
+  for (const word of text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || []) {
+    const letters = Array.from(word).filter(char => pattern.test(char) || /\p{M}/u.test(char)).join('');
+    if (letters) {
+      words.push(`_${letters}_`);
+    }
+  }
+  return words;
+}
+
+function ngrams(words) {
+  const grams = [];
+  for (const word of words) {
+    const chars = Array.from(word);
+    for (let n = 1; n <= 3; n++) {
+      for (let i = 0; i + n <= chars.length; i++) {
+        const gram = chars.slice(i, i + n).join('');
+        if (gram !== '_') {
+          grams.push(gram);
+        }
+      }
+    }
+  }
+  return grams;
+}
+
+// Count the n-grams of every sample. Counts are later scaled to the largest sample, so a
+// shorter sample does not give unseen n-grams a higher probability, and the vocabulary
+// size smooths them.
+function buildProfiles() {
+  const profiles = {};
+  for (const [script, samples] of Object.entries(LANGUAGE_SAMPLES)) {
+    const pattern = SCRIPTS.find(([code]) => code === script)[1];
+    const vocabulary = new Set();
+    const languages = {};
+    for (const [language, sample] of Object.entries(samples)) {
+      const counts = new Map();
+      const grams = ngrams(scriptWords(sample, pattern));
+      for (const gram of grams) {
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+        vocabulary.add(gram);
+      }
+      languages[language] = { counts, total: grams.length };
+    }
+    const size = Math.max(...Object.values(languages).map(({ total }) => total));
+    profiles[script] = {
+      pattern, languages, size, vocabulary: vocabulary.size, defaultLanguage: DEFAULT_LANGUAGES[script]
+    };
+  }
+  return profiles;
+}
+
+const PROFILES = buildProfiles();
+
+/**
+ * Count the letters of each script in a text.
+ *
+ * @param {string} text - Text to inspect
+ * @returns {Array<object>} { script, letters } per script found, most letters first
+ */
+function detectScripts(text) {
+  const counts = new Map();
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) {
+      continue;
+    }
+    const entry = SCRIPTS.find(([, pattern]) => pattern.test(char));
+    const script = entry ? entry[0] : "Zyyy";
+    counts.set(script, (counts.get(script) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([script, letters]) => ({ script, letters }))
+    .sort((a, b) => b.letters - a.letters);
+}
+
+// Naive Bayes log-likelihood of each language for a list of padded words
+function scoreLanguages(words, profile) {
+  const grams = ngrams(words);
+  const scores = {};
+  for (const [language, { counts, total }] of Object.entries(profile.languages)) {
+    let score = 0;
+    for (const gram of grams) {
+      const count = (counts.get(gram) || 0) * profile.size / total;
+      score += Math.log((count + SMOOTHING) / (profile.size + SMOOTHING * profile.vocabulary));
+    }
+    scores[language] = score;
+  }
+  return { scores, grams: grams.length };
+}
+
+// Words that may vote against the default language: three letters or more, since
+// shorter words ("go", "tu") read as several languages, and not a capitalized word
+// inside the text, which is most likely a name ("Rahul Sharma")
+function votingWords(text, pattern) {
+  const words = [];
+  let first = true;
+  for (const word of text.match(/[\p{L}\p{M}]+/gu) || []) {
+    const name = !first && /^\p{Lu}\p{Ll}/u.test(word);
+    first = false;
+    const letters = scriptWords(word, pattern);
+    if (!name && letters.length > 0 && Array.from(letters[0]).length >= 5) {
+      words.push(letters[0]);
+    }
+  }
+  return words;
+}
+
+// Naive Bayes over the n-grams of the text's letters in one script. A language other
+// than the script's default must win on the whole text by MIN_MARGIN and win most of
+// the words on their own, so one borrowed word or name ("aadhaar") does not relabel an
+// English sentence.
+function classify(text, profile) {
+  const { scores, grams } = scoreLanguages(scriptWords(text, profile.pattern), profile);
+  const ranked = Object.entries(scores).map(([language, score]) => ({ language, score }))
+    .sort((a, b) => b.score - a.score);
+
+  // Posterior of a language, with the scores averaged per n-gram so long texts do not
+  // make every decision look certain
+  const best = ranked[0].score;
+  const scale = Math.sqrt(grams || 1);
+  const total = ranked.reduce((sum, { score }) => sum + Math.exp((score - best) / scale), 0);
+  const posterior = language => Math.exp((scores[language] - best) / scale) / total;
+
+  let language = ranked[0].language;
+  const fallback = profile.defaultLanguage;
+  if (fallback && language !== fallback) {
+    const words = votingWords(text, profile.pattern);
+    const support = words.filter(word => {
+      const { scores: wordScores } = scoreLanguages([word], profile);
+      return wordScores[language] > wordScores[fallback];
+    }).length;
+    const margin = (scores[language] - scores[fallback]) / (grams || 1);
+    if (margin < MIN_MARGIN || support < MIN_SUPPORTING_WORDS || support * 2 <= words.length) {
+      language = fallback;
+    }
+  }
+  return { language, confidence: posterior(language) };
+}
+
+/**
+ * Identify the language and script of a text, usually one sentence. Code-mixed text
+ * ("तू chutiya है") is tagged with the script that has the most letters and lists
+ * every script it contains. Email addresses and links are left out.
+ *
+ * @param {string} text - Text to identify
+ * @returns {object} { language, script, scripts, confidence } - confidence is 0 to 1
+ */
+function identifyLanguage(text) {
+  text = text.replace(ADDRESS_TOKENS, ' ');
+  const scripts = detectScripts(text);
+  if (scripts.length === 0) {
+    return { language: "und", script: null, scripts: [], confidence: 0 };
+  }
+
+  const { script, letters } = scripts[0];
+  const tag = { language: "und", script, scripts: scripts.map(entry => entry.script), confidence: 0 };
+  if (letters < MIN_LETTERS) {
+    return tag;
+  }
+
+  const share = letters / scripts.reduce((sum, entry) => sum + entry.letters, 0);
+  if (SCRIPT_LANGUAGES[script]) {
+    tag.language = SCRIPT_LANGUAGES[script];
+    tag.confidence = Math.round(share * 100) / 100;
+  } else if (PROFILES[script]) {
+    const { language, confidence } = classify(text, PROFILES[script]);
+    tag.language = language;
+    tag.confidence = Math.round(confidence * share * 100) / 100;
+  }
+  return tag;
+}
+
+module.exports = {
+  SCRIPTS,
+  SCRIPT_LANGUAGES,
+  detectScripts,
+  identifyLanguage
+};
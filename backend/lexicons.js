@@ -0,0 +1,394 @@
+/**
+ * Lexicons Module for Socio.io
+ * Loads the per-language profanity lexicons in lexicons/ (Hindi, Marathi, Tamil, Telugu,
+ * Bengali, Punjabi) and finds their words in code-mixed text. Every lexicon entry lists
+ * its native-script spellings and its common romanizations:
+ *
+ *   { "word": "chutiya", "native": ["चूतिया"], "romanized": ["chutiya", "chootiya"], "suffixes": ["pa"],
+ *     "severity": "strong" }
+ *
+ * Words that are also names or places ("Randi", "Saale") add "proper_noun": true and
+ * are not flagged where they read as one (profanity_matcher.isProperNounUse).
+ *
+ * Words are found three ways:
+ *   - romanizations through the tolerant patterns of profanity_matcher ("ch00tiya", "c h u t i y a")
+ *   - native spellings exactly                                          ("तू चूतिया है")
+ *   - by phonetic key, after transliterating Indic scripts to Latin, so spellings the
+ *     lexicon does not list still match ("chuutiyaa", "bahenchod", "चुतिये")
+ *
+ * The lexicon directory and the languages loaded are set with environment variables:
+ *   PROFANITY_LEXICON_DIR=/etc/socio/lexicons  - directory of <language>.json files
+ *   PROFANITY_LANGUAGES=hi,mr                  - only these languages (default: all files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./text_normalization');
+const { compileLexicon, findProfanity } = require('./profanity_matcher');
+const { DEFAULT_SEVERITY } = require('./severity');
+
+const LEXICON_DIR = path.join(__dirname, 'lexicons');
+
+// Keys shorter than this match too many ordinary words ("chutia" and "chuti", a
+// holiday, share one)
+const MIN_KEY_LENGTH = 5;
+
+// Latin for the Indic blocks (Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil,
+// Telugu, Kannada, Malayalam), which share one layout: the offset of a character
+// inside its 128-character block gives the same letter in every script
+const INDIC_BLOCK_START = 0x0900;
+const INDIC_BLOCK_END = 0x0D7F;
+
+const INDIC_VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu', 0x0B: 'ri', 0x0C: 'li',
+  0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+
+const INDIC_CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'ny',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  0x58: 'q', 0x59: 'kh', 0x5A: 'g', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+};
+
+const INDIC_VOWEL_SIGNS = {
+  0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri', 0x44: 'ri',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au',
+  0x57: 'au'
+};
+
+// Candrabindu, anusvara and visarga
+const INDIC_NASALS = { 0x01: 'n', 0x02: 'n', 0x03: 'h' };
+
+const INDIC_VIRAMA = 0x4D;
+
+// Gurmukhi signs outside the shared layout: tippi (nasal), addak (doubles the next
+// consonant) and the vowel carriers that only hold a vowel sign
+const GURMUKHI_TIPPI = '\u0A70';
+const GURMUKHI_ADDAK = '\u0A71';
+const GURMUKHI_VOWEL_CARRIERS = ['\u0A72', '\u0A73'];
+
+function indicOffset(char) {
+  const code = char.codePointAt(0);
+  if (code < INDIC_BLOCK_START || code > INDIC_BLOCK_END) {
+    return null;
+  }
+  return (code - INDIC_BLOCK_START) % 0x80;
+}
+
+/**
+ * Transliterate Indic script to plain Latin letters. Consonants carry the inherent "a"
+ * unless a vowel sign or virama follows; nukta and other signs are dropped.
+ * Characters outside the Indic blocks are kept as they are.
+ *
+ * @param {string} text - Text, ideally normalized with normalizeText()
+ * @returns {string} Transliterated text
+ */
+function transliterate(text) {
+  let result = '';
+  let pendingVowel = false;
+  let doubleNext = false;
+
+  for (const char of text) {
+    const offset = indicOffset(char);
+    if (char === GURMUKHI_ADDAK) {
+      doubleNext = true;
+      continue;
+    }
+    if (char === GURMUKHI_TIPPI || GURMUKHI_VOWEL_CARRIERS.includes(char)) {
+      if (pendingVowel) {
+        result += 'a';
+        pendingVowel = false;
+      }
+      result += char === GURMUKHI_TIPPI ? 'n' : '';
+      continue;
+    }
+    if (offset === null) {
+      if (pendingVowel) {
+        result += 'a';
+        pendingVowel = false;
+      }
+      result += char;
+      continue;
+    }
+
+    if (INDIC_VOWEL_SIGNS[offset]) {
+      result += INDIC_VOWEL_SIGNS[offset];
+      pendingVowel = false;
+    } else if (offset === INDIC_VIRAMA) {
+      pendingVowel = false;
+    } else if (INDIC_CONSONANTS[offset] || INDIC_VOWELS[offset] || INDIC_NASALS[offset]) {
+      if (pendingVowel) {
+        result += 'a';
+      }
+      const letter = INDIC_CONSONANTS[offset] || INDIC_VOWELS[offset] || INDIC_NASALS[offset];
+      result += doubleNext && INDIC_CONSONANTS[offset] ? letter + letter : letter;
+      pendingVowel = Boolean(INDIC_CONSONANTS[offset]);
+      doubleNext = false;
+    } else if (offset >= 0x66 && offset <= 0x6F) {
+      // Digits
+      if (pendingVowel) {
+        result += 'a';
+        pendingVowel = false;
+      }
+      result += String(offset - 0x66);
+    }
+  }
+
+  return pendingVowel ? result + 'a' : result;
+}
+
+/**
+ * Reduce a romanized word to a key that is the same for its usual spellings: vowel
+ * length ("chootiya"), aspiration ("bhenchod"), voicing (Tamil script writes "t" and
+ * "d" alike), the short "a" that romanizations add or leave out ("madarchod",
+ * "maadarachoda") and "w"/"v", "z"/"j", "ph"/"f".
+ *
+ * @param {string} word - Romanized or transliterated word
+ * @returns {string} Phonetic key
+ */
+function phoneticKey(word) {
+  return word.toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/ch+/g, 'c')
+    .replace(/sh/g, 's')
+    .replace(/([^aeiou])h/g, '$1')
+    .replace(/o{2,}/g, 'u')
+    .replace(/e{2,}/g, 'i')
+    .replace(/([aeiou])\1+/g, '$1')
+    .replace(/ai/g, 'e')
+    .replace(/au/g, 'o')
+    .replace(/e(?!$)/g, 'a')
+    .replace(/(?!^)[ah]/g, '')
+    .replace(/b/g, 'p')
+    .replace(/d/g, 't')
+    .replace(/g/g, 'k');
+}
+
+// Turn a comma separated list ("hi, mr") into an array of language codes
+function parseLanguageList(value) {
+  if (!value) {
+    return null;
+  }
+  return String(value)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0);
+}
+
+/**
+ * Load the lexicon files in a directory. Files that cannot be read or lack entries are
+ * logged and skipped, so one bad file does not switch off the others.
+ *
+ * @param {object} options - { dir, languages } - directory and language codes to load;
+ *                           PROFANITY_LEXICON_DIR / PROFANITY_LANGUAGES and then all
+ *                           bundled lexicons by default
+ * @returns {Array<object>} { language, name, script, entries } per lexicon - script is the
+ *                   ISO 15924 code of the native spellings ("Deva")
+ */
+function loadLexicons(options = {}) {
+  const dir = options.dir || process.env.PROFANITY_LEXICON_DIR || LEXICON_DIR;
+  const languages = parseLanguageList(options.languages) ||
+    parseLanguageList(process.env.PROFANITY_LANGUAGES);
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    console.log(`Could not read lexicon directory ${dir}: ${error.message}`);
+    return [];
+  }
+
+  const lexicons = [];
+  for (const file of files) {
+    const language = path.basename(file, '.json').toLowerCase();
+    if (languages && !languages.includes(language)) {
+      continue;
+    }
+    try {
+      const lexicon = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!Array.isArray(lexicon.entries)) {
+        throw new Error('no "entries" array');
+      }
+      lexicons.push({
+        language: lexicon.language || language,
+        name: lexicon.name || language,
+        script: lexicon.script || null,
+        entries: lexicon.entries.filter(entry => entry && typeof entry.word === 'string')
+      });
+    } catch (error) {
+      console.log(`Skipping lexicon ${file}: ${error.message}`);
+    }
+  }
+  return lexicons;
+}
+
+/**
+ * Compile loaded lexicons into a matcher for findLexiconWords().
+ *
+ * @param {Array<object>} lexicons - Result of loadLexicons()
+ * @returns {object} { lexicons, matchers, native, keys } - native spellings and phonetic
+ *                   keys map to the { word, language, severity, properNoun } entries that use them
+ */
+function createLexiconMatcher(lexicons) {
+  const romanized = [];
+  const native = new Map();
+  const keys = new Map();
+
+  const add = (map, key, hit) => {
+    const hits = map.get(key) || [];
+    if (!hits.includes(hit)) {
+      map.set(key, hits.concat(hit));
+    }
+  };
+  const addKey = (key, hit) => {
+    if (key.length >= MIN_KEY_LENGTH) {
+      add(keys, key, hit);
+    }
+  };
+
+  for (const lexicon of lexicons) {
+    for (const entry of lexicon.entries) {
+      const hit = {
+        word: entry.word,
+        language: lexicon.language,
+        severity: entry.severity || DEFAULT_SEVERITY,
+        properNoun: Boolean(entry.proper_noun)
+      };
+      const spellings = [...new Set([entry.word, ...(entry.romanized || [])])]
+        .map(spelling => spelling.toLowerCase());
+
+      for (const spelling of spellings) {
+        romanized.push({ word: spelling, suffixes: entry.suffixes, hit });
+        addKey(phoneticKey(spelling), hit);
+      }
+      for (const spelling of entry.native || []) {
+        const form = normalizeText(spelling).text;
+        add(native, form, hit);
+        addKey(phoneticKey(transliterate(form)), hit);
+      }
+    }
+  }
+
+  return { lexicons, matchers: compileLexicon(romanized), native, keys };
+}
+
+// Entries for one token, or two adjacent tokens written apart ("behen chod")
+function lookupToken(matcher, token) {
+  return matcher.native.get(token) || matcher.keys.get(phoneticKey(transliterate(token))) || [];
+}
+
+// Romanizations are typed in Latin script, native spellings in the lexicon's own script
+function routeLanguages(matcher, scripts) {
+  return matcher.lexicons
+    .filter(lexicon => scripts.includes("Latn") || scripts.includes(lexicon.script))
+    .map(lexicon => lexicon.language);
+}
+
+// The entry of the sentence's language when several lexicons share a spelling
+function pickHit(hits, languages, preferred) {
+  const allowed = hits.filter(hit => languages.includes(hit.language));
+  return allowed.find(hit => hit.language === preferred) || allowed[0] || null;
+}
+
+let defaultMatcher = null;
+
+function getDefaultMatcher() {
+  if (!defaultMatcher) {
+    defaultMatcher = createLexiconMatcher(loadLexicons());
+  }
+  return defaultMatcher;
+}
+
+/**
+ * Find words from the language lexicons in text. Where matches overlap the longest one
+ * is kept.
+ *
+ * `options.scripts` routes the text to the lexicons that can occur in it: Latin text to
+ * the romanizations of every lexicon, other scripts to the lexicons written in them (all
+ * lexicons when not given). `options.language` is the language the text was identified
+ * as, whose entry wins when lexicons share a spelling.
+ *
+ * @param {string} text - Normalized text
+ * @param {object} matcher - Result of createLexiconMatcher(), the bundled lexicons by default
+ * @param {object} options - { scripts, language }, see language_detection.identifyLanguage()
+ * @returns {Array<object>} { start, end, text, word, language, severity, properNoun } sorted by start
+ */
+function findLexiconWords(text, matcher = getDefaultMatcher(), options = {}) {
+  const languages = options.scripts ?
+    routeLanguages(matcher, options.scripts) :
+    matcher.lexicons.map(lexicon => lexicon.language);
+  if (languages.length === 0) {
+    return [];
+  }
+
+  const romanized = !options.scripts || options.scripts.includes("Latn") ?
+    matcher.matchers
+      .filter(({ entry }) => languages.includes(entry.hit.language))
+      .sort((a, b) => (b.entry.hit.language === options.language) - (a.entry.hit.language === options.language)) :
+    [];
+  const found = findProfanity(text, romanized).map(match => ({
+    start: match.start,
+    end: match.end,
+    text: match.text,
+    word: match.entry.hit.word,
+    language: match.entry.hit.language,
+    severity: match.entry.hit.severity,
+    properNoun: match.entry.hit.properNoun
+  }));
+
+  const tokens = [];
+  const tokenPattern = /[\p{L}\p{M}]+/gu;
+  let token;
+  while ((token = tokenPattern.exec(text)) !== null) {
+    tokens.push({ start: token.index, end: token.index + token[0].length, text: token[0] });
+  }
+
+  tokens.forEach((current, i) => {
+    let candidate = current;
+    let hit = pickHit(lookupToken(matcher, current.text), languages, options.language);
+    const next = tokens[i + 1];
+    const covered = found.some(match => current.start < match.end && current.end > match.start);
+    if (!hit && !covered && next && /^\s+$/.test(text.slice(current.end, next.start))) {
+      candidate = { start: current.start, end: next.end };
+      hit = pickHit(lookupToken(matcher, current.text + next.text), languages, options.language);
+    }
+    if (hit) {
+      found.push({
+        start: candidate.start,
+        end: candidate.end,
+        text: text.slice(candidate.start, candidate.end),
+        word: hit.word,
+        language: hit.language,
+        severity: hit.severity,
+        properNoun: hit.properNoun
+      });
+    }
+  });
+
+  found.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const match of found) {
+    if (!kept.some(other => match.start < other.end && match.end > other.start)) {
+      kept.push(match);
+    }
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  LEXICON_DIR,
+  transliterate,
+  phoneticKey,
+  loadLexicons,
+  createLexiconMatcher,
+  findLexiconWords
+};
@@ -0,0 +1,183 @@
+/**
+ * Masking Strategies for Socio.io
+ * Decides what replaces a sensitive value, per PII category. Used by
+ * text_analysis.processText, which the text feature (features/text.js) calls for
+ * /analyze_text and /filter/text.
+ *
+ * Strategies:
+ *   redact       - "[REDACTED PHONE_NUMBERS]"
+ *   partial      - mask every letter and digit except the last `reveal` ("******3210");
+ *                  separators are kept. `reveal: 0` masks everything
+ *   hash         - "[PHONE_NUMBERS:3f9a1c0b2d4e]", a salted hash, equal for equal values
+ *   placeholder  - a fixed `template`; {category}, {CATEGORY} and {length} are filled in
+ *   encrypt      - "[ENCRYPTED PHONE_NUMBERS]", the value is stored encrypted for recovery
+ *   pseudonym    - "PHONE_1", numbered per distinct value within a pseudonym session
+ *                  (pseudonyms.js); the value is stored encrypted for recovery
+ *   synthesize   - a realistic fake value in the same format (synthetic.js)
+ *
+ * Configure with MASKING_STRATEGIES, e.g.
+ *   MASKING_STRATEGIES="phone_numbers=partial:4,aadhaar=redact,emails=placeholder:<email>"
+ * or per call with { masking: { phone_numbers: { strategy: 'partial', reveal: 4 } } }.
+ * `default` applies to categories without their own entry.
+ */
+
+const crypto = require('crypto');
+const { keyStore } = require('./key_store');
+const { synthesizeValue } = require('./synthetic');
+
+const STRATEGY_NAMES = ['redact', 'partial', 'hash', 'placeholder', 'encrypt', 'pseudonym', 'synthesize'];
+
+// Strategies that keep the original value (encrypted) so it can be recovered
+const REVERSIBLE_STRATEGIES = ['encrypt', 'pseudonym'];
+
+const DEFAULT_REVEAL = 4;
+const DEFAULT_TEMPLATE = '[{CATEGORY}]';
+const HASH_LENGTH = 12;
+
+/**
+ * Normalize one strategy setting: "partial", "partial:4", "placeholder:<email>" or
+ * { strategy, reveal, template, maskChar }.
+ *
+ * @param {string|object} setting - Strategy setting
+ * @returns {object} { strategy, ... }
+ */
+function parseStrategy(setting) {
+  let rule = setting;
+  if (typeof setting === 'string') {
+    const separator = setting.indexOf(':');
+    const name = (separator === -1 ? setting : setting.slice(0, separator)).trim();
+    const argument = separator === -1 ? null : setting.slice(separator + 1);
+
+    rule = { strategy: name };
+    if (name === 'partial' && argument !== null) {
+      rule.reveal = parseInt(argument, 10);
+    } else if (name === 'placeholder' && argument !== null) {
+      rule.template = argument;
+    }
+  }
+
+  if (!rule || !STRATEGY_NAMES.includes(rule.strategy)) {
+    throw new Error(`Unknown masking strategy: ${JSON.stringify(setting)}`);
+  }
+  return rule;
+}
+
+/**
+ * Parse a MASKING_STRATEGIES value ("category=strategy[:argument],...").
+ *
+ * @param {string} value - Environment value
+ * @returns {object} Category name -> strategy rule
+ */
+function parseMaskingConfig(value) {
+  const masking = {};
+  if (!value) {
+    return masking;
+  }
+
+  for (const entry of String(value).split(',')) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+    masking[entry.slice(0, separator).trim()] = parseStrategy(entry.slice(separator + 1));
+  }
+  return masking;
+}
+
+// Strategies configured through the environment
+const MASKING_STRATEGIES = parseMaskingConfig(process.env.MASKING_STRATEGIES);
+
+/**
+ * Find the strategy for a category: the category's own entry, then `default`, then
+ * the fallback.
+ *
+ * @param {string} category - PII category
+ * @param {object} masking - Category name -> strategy setting
+ * @param {string|object} fallback - Strategy when nothing is configured
+ * @returns {object} { strategy, ... }
+ */
+function resolveStrategy(category, masking = {}, fallback = 'redact') {
+  const setting = masking[category] || masking.default || fallback;
+  return parseStrategy(setting);
+}
+
+function maskPartial(value, reveal, maskChar) {
+  let remaining = Math.max(0, reveal);
+  const chars = Array.from(value);
+
+  // Walk backwards so the last `reveal` letters and digits stay readable
+  for (let i = chars.length - 1; i >= 0; i--) {
+    if (!/[\p{L}\p{N}]/u.test(chars[i])) {
+      continue;
+    }
+    if (remaining > 0) {
+      remaining -= 1;
+    } else {
+      chars[i] = maskChar;
+    }
+  }
+  return chars.join('');
+}
+
+function hashValue(value, salt) {
+  // Without MASKING_SALT, fall back to the key store's keyed hash
+  if (salt) {
+    return crypto.createHmac('sha256', salt).update(value, 'utf8').digest('hex').slice(0, HASH_LENGTH);
+  }
+  const digest = keyStore.hash(value);
+  return Buffer.from(digest.slice(digest.lastIndexOf(':') + 1), 'base64url')
+    .toString('hex')
+    .slice(0, HASH_LENGTH);
+}
+
+/**
+ * Produce the replacement text for a sensitive value.
+ *
+ * @param {string} value - Sensitive value
+ * @param {string} category - PII category
+ * @param {object} rule - Strategy rule from resolveStrategy()
+ * @param {object} context - { pseudonyms } session for the pseudonym strategy,
+ *                           { seed } for the synthesize strategy
+ * @returns {string} Replacement text
+ */
+function maskValue(value, category, rule, context = {}) {
+  const label = category.toUpperCase();
+
+  switch (rule.strategy) {
+    case 'partial':
+      return maskPartial(
+        value,
+        Number.isInteger(rule.reveal) ? rule.reveal : DEFAULT_REVEAL,
+        rule.maskChar || '*'
+      );
+    case 'hash':
+      return `[${label}:${hashValue(value, rule.salt || process.env.MASKING_SALT)}]`;
+    case 'placeholder':
+      return (rule.template || DEFAULT_TEMPLATE)
+        .replace(/\{category\}/g, category)
+        .replace(/\{CATEGORY\}/g, label)
+        .replace(/\{length\}/g, String(value.length));
+    case 'encrypt':
+      return `[ENCRYPTED ${label}]`;
+    case 'pseudonym':
+      if (!context.pseudonyms) {
+        throw new Error('The pseudonym strategy needs a pseudonym session');
+      }
+      return context.pseudonyms.pseudonymFor(category, value);
+    case 'synthesize':
+      return synthesizeValue(value, category, { seed: rule.seed || context.seed });
+    case 'redact':
+    default:
+      return `[REDACTED ${label}]`;
+  }
+}
+
+module.exports = {
+  STRATEGY_NAMES,
+  REVERSIBLE_STRATEGIES,
+  MASKING_STRATEGIES,
+  parseStrategy,
+  parseMaskingConfig,
+  resolveStrategy,
+  maskValue
+};
@@ -0,0 +1,97 @@
+/**
+ * Encryption Log Migration for Socio.io
+ * Rewrites encryption data files written before logs stopped storing plaintext
+ * (encryption_data_*.json, and encryption_log_*.json from the old app.js server).
+ * Original values are removed and replaced by keyed hashes; values whose ciphertext
+ * cannot be decrypted with the current keys are encrypted again first.
+ *
+ * Older servers wrote their logs to the directory they were started in, so without a
+ * folder argument both the configured log folder and the current directory are scanned.
+ *
+ * Usage: node migrate_encryption_logs.js [--dry-run] [log folder ...]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const { loadConfig } = require('./config');
+const textAnalysis = require('./text_analysis');
+
+const ENCRYPTION_FILE_PATTERN = /^encryption_(?:data|log)_[\w-]+\.json$/;
+
+/**
+ * Migrate every encryption data file in a folder.
+ *
+ * @param {string} logFolder - Folder holding the encryption data files
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} { scanned, migrated, entries, failed }
+ */
+async function migrateFolder(logFolder, options = {}) {
+  const summary = { scanned: 0, migrated: 0, entries: 0, failed: 0 };
+  const filenames = glob.sync(path.join(logFolder, "encryption_*.json"))
+    .filter(filename => ENCRYPTION_FILE_PATTERN.test(path.basename(filename)));
+
+  for (const filename of filenames) {
+    summary.scanned += 1;
+    try {
+      const data = JSON.parse(await fs.readFile(filename, 'utf8'));
+      const result = textAnalysis.migrateEncryptionLog(data);
+      if (!result.changed) {
+        continue;
+      }
+
+      summary.migrated += 1;
+      summary.entries += result.entries;
+      console.log(`${options.dryRun ? 'Would migrate' : 'Migrating'} ${filename} (${result.entries} plaintext values)`);
+
+      if (!options.dryRun) {
+        // Write next to the file and rename so a failure never leaves a truncated log
+        const tempFilename = `${filename}.tmp`;
+        await fs.writeFile(tempFilename, JSON.stringify(result.data, null, 2), 'utf8');
+        await fs.rename(tempFilename, filename);
+      }
+    } catch (e) {
+      summary.failed += 1;
+      console.log(`Error migrating ${filename}: ${e.message}`);
+    }
+  }
+
+  return summary;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const config = loadConfig();
+  const folders = args.filter(arg => !arg.startsWith('--'));
+  const logFolders = folders.length > 0 ?
+    folders :
+    [...new Set([path.resolve(config.logFolder), path.resolve('.')])];
+
+  await textAnalysis.initializeCrypto(config.encryptionKeyFile, config.keyringFile);
+
+  let failed = 0;
+  for (const logFolder of logFolders) {
+    const summary = await migrateFolder(logFolder, { dryRun });
+    console.log(`Scanned ${summary.scanned} files in ${logFolder}: ` +
+      `${summary.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ` +
+      `${summary.entries} plaintext values removed, ${summary.failed} failed`);
+    failed += summary.failed;
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  migrateFolder
+};
+
+// Run the command line interface if this script is executed directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Migration error: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
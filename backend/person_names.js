@@ -0,0 +1,207 @@
+/**
+ * Person Name Module for Socio.io
+ * Finds personal names without a language model, using bundled gazetteers of first
+ * names and surnames (Indian and international) and two heuristics: names are written
+ * capitalized, and a honorific ("Mr.", "Dr.", "Smt.") is followed by a name.
+ *
+ * Candidates are runs of capitalized words, optionally after a honorific and initials
+ * ("Dr. A. K. Sharma"). A candidate is a name when it has a honorific or contains a
+ * gazetteer name; words around the name that are not names themselves (a capitalized
+ * word starting the sentence, "Monday", "Hospital") are cut off. An unknown word right
+ * after a known first name is taken as the surname ("Priya Kapadia"), and an unknown
+ * word right before a known surname as the first name.
+ */
+
+const FIRST_NAMES = new Set([
+  // Indian
+  'aarav', 'aditi', 'aditya', 'ajay', 'akash', 'akshay', 'alok', 'amit', 'amitabh', 'anand',
+  'ananya', 'anil', 'anita', 'anjali', 'ankit', 'anupam', 'anushka', 'arjun', 'arun', 'aruna',
+  'aryan', 'ashok', 'ayesha', 'deepa', 'deepak', 'deepika', 'dev', 'dhruv', 'dinesh', 'divya',
+  'gaurav', 'geeta', 'gopal', 'harish', 'harsh', 'ishaan', 'isha', 'jaya', 'jyoti', 'kabir',
+  'kajal', 'kalpana', 'kamal', 'karan', 'kavita', 'kavya', 'kiran', 'krishna', 'kunal', 'lakshmi',
+  'lalita', 'madhu', 'mahesh', 'manish', 'manoj', 'meena', 'meera', 'mohan', 'mukesh', 'nandini',
+  'naveen', 'neha', 'nikhil', 'nisha', 'nitin', 'pooja', 'prakash', 'pranav', 'prashant', 'pratik',
+  'preeti', 'priya', 'priyanka', 'rahul', 'raj', 'rajesh', 'rajiv', 'rakesh', 'ramesh', 'ravi',
+  'rekha', 'ritu', 'rohan', 'rohit', 'sachin', 'sagar', 'sakshi', 'sandeep', 'sanjay', 'santosh',
+  'sarita', 'saurabh', 'seema', 'shalini', 'shankar', 'shikha', 'shreya', 'shweta', 'siddharth', 'simran',
+  'sneha', 'sonia', 'subhash', 'sudha', 'sumit', 'sunil', 'sunita', 'suresh', 'swati', 'tanvi',
+  'tarun', 'uma', 'usha', 'varun', 'vidya', 'vijay', 'vikas', 'vikram', 'vinay', 'vinod',
+  'vishal', 'yash', 'zoya', 'abdul', 'ahmed', 'arif', 'farhan', 'fatima', 'imran', 'irfan',
+  'javed', 'nasreen', 'rizwan', 'salman', 'sana', 'shabana', 'shahid', 'zubair', 'gurpreet', 'harpreet',
+  'jaspreet', 'manpreet', 'navjot', 'simranjit', 'balwinder', 'murugan', 'senthil', 'karthik', 'lakshman', 'venkatesh',
+  'srinivas', 'subramanian', 'raghav', 'anirban', 'arnab', 'debashish', 'sourav', 'tanmay', 'sayan', 'joydeep',
+  // International
+  'aaron', 'adam', 'alex', 'alexander', 'alice', 'amanda', 'amelia', 'andrew', 'anna', 'anthony',
+  'barbara', 'benjamin', 'brian', 'carlos', 'charles', 'charlotte', 'chen', 'chris', 'christopher', 'daniel',
+  'david', 'deborah', 'diana', 'edward', 'elena', 'elizabeth', 'emily', 'emma', 'eric', 'fatma',
+  'francesca', 'george', 'hannah', 'harry', 'helen', 'hiroshi', 'isabella', 'jack', 'jacob', 'james',
+  'jane', 'jennifer', 'jessica', 'john', 'jonathan', 'jose', 'joseph', 'juan', 'julia', 'karen',
+  'kevin', 'laura', 'linda', 'lisa', 'lucas', 'luis', 'maria', 'marie', 'martin', 'mary',
+  'matthew', 'michael', 'mohammed', 'muhammad', 'natalie', 'nicholas', 'olivia', 'oliver', 'paul', 'peter',
+  'rachel', 'rebecca', 'richard', 'robert', 'samuel', 'sarah', 'sophia', 'sophie', 'stephen', 'steven',
+  'susan', 'thomas', 'timothy', 'wei', 'william', 'yuki', 'ahmet', 'mehmet', 'ivan', 'olga',
+  // Common names that are also English words; a single one needs a honorific
+  'will', 'mark', 'grace', 'hope', 'joy', 'rose', 'june', 'april', 'may', 'victoria'
+]);
+
+const SURNAMES = new Set([
+  // Indian
+  'agarwal', 'ahmed', 'ali', 'banerjee', 'bhat', 'bhatt', 'bose', 'chatterjee', 'chaudhary', 'chopra',
+  'das', 'desai', 'deshmukh', 'dubey', 'dutta', 'gandhi', 'ghosh', 'gill', 'goel', 'gupta',
+  'iyer', 'jain', 'joshi', 'kapoor', 'khan', 'khanna', 'kulkarni', 'kumar', 'malhotra', 'mehta',
+  'menon', 'mishra', 'mukherjee', 'nair', 'naidu', 'pandey', 'patel', 'patil', 'pillai', 'prasad',
+  'qureshi', 'rao', 'reddy', 'saxena', 'sen', 'shah', 'sharma', 'shetty', 'shukla', 'singh',
+  'sinha', 'srivastava', 'tiwari', 'trivedi', 'varma', 'verma', 'yadav', 'sandhu', 'sidhu', 'dhillon',
+  'grewal', 'chauhan', 'rathore', 'thakur', 'pawar', 'jadhav', 'shinde', 'gowda', 'hegde', 'krishnan',
+  'subramaniam', 'natarajan', 'raman', 'swamy', 'chakraborty', 'bhattacharya', 'mondal', 'roy', 'sarkar', 'siddiqui',
+  'ansari', 'sheikh', 'syed', 'mirza', 'fernandes', 'dsouza', 'pereira', 'rodrigues', 'thomas', 'varghese',
+  // International
+  'anderson', 'brown', 'clark', 'davis', 'garcia', 'gonzalez', 'hernandez', 'jackson', 'johnson', 'jones',
+  'kim', 'lee', 'lewis', 'lopez', 'martin', 'martinez', 'miller', 'moore', 'nguyen', 'perez',
+  'robinson', 'rodriguez', 'sanchez', 'smith', 'taylor', 'thompson', 'walker', 'white', 'williams', 'wilson',
+  'young', 'wang', 'li', 'zhang', 'liu', 'chen', 'tanaka', 'suzuki', 'sato', 'muller',
+  'schmidt', 'schneider', 'fischer', 'weber', 'rossi', 'russo', 'bianchi', 'dubois', 'bernard', 'moreau',
+  'silva', 'santos', 'oliveira', 'ivanov', 'kowalski', 'nowak', 'yilmaz', 'kaya', 'hassan', 'ibrahim'
+]);
+
+// Gazetteer names that are also ordinary words; alone they are only a name after a honorific
+const AMBIGUOUS_NAMES = new Set([
+  'will', 'mark', 'grace', 'hope', 'joy', 'rose', 'june', 'april', 'may', 'victoria',
+  'brown', 'white', 'young', 'martin', 'thomas', 'li', 'sen', 'das', 'ali', 'gill', 'raman', 'dev', 'raj'
+]);
+
+// Capitalized words that are never part of a person's name
+const NON_NAME_WORDS = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'july', 'august', 'september', 'october', 'november', 'december',
+  'street', 'road', 'lane', 'avenue', 'nagar', 'colony', 'station', 'airport', 'park', 'hospital',
+  'university', 'college', 'school', 'bank', 'limited', 'ltd', 'inc', 'company', 'india', 'city',
+  'district', 'state', 'lanka', 'hotel', 'temple', 'church', 'mosque', 'market', 'mall', 'museum', 'club',
+  'the', 'and', 'but', 'hi', 'hello', 'dear', 'thanks', 'regards', 'today', 'yesterday', 'tomorrow'
+]);
+
+// "Mr.", "Dr", "Smt." ...
+const HONORIFICS = ['Mr', 'Mrs', 'Ms', 'Miss', 'Mx', 'Dr', 'Prof', 'Sir', 'Dame', 'Shri', 'Shrimati', 'Smt', 'Sri', 'Kumari', 'Km'];
+const HONORIFIC = `(?:${HONORIFICS.join('|')})`;
+const NAME_WORD = "[A-Z][a-z]+(?:['-][A-Z]?[a-z]+)?";
+const INITIAL = '[A-Z]\\.';
+
+// Candidate: optional honorific, optional initials, then one to four capitalized words
+const PERSON_NAME_PATTERN = `\\b(?:${HONORIFIC}\\.?[ \\t]+)?(?:${INITIAL}[ \\t]*){0,2}${NAME_WORD}` +
+  `(?:[ \\t]+(?:${INITIAL}[ \\t]*)?${NAME_WORD}){0,3}\\b`;
+
+const HONORIFIC_START = new RegExp(`^${HONORIFIC}\\.?[ \\t]`);
+
+// Split a candidate into honorific, initial and word tokens with their offsets
+function tokenize(candidate) {
+  const tokens = [];
+  const tokenPattern = new RegExp(`(${HONORIFIC}\\.?(?=[ \\t]))|(${INITIAL})|(${NAME_WORD})`, 'g');
+  let match;
+  while ((match = tokenPattern.exec(candidate)) !== null) {
+    const kind = match[1] && tokens.length === 0 ? 'honorific' : (match[2] ? 'initial' : 'word');
+    tokens.push({ kind, start: match.index, end: match.index + match[0].length, word: match[0].toLowerCase() });
+  }
+  return tokens;
+}
+
+function isFirstName(token) {
+  return token.kind === 'word' && FIRST_NAMES.has(token.word);
+}
+
+function isSurname(token) {
+  return token.kind === 'word' && SURNAMES.has(token.word);
+}
+
+function isUnknownWord(token) {
+  return token && token.kind === 'word' && !NON_NAME_WORDS.has(token.word) &&
+    !FIRST_NAMES.has(token.word) && !SURNAMES.has(token.word);
+}
+
+/**
+ * Find the name in a run of capitalized words.
+ *
+ * @param {string} candidate - Text matched by PERSON_NAME_PATTERN
+ * @returns {object|null} { start, end } of the name within the candidate, or null
+ */
+function findPersonName(candidate) {
+  const tokens = tokenize(candidate);
+  const known = tokens
+    .map((token, index) => (isFirstName(token) || isSurname(token) ? index : -1))
+    .filter(index => index !== -1);
+
+  let first;
+  let last;
+  if (known.length > 0) {
+    first = known[0];
+    last = known[known.length - 1];
+
+    // "Priya Kapadia": an unknown surname after a first name
+    if (isFirstName(tokens[last]) && isUnknownWord(tokens[last + 1])) {
+      last += 1;
+    }
+    // "Anvesha Sharma": an unknown first name before a surname
+    if (!isFirstName(tokens[first]) && isSurname(tokens[first]) && isUnknownWord(tokens[first - 1])) {
+      first -= 1;
+    }
+    // "Will Rahul come?": a first name that is also a word, before another first name
+    if (first < last && AMBIGUOUS_NAMES.has(tokens[first].word) && isFirstName(tokens[first + 1])) {
+      first += 1;
+    }
+  } else if (tokens.length > 1 && tokens[0].kind === 'honorific') {
+    // "Dr. Xavier Okonkwo": initials and up to two unknown words after a honorific
+    first = 0;
+    last = 0;
+    let words = 0;
+    for (let i = 1; i < tokens.length; i++) {
+      if (tokens[i].kind === 'initial') {
+        last = i;
+        continue;
+      }
+      if (!isUnknownWord(tokens[i]) || words === 2) {
+        break;
+      }
+      last = i;
+      words += 1;
+    }
+    if (words === 0) {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  // Initials and a honorific directly in front belong to the name
+  while (first > 0 && tokens[first - 1].kind !== 'word') {
+    first -= 1;
+  }
+  if (tokens.slice(first, last + 1).some(token => token.kind === 'word' && NON_NAME_WORDS.has(token.word))) {
+    return null;
+  }
+  return { start: tokens[first].start, end: tokens[last].end };
+}
+
+/**
+ * Check whether text found by findPersonName() is a name on its own. A single word that
+ * is also an ordinary English word ("May", "Will") needs a honorific.
+ *
+ * @param {string} value - Candidate name
+ * @returns {boolean} True if the value reads as a person's name
+ */
+function isPersonName(value) {
+  const found = findPersonName(value);
+  if (!found || found.start !== 0 || found.end !== value.length) {
+    return false;
+  }
+  const words = tokenize(value).filter(token => token.kind === 'word');
+  return words.length > 1 || HONORIFIC_START.test(value) || !AMBIGUOUS_NAMES.has(words[0].word);
+}
+
+module.exports = {
+  FIRST_NAMES,
+  SURNAMES,
+  HONORIFICS,
+  PERSON_NAME_PATTERN,
+  HONORIFIC_START,
+  findPersonName,
+  isPersonName
+};
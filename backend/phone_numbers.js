@@ -0,0 +1,169 @@
+/**
+ * Phone Number Module for Socio.io
+ * Recognises phone numbers from several countries with a numbering-plan table.
+ * Numbers in international form (+44 20 7946 0958, 0044 ...) are matched against the
+ * plan of their country code; numbers without one are read in the default region
+ * (PHONE_DEFAULT_REGION, India unless configured).
+ *
+ * Each plan gives the country calling code, the trunk prefix dialled before national
+ * numbers ("0" in the UK), whether that prefix is required when writing a national
+ * number, and patterns for the national significant number (the digits after the
+ * country code). The patterns are deliberately coarse: they check lengths and leading
+ * digits, not every allocated range.
+ */
+
+const NUMBERING_PLANS = {
+  "IN": { name: "India", countryCode: "91", trunkPrefix: "0", trunkRequired: false, patterns: [/^[6-9]\d{9}$/] },
+  "US": { name: "United States", countryCode: "1", trunkPrefix: "1", trunkRequired: false, patterns: [/^[2-9]\d{2}[2-9]\d{6}$/] },
+  "CA": {
+    name: "Canada", countryCode: "1", trunkPrefix: "1", trunkRequired: false, patterns: [/^[2-9]\d{2}[2-9]\d{6}$/],
+    areaCodes: [
+      '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+      '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548',
+      '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753',
+      '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+    ]
+  },
+  "GB": { name: "United Kingdom", countryCode: "44", trunkPrefix: "0", trunkRequired: true, patterns: [/^7\d{9}$/, /^[123]\d{8,9}$/, /^8\d{9}$/] },
+  "IE": { name: "Ireland", countryCode: "353", trunkPrefix: "0", trunkRequired: true, patterns: [/^8[35-9]\d{7}$/, /^[1-9]\d{6,8}$/] },
+  "DE": { name: "Germany", countryCode: "49", trunkPrefix: "0", trunkRequired: true, patterns: [/^1[5-7]\d{8,9}$/, /^[2-9]\d{5,10}$/] },
+  "FR": { name: "France", countryCode: "33", trunkPrefix: "0", trunkRequired: true, patterns: [/^[1-9]\d{8}$/] },
+  "ES": { name: "Spain", countryCode: "34", trunkPrefix: null, trunkRequired: false, patterns: [/^[6-9]\d{8}$/] },
+  "IT": { name: "Italy", countryCode: "39", trunkPrefix: null, trunkRequired: false, patterns: [/^3\d{8,9}$/, /^0\d{5,10}$/] },
+  "NL": { name: "Netherlands", countryCode: "31", trunkPrefix: "0", trunkRequired: true, patterns: [/^[1-9]\d{8}$/] },
+  "BE": { name: "Belgium", countryCode: "32", trunkPrefix: "0", trunkRequired: true, patterns: [/^4\d{8}$/, /^[1-9]\d{7}$/] },
+  "PT": { name: "Portugal", countryCode: "351", trunkPrefix: null, trunkRequired: false, patterns: [/^[29]\d{8}$/] },
+  "SE": { name: "Sweden", countryCode: "46", trunkPrefix: "0", trunkRequired: true, patterns: [/^7[02369]\d{7}$/, /^[1-9]\d{6,8}$/] },
+  "PL": { name: "Poland", countryCode: "48", trunkPrefix: null, trunkRequired: false, patterns: [/^[1-9]\d{8}$/] },
+  "AE": { name: "United Arab Emirates", countryCode: "971", trunkPrefix: "0", trunkRequired: true, patterns: [/^5[024568]\d{7}$/, /^[2-4679]\d{7}$/] },
+  "SG": { name: "Singapore", countryCode: "65", trunkPrefix: null, trunkRequired: false, patterns: [/^[689]\d{7}$/] },
+  "AU": { name: "Australia", countryCode: "61", trunkPrefix: "0", trunkRequired: true, patterns: [/^4\d{8}$/, /^[2378]\d{8}$/] }
+};
+
+const DEFAULT_REGION = (process.env.PHONE_DEFAULT_REGION || "IN").toUpperCase();
+
+// E.164 numbers have at most 15 digits including the country code
+const MAX_DIGITS = 15;
+
+// Regions that share a country calling code, e.g. "1" -> ["US", "CA"]
+function regionsForCode(countryCode) {
+  return Object.keys(NUMBERING_PLANS).filter(region => NUMBERING_PLANS[region].countryCode === countryCode);
+}
+
+// Match a national significant number against the plans of some regions
+function matchPlans(regions, nationalNumber) {
+  for (const region of regions) {
+    const plan = NUMBERING_PLANS[region];
+    if (!plan.patterns.some(pattern => pattern.test(nationalNumber))) {
+      continue;
+    }
+    // North American numbers are told apart by their area code
+    if (plan.areaCodes && !plan.areaCodes.includes(nationalNumber.slice(0, 3))) {
+      continue;
+    }
+    if (!plan.areaCodes && regions.some(other => NUMBERING_PLANS[other].areaCodes &&
+      NUMBERING_PLANS[other].areaCodes.includes(nationalNumber.slice(0, 3)))) {
+      continue;
+    }
+    return { region, countryCode: plan.countryCode, nationalNumber, e164: `+${plan.countryCode}${nationalNumber}` };
+  }
+  return null;
+}
+
+/**
+ * Parse a phone number written in international or national form.
+ *
+ * @param {string} value - Phone number as written, e.g. "+44 (0)20 7946 0958"
+ * @param {object} options - { defaultRegion } for numbers without a country code
+ * @returns {object|null} { region, countryCode, nationalNumber, e164 } or null
+ */
+function parsePhoneNumber(value, options = {}) {
+  const trimmed = String(value).trim();
+  let digits = trimmed.replace(/\D/g, '');
+
+  const international = trimmed.startsWith('+') || digits.startsWith('00');
+  if (!trimmed.startsWith('+') && digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+  if (digits.length > MAX_DIGITS) {
+    return null;
+  }
+
+  if (international) {
+    for (let length = 1; length <= 3; length++) {
+      const regions = regionsForCode(digits.slice(0, length));
+      if (regions.length === 0) {
+        continue;
+      }
+
+      let nationalNumber = digits.slice(length);
+      // "+44 (0)20 ..." writes the trunk prefix in brackets
+      const trunkPrefix = NUMBERING_PLANS[regions[0]].trunkPrefix;
+      if (trunkPrefix && /\(\s*0\s*\)/.test(trimmed) && nationalNumber.startsWith(trunkPrefix)) {
+        nationalNumber = nationalNumber.slice(trunkPrefix.length);
+      }
+      return matchPlans(regions, nationalNumber);
+    }
+    return null;
+  }
+
+  const region = String(options.defaultRegion || DEFAULT_REGION).toUpperCase();
+  const plan = NUMBERING_PLANS[region];
+  if (!plan) {
+    return null;
+  }
+  const regions = regionsForCode(plan.countryCode);
+
+  if (plan.trunkPrefix && digits.startsWith(plan.trunkPrefix)) {
+    const parsed = matchPlans(regions, digits.slice(plan.trunkPrefix.length));
+    if (parsed) {
+      return parsed;
+    }
+  }
+  if (!plan.trunkRequired) {
+    const parsed = matchPlans(regions, digits);
+    if (parsed) {
+      return parsed;
+    }
+  }
+
+  // Numbers written with the country code but without "+", e.g. "919876543210"
+  if (digits.startsWith(plan.countryCode)) {
+    return matchPlans(regions, digits.slice(plan.countryCode.length));
+  }
+  return null;
+}
+
+/**
+ * Find the longest leading part of a candidate that is a valid phone number. Patterns
+ * for loosely grouped numbers can run into the digits that follow; this cuts them off
+ * at a group boundary.
+ *
+ * @param {string} candidate - Text matched by a phone number pattern
+ * @param {object} options - { defaultRegion }
+ * @returns {string|null} The valid prefix of the candidate, or null
+ */
+function longestPhoneNumber(candidate, options = {}) {
+  const boundaries = [candidate.length];
+  const separator = /[\s.-]+/g;
+  let match;
+  while ((match = separator.exec(candidate)) !== null) {
+    boundaries.push(match.index);
+  }
+  boundaries.sort((a, b) => b - a);
+
+  for (const end of boundaries) {
+    const prefix = candidate.slice(0, end);
+    if (parsePhoneNumber(prefix, options)) {
+      return prefix;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  NUMBERING_PLANS,
+  DEFAULT_REGION,
+  parsePhoneNumber,
+  longestPhoneNumber
+};
@@ -0,0 +1,217 @@
+/**
+ * Profanity Matcher Module for Socio.io
+ * Finds words from a profanity lexicon however they are disguised. For every lexicon
+ * word a tolerant pattern is generated that accepts:
+ *   - repeated letters             "fuuuck", "shiiit"
+ *   - leetspeak substitutions      "sh1t", "@$$", "b!tch"
+ *   - letters masked with "*"      "f*ck", "s**t" (not the first letter)
+ *   - letters spaced or padded     "f u c k", "f.u.c.k", "s-h-i-t" (the whole spaced run,
+ *                                  so "h e l l o" is not "hell")
+ *
+ * Matching is meant to run on text from text_normalization.normalizeText(), which has
+ * already folded case, look-alike letters and invisible characters; matches carry
+ * offsets into the text they were found in.
+ */
+
+const { DEFAULT_SEVERITY } = require('./severity');
+
+// Inflections are listed per word so "asses" matches but "assets" does not. Severity
+// tiers are described in severity.js. `properNoun` marks words that are also common
+// names ("Dick Cheney"), see isProperNounUse().
+const PROFANITY_LEXICON = [
+  { word: 'fuck', suffixes: ['s', 'er', 'ers', 'ed', 'ing', 'in'], severity: 'strong' },
+  { word: 'motherfucker', suffixes: ['s'], severity: 'strong' },
+  { word: 'shit', suffixes: ['s', 'ty', 'ter', 'head'], severity: 'strong' },
+  { word: 'bullshit', severity: 'mild' },
+  { word: 'bitch', suffixes: ['es', 'y', 'ing'], severity: 'strong' },
+  { word: 'bastard', suffixes: ['s'], severity: 'strong' },
+  { word: 'asshole', suffixes: ['s'], severity: 'strong' },
+  { word: 'ass', suffixes: ['es'], severity: 'mild' },
+  { word: 'damn', suffixes: ['ed', 'it'], severity: 'mild' },
+  { word: 'hell', severity: 'mild' },
+  { word: 'crap', suffixes: ['py'], severity: 'mild' },
+  { word: 'dick', suffixes: ['s', 'head'], severity: 'strong', properNoun: true },
+  { word: 'cunt', suffixes: ['s'], severity: 'strong' },
+  { word: 'piss', suffixes: ['ed'], severity: 'mild' },
+  { word: 'slut', suffixes: ['s'], severity: 'strong' },
+  { word: 'whore', suffixes: ['s'], severity: 'strong' },
+
+  // Hindi, Marathi, Tamil, Telugu, Bengali and Punjabi words live in the lexicons/
+  // files, see lexicons.js
+
+  // Slurs
+  { word: 'nigger', suffixes: ['s'], severity: 'slur' },
+  { word: 'faggot', suffixes: ['s'], severity: 'slur' },
+  { word: 'fag', suffixes: ['s'], severity: 'slur' },
+  { word: 'tranny', severity: 'slur' },
+
+  // Threats
+  { word: 'kill yourself', severity: 'threat' },
+  { word: 'kill urself', severity: 'threat' },
+  { word: 'kys', severity: 'threat' },
+  { word: 'i will kill you', severity: 'threat' }
+];
+
+// Characters that stand in for a letter
+const LEETSPEAK = {
+  a: '4@^', b: '86', c: '(<¢', e: '3€', g: '69', h: '#', i: '1!|', l: '1|', o: '0',
+  s: '5$z', t: '7+', u: 'v', z: '2'
+};
+
+// Characters allowed between the letters of a spaced-out word ("f.u.c.k", "f u c k")
+const SEPARATOR = "[\\s._\\-~,'\"/\\\\:;]";
+const MAX_SEPARATOR = 3;
+
+const BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}])';
+const BOUNDARY_AFTER = '(?![\\p{L}\\p{N}])';
+
+function escapeClass(chars) {
+  return chars.replace(/[\\\]\[^-]/g, '\\$&');
+}
+
+// Character class for one letter, its leetspeak substitutes and, after the first
+// letter, the "*" mask
+function letterClass(letter, masked) {
+  return `[${escapeClass(letter + (LEETSPEAK[letter] || '') + (masked ? '*' : ''))}]`;
+}
+
+/**
+ * Build the tolerant pattern for a lexicon word. The letters are either written
+ * together, each possibly repeated, or all separated by one to three separator
+ * characters; a single gap ("he'll") is not enough. The spaced-out form is captured in
+ * group 1 so findProfanity() can check it is a whole run of spaced letters.
+ *
+ * @param {string} word - Lexicon word in lowercase
+ * @param {Array<string>} suffixes - Inflections accepted after the word
+ * @returns {string} Regular expression source (needs the "u" flag)
+ */
+function buildTolerantPattern(word, suffixes = []) {
+  const gap = `${SEPARATOR}{1,${MAX_SEPARATOR}}`;
+  const letters = Array.from(word).map((letter, i) => `${letterClass(letter, i > 0)}+`);
+  const compact = letters.join('');
+  const spaced = letters.join(gap);
+  const suffix = suffixes.length > 0 ? `(?:${suffixes.join('|')})?` : '';
+  const spacedSuffix = suffixes.length > 0 ?
+    `(?:${suffixes.map(ending => gap + Array.from(ending).join(gap)).join('|')})?` :
+    '';
+  return `${BOUNDARY_BEFORE}(?:${compact}${suffix}|(${spaced}${spacedSuffix}))${BOUNDARY_AFTER}`;
+}
+
+// A single letter or digit standing alone next to a spaced-out match, and the words
+// that may stand alone in front of or after one ("a f u c k", "s h i t i know")
+const SINGLE_BEFORE = new RegExp(`(?:^|[^\\p{L}\\p{N}])([\\p{L}\\p{N}])${SEPARATOR}{1,${MAX_SEPARATOR}}$`, 'u');
+const SINGLE_AFTER = new RegExp(`^${SEPARATOR}{1,${MAX_SEPARATOR}}([\\p{L}\\p{N}])(?![\\p{L}\\p{N}])`, 'u');
+const STANDALONE_LETTERS = ['a', 'i'];
+
+// A spaced-out match must be the whole run of spaced letters: "h e l l o" spells
+// "hello", not "hell", and "c l a s s" is not "ass"
+function isWholeSpacedRun(text, start, end) {
+  const before = text.slice(0, start).match(SINGLE_BEFORE);
+  if (before) {
+    // The letter's own start; a standalone word is fine unless it is spaced out too
+    const letterStart = start - before[0].length + before[0].indexOf(before[1]);
+    if (!STANDALONE_LETTERS.includes(before[1].toLowerCase()) || SINGLE_BEFORE.test(text.slice(0, letterStart))) {
+      return false;
+    }
+  }
+
+  const after = text.slice(end).match(SINGLE_AFTER);
+  if (after) {
+    if (!STANDALONE_LETTERS.includes(after[1].toLowerCase()) || SINGLE_AFTER.test(text.slice(end + after[0].length))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compile lexicon entries into matchers.
+ *
+ * @param {Array<object>} entries - { word, suffixes, severity } entries
+ * @returns {Array<object>} { entry, regex } per entry
+ */
+function compileLexicon(entries) {
+  return entries.map(entry => ({
+    entry,
+    regex: new RegExp(buildTolerantPattern(entry.word, entry.suffixes), 'gu')
+  }));
+}
+
+const DEFAULT_MATCHERS = compileLexicon(PROFANITY_LEXICON);
+
+/**
+ * Find lexicon words in text. Where matches overlap ("a s s h o l e" also contains
+ * "a s s") the longest one is kept.
+ *
+ * @param {string} text - Normalized text
+ * @param {Array<object>} matchers - Result of compileLexicon(), the built-in lexicon by default
+ * @returns {Array<object>} { start, end, text, word, severity, properNoun, entry } sorted by start
+ */
+function findProfanity(text, matchers = DEFAULT_MATCHERS) {
+  const found = [];
+  for (const { entry, regex } of matchers) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[1] !== undefined && !isWholeSpacedRun(text, match.index, match.index + match[0].length)) {
+        continue;
+      }
+      found.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        word: entry.word,
+        severity: entry.severity || DEFAULT_SEVERITY,
+        properNoun: Boolean(entry.properNoun || (entry.hit && entry.hit.properNoun)),
+        entry
+      });
+    }
+  }
+
+  found.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const match of found) {
+    if (!kept.some(other => match.start < other.end && match.end > other.start)) {
+      kept.push(match);
+    }
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Whether a lexicon word that is also a name ("Dick", "Randi", "Saale") is used as one
+ * here: written with a capital and lowercase letters, and either inside the sentence
+ * rather than at its start, next to another capitalized word ("Lauda Air", "Randi
+ * Zuckerberg"), or followed by words of another language than the lexicon word's
+ * ("Kutta is a village", but not "Kutta kamina").
+ *
+ * @param {string} text - Original text (not normalized: case matters)
+ * @param {number} start - Start of the match
+ * @param {number} end - End of the match
+ * @param {object} options - { sentenceStart, otherLanguage: whether the rest of the
+ *                          sentence is in another language than the word }
+ * @returns {boolean} True when the match reads as a proper noun
+ */
+function isProperNounUse(text, start, end, options = {}) {
+  if (!/^\p{Lu}\p{Ll}+$/u.test(text.slice(start, end))) {
+    return false;
+  }
+  const before = text.slice(options.sentenceStart || 0, start);
+  if (/[\p{L}\p{N}]/u.test(before)) {
+    return true;
+  }
+  const next = text.slice(end).match(/^[ \t]+(\p{L}+)/u);
+  if (next && /^\p{Lu}/u.test(next[1])) {
+    return true;
+  }
+  return Boolean(options.otherLanguage);
+}
+
+module.exports = {
+  PROFANITY_LEXICON,
+  LEETSPEAK,
+  buildTolerantPattern,
+  compileLexicon,
+  findProfanity,
+  isProperNounUse
+};
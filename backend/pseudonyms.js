@@ -0,0 +1,211 @@
+/**
+ * Pseudonymization Module for Socio.io
+ * Replaces sensitive values with stable numbered placeholders (EMAIL_1, PHONE_2) so
+ * redacted text stays readable: the same value gets the same placeholder everywhere in
+ * a text and in every text processed with the same session.
+ *
+ * A session maps placeholders back to values through keyed hashes and ciphertext only;
+ * its serialized form is signed so a client can carry it between requests and hand it
+ * back for the next text of a batch or to restore the originals.
+ */
+
+const crypto = require('crypto');
+const { keyStore } = require('./key_store');
+
+const SESSION_FORMAT = 'socio.io/pseudonym-session';
+const SESSION_VERSION = 1;
+
+// Placeholder prefix per PII category; other categories use their upper-cased name
+const PSEUDONYM_PREFIXES = {
+  "phone_numbers": "PHONE",
+  "emails": "EMAIL",
+  "aadhaar": "AADHAAR",
+  "pan": "PAN",
+  "gstin": "GSTIN",
+  "voter_ids": "VOTER_ID",
+  "driving_licences": "DL",
+  "vehicle_registrations": "VEHICLE",
+  "upi_ids": "UPI",
+  "account_numbers": "ACCOUNT",
+  "ifsc_codes": "IFSC",
+  "swift_codes": "SWIFT",
+  "iban_numbers": "IBAN",
+  "routing_numbers": "ROUTING",
+  "uk_bank_accounts": "UK_ACCOUNT",
+  "credit_cards": "CARD",
+  "ssn": "SSN",
+  "nhs_numbers": "NHS",
+  "dni_numbers": "DNI",
+  "nir_numbers": "NIR",
+  "codice_fiscale": "CODICE_FISCALE",
+  "bsn_numbers": "BSN",
+  "german_tax_ids": "STEUER_ID",
+  "vat_numbers": "VAT",
+  "passport_numbers": "PASSPORT",
+  "gps_coordinates": "LOCATION",
+  "secrets": "SECRET",
+  "ip_addresses": "IP",
+  "mac_addresses": "MAC",
+  "crypto_wallets": "WALLET",
+  "postal_addresses": "ADDRESS",
+  "pin_codes": "PIN",
+  "zip_codes": "ZIP",
+  "dates_of_birth": "DOB",
+  "person_names": "PERSON"
+};
+
+function prefixFor(category) {
+  return PSEUDONYM_PREFIXES[category] || category.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Spelling variants of one value share a placeholder: emails ignore case, numbers and
+// codes ignore spaces and punctuation
+function normalizeValue(category, value) {
+  if (category === 'emails') {
+    return value.trim().toLowerCase();
+  }
+  return value.replace(/[^\p{L}\p{N}]/gu, '').toUpperCase();
+}
+
+// Serialize the signed part of a session independently of key order
+function serializeSession(data) {
+  return JSON.stringify([
+    data.format,
+    data.version,
+    data.id,
+    data.created,
+    data.key_id,
+    data.entries.map(entry => [entry.label, entry.category, entry.hash, entry.encrypted])
+  ]);
+}
+
+class PseudonymSession {
+  /**
+   * Start an empty session.
+   *
+   * @param {object} options - { id, created, keyId }
+   */
+  constructor(options = {}) {
+    this.id = options.id || crypto.randomUUID();
+    this.created = options.created || new Date().toISOString();
+    this.keyId = options.keyId || keyStore.activeKeyId;
+    this.byHash = new Map();
+    this.byLabel = new Map();
+    this.counters = {};
+  }
+
+  _add(entry) {
+    this.byHash.set(entry.hash, entry);
+    this.byLabel.set(entry.label, entry);
+
+    const prefix = entry.label.slice(0, entry.label.lastIndexOf('_'));
+    const number = parseInt(entry.label.slice(entry.label.lastIndexOf('_') + 1), 10);
+    this.counters[prefix] = Math.max(this.counters[prefix] || 0, number);
+  }
+
+  /**
+   * Return the placeholder for a value, assigning the next number on first use.
+   *
+   * @param {string} category - PII category
+   * @param {string} value - Sensitive value
+   * @returns {string} Placeholder such as "EMAIL_1"
+   */
+  pseudonymFor(category, value) {
+    const hash = keyStore.hash(`${category}:${normalizeValue(category, value)}`, this.keyId);
+    const existing = this.byHash.get(hash);
+    if (existing) {
+      return existing.label;
+    }
+
+    const prefix = prefixFor(category);
+    const entry = {
+      label: `${prefix}_${(this.counters[prefix] || 0) + 1}`,
+      category,
+      hash,
+      encrypted: keyStore.encrypt(value)
+    };
+    this._add(entry);
+    return entry.label;
+  }
+
+  /**
+   * Decrypt the value behind a placeholder (its first spelling in the session).
+   *
+   * @param {string} label - Placeholder
+   * @returns {string|null} Original value, or null for unknown placeholders
+   */
+  reveal(label) {
+    const entry = this.byLabel.get(label);
+    return entry ? keyStore.decrypt(entry.encrypted) : null;
+  }
+
+  /**
+   * Replace every placeholder of this session in a text with its original value.
+   *
+   * @param {string} text - Pseudonymized text
+   * @returns {string} Text with the original values
+   */
+  restore(text) {
+    if (this.byLabel.size === 0) {
+      return text;
+    }
+
+    const labels = [...this.byLabel.keys()].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`\\b(?:${labels.join('|')})\\b`, 'g');
+    const values = new Map();
+
+    return text.replace(pattern, label => {
+      if (!values.has(label)) {
+        values.set(label, this.reveal(label));
+      }
+      return values.get(label);
+    });
+  }
+
+  /**
+   * Serialize the session: placeholders, categories, keyed hashes and ciphertext,
+   * signed with the session's key.
+   *
+   * @returns {object} Signed session mapping
+   */
+  toJSON() {
+    const data = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      id: this.id,
+      created: this.created,
+      key_id: this.keyId,
+      entries: [...this.byLabel.values()].map(entry => ({ ...entry }))
+    };
+    data.mac = keyStore.sign(serializeSession(data), this.keyId);
+    return data;
+  }
+
+  /**
+   * Rebuild a session from toJSON() output. Throws if the mapping was modified.
+   *
+   * @param {object} data - Signed session mapping
+   * @returns {PseudonymSession} Session
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== SESSION_FORMAT || data.version !== SESSION_VERSION ||
+      !Array.isArray(data.entries)) {
+      throw new Error('Not a pseudonym session');
+    }
+    if (!keyStore.verifySignature(serializeSession(data), data.mac, data.key_id)) {
+      throw new Error('Pseudonym session integrity check failed');
+    }
+
+    const session = new PseudonymSession({ id: data.id, created: data.created, keyId: data.key_id });
+    for (const entry of data.entries) {
+      session._add({ label: entry.label, category: entry.category, hash: entry.hash, encrypted: entry.encrypted });
+    }
+    return session;
+  }
+}
+
+module.exports = {
+  PseudonymSession,
+  PSEUDONYM_PREFIXES,
+  normalizeValue
+};
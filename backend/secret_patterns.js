@@ -0,0 +1,149 @@
+/**
+ * Secret Patterns Module for Socio.io
+ * Credential patterns and the checks that tell real credentials from placeholders. The
+ * backend uses them for the "secrets" category (text_analysis.js); the browser extension
+ * uses them to hide credentials when the backend cannot be reached.
+ *
+ * This file is the only place the patterns are written. The extension loads a copy,
+ * extension/secret-patterns.js, that build.js writes (node build.js --extension copies it
+ * alone); edit this file and regenerate the copy, never the other way round.
+ *
+ * It loads both as a CommonJS module and as a plain browser script, where it defines
+ * the global SocioSecretPatterns; it must not require anything.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SocioSecretPatterns = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // "password: ", "api_key=", "\"client_secret\": " ... in front of a secret value
+  const SECRET_ASSIGNMENT = '\\b(?:password|passwd|pwd|passphrase|secret|client[_-]?secret|api[_-]?key|apikey|' +
+    'access[_-]?token|auth[_-]?token|aws_secret_access_key)["\']?\\s*[:=]\\s*';
+
+  // Cloud and chat tokens, JWTs, private keys, connection strings with a password and
+  // "password: ..." style assignments (value only). Strings, or RegExps where they need
+  // flags; the global flag is added when they are compiled.
+  const SECRET_PATTERNS = [
+    '\\b(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16}\\b',  // AWS access key ID
+    '\\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\\b',  // GitHub tokens
+    '\\bxox[baprs]-[A-Za-z0-9-]{10,}',  // Slack tokens
+    'https://hooks\\.slack\\.com/services/T[A-Z0-9]+/B[A-Z0-9]+/[A-Za-z0-9]+',  // Slack webhooks
+    '\\beyJ[A-Za-z0-9_-]{8,}\\.eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}',  // JWT
+    '-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----[\\s\\S]*?-----END (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----',
+    '\\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\\+srv)?|rediss?|amqps?|mssql|sqlserver)://[^\\s:@/]+:[^\\s@/]+@[^\\s/\'"]+(?:/[^\\s\'"]*)?',
+    new RegExp(`(?<=${SECRET_ASSIGNMENT}")[^"\\n]{6,}(?=")`, 'i'),  // password: "..."
+    new RegExp(`(?<=${SECRET_ASSIGNMENT}')[^'\\n]{6,}(?=')`, 'i'),  // password: '...'
+    new RegExp(`(?<=${SECRET_ASSIGNMENT})[^\\s"'\`,;&]{6,}`, 'i')  // password=...
+  ];
+
+  // Values that stand in for a secret in documentation and config templates
+  const PLACEHOLDER_SECRETS = [
+    'password', 'passwd', 'secret', 'required', 'optional', 'none', 'null', 'undefined',
+    'empty', 'hidden', 'redacted', 'example', 'string', 'true', 'false', 'your_password',
+    'yourpassword', 'your-api-key', 'your_api_key', 'placeholder'
+  ];
+
+  // Shannon entropy in bits per character; random keys score high, words and
+  // placeholders like "xxxxxxxx" low
+  function shannonEntropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    const length = value.length;
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / length;
+      return entropy - p * Math.log2(p);
+    }, 0);
+  }
+
+  function isPlaceholderSecret(value) {
+    return PLACEHOLDER_SECRETS.includes(value.toLowerCase()) ||
+      /^(?:<.*>|\$\{.*\}|\{\{.*\}\}|%s|(.)\1*)$/.test(value) ||
+      /^[*x.]+$/i.test(value);
+  }
+
+  // Decode one base64url part of a JWT, in Node and in the browser
+  function decodeBase64Url(value) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(value, 'base64url').toString('utf8');
+    }
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return decodeURIComponent(escape(atob(base64 + '='.repeat((4 - base64.length % 4) % 4))));
+  }
+
+  /**
+   * Check a pattern match is a credential and not an example or placeholder.
+   *
+   * @param {string} match - Text matched by one of SECRET_PATTERNS
+   * @returns {boolean} True when the match looks like a real credential
+   */
+  function isValidSecret(match) {
+    // Private keys: the body must hold key material, not "..." or a short example
+    if (match.startsWith('-----BEGIN')) {
+      const body = match.replace(/-----(?:BEGIN|END)[^-]*-----/g, '').replace(/\s/g, '');
+      return body.length >= 64 && shannonEntropy(body) >= 4;
+    }
+
+    // JWT: the header must decode to JSON naming a signing algorithm
+    if (/^eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+$/.test(match)) {
+      try {
+        const header = JSON.parse(decodeBase64Url(match.split('.')[0]));
+        return typeof header.alg === 'string';
+      } catch (err) {
+        return false;
+      }
+    }
+
+    // Connection strings: the password part must not be a placeholder
+    const connection = match.match(/^[a-z+]+:\/\/[^:]+:([^@]+)@/i);
+    if (connection) {
+      return !isPlaceholderSecret(connection[1]);
+    }
+
+    // Tokens with a fixed prefix: the random part must look random
+    const prefixed = match.match(/^(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA|gh[pousr]_|github_pat_|xox[baprs]-|https:\/\/hooks\.slack\.com\/services\/)(.+)$/);
+    if (prefixed) {
+      return shannonEntropy(prefixed[1]) >= 3;
+    }
+
+    // Assigned values ("password: ..."): not a placeholder, not a single repeated pattern
+    return !isPlaceholderSecret(match) && shannonEntropy(match) >= 2;
+  }
+
+  /**
+   * Find credentials in text.
+   *
+   * @param {string} text - Text to scan
+   * @returns {Array<object>} { start, end, text } of each credential, sorted by start
+   */
+  function findSecrets(text) {
+    const found = [];
+    for (const pattern of SECRET_PATTERNS) {
+      const regex = typeof pattern === 'string' ?
+        new RegExp(pattern, 'g') :
+        new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (isValidSecret(match[0])) {
+          found.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+        }
+      }
+    }
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  return {
+    SECRET_ASSIGNMENT,
+    SECRET_PATTERNS,
+    PLACEHOLDER_SECRETS,
+    shannonEntropy,
+    isPlaceholderSecret,
+    isValidSecret,
+    findSecrets
+  };
+});
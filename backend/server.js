@@ -1,20 +1,21 @@
 /**
  * Socio.io Content Moderation Backend Server
- * This Express server provides content moderation APIs for the Socio.io browser extension.
- * It uses Python scripts for advanced content filtering with Google Cloud Vision and text analysis.
+ * The single server bootstrap for the Socio.io browser extension. Text analysis, image
+ * analysis, recovery, history and debug routes live in feature modules under features/
+ * and are switched on or off by configuration (config.js). The legacy route names
+ * (/filter/text, /filter/image, /decrypt) stay available as aliases.
+ *
+ * app.js, index.js, server-simple.js and server-minimal.js all start this server.
  */
 
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const winston = require('winston');
-const ContentFilter = require('./content_filter');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-
-// Load environment variables
-dotenv.config();
+const { loadConfig } = require('./config');
+const textAnalysis = require('./text_analysis');
 
 // Configure logging
 const logger = winston.createLogger({
@@ -48,19 +49,6 @@ const setupGoogleCredentials = () => {
     return true;
   } 
   
-  // Handle Google Cloud credentials from Base64 environment variable
-  if (process.env.GOOGLE_CLOUD_CREDENTIALS_BASE64) {
-    try {
-      const credentialsJson = Buffer.from(process.env.GOOGLE_CLOUD_CREDENTIALS_BASE64, 'base64').toString();
-      const tempCredentialsPath = path.join(__dirname, 'google_credentials_temp.json');
-      fs.writeFileSync(tempCredentialsPath, credentialsJson);
-      process.env.GOOGLE_APPLICATION_CREDENTIALS = tempCredentialsPath;
-      console.log('Google Cloud credentials loaded from environment variable');
-    } catch (error) {
-      console.error('Error setting up Google Cloud credentials:', error);
-    }
-  }
-  
   // Check if credentials are provided as environment variables (for deployment)
   if (process.env.GOOGLE_CLOUD_CREDENTIALS_JSON) {
     logger.info('Using Google Cloud credentials from environment variable');
@@ -122,103 +110,122 @@ const setupGoogleCredentials = () => {
   return false;
 };
 
-// Setup Google Cloud credentials
-const googleCredentialsAvailable = setupGoogleCredentials();
+// Feature modules, switched on and off by config.features (see config.js)
+const FEATURE_MODULES = {
+  text: './features/text',
+  image: './features/image',
+  recovery: './features/recovery',
+  history: './features/history',
+  debug: './features/debug'
+};
 
-// Initialize Express app
-const app = express();
-app.use(express.json());
-app.use(cors());
+/**
+ * Build the Express app with the core routes and every enabled feature module.
+ *
+ * @param {object} config - Server configuration from loadConfig()
+ * @returns {object} The Express app; app.locals.context holds the shared feature context
+ */
+function createApp(config = loadConfig()) {
+  const app = express();
+  app.use(express.json());
+  app.use(cors());
 
-// Initialize content filter
-const contentFilter = new ContentFilter();
+  const context = {
+    config,
+    logger,
+    features: [],
+    modules: [],
+    stats: {
+      text_filtered: 0,
+      images_filtered: 0,
+      total_requests: 0
+    }
+  };
+  app.locals.context = context;
 
-// Simple endpoint to check if the server is running
-app.get('/ping', (req, res) => {
-  logger.info('Received ping request');
-  res.json({ status: 'ok', message: 'pong' });
-});
+  // Simple endpoint to check if the server is running
+  app.get('/ping', (req, res) => {
+    logger.info('Received ping request');
+    res.json({ status: 'ok', message: 'pong' });
+  });
 
-// Filter text content for inappropriate content
-app.post('/filter/text', async (req, res) => {
-  try {
-    const { text } = req.body;
-    if (!text) {
-      return res.status(400).json({ error: 'No text provided' });
+  app.get('/', (req, res) => {
+    res.send('Socio.io Backend Server is running!');
+  });
+
+  // Get the status of the backend server
+  app.get('/status', (req, res) => {
+    res.json({
+      status: 'running',
+      stats: context.stats,
+      version: config.version,
+      features: context.features
+    });
+  });
+
+  app.get('/api/status', (req, res) => {
+    res.json({
+      active: true,
+      version: config.version,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  for (const [name, modulePath] of Object.entries(FEATURE_MODULES)) {
+    if (!config.features[name]) {
+      logger.info(`Feature ${name} disabled`);
+      continue;
     }
-    
-    logger.info(`Filtering text: ${text.substring(0, 50)}...`);
-    
-    // Filter the text using the async method
-    const result = await contentFilter.filterText(text);
-    
-    return res.json(result);
-  } catch (error) {
-    logger.error(`Error filtering text: ${error.message}`);
-    return res.status(500).json({ error: error.message });
+    const feature = require(modulePath);
+    feature.register(app, context);
+    context.features.push(name);
+    context.modules.push(feature);
   }
-});
 
-// Filter image content for inappropriate content
-app.post('/filter/image', async (req, res) => {
-  try {
-    const { url } = req.body;
-    if (!url) {
-      return res.status(400).json({ error: 'No image URL provided' });
-    }
-    
-    logger.info(`Filtering image: ${url}`);
-    
-    // Filter the image using the async method
-    const result = await contentFilter.filterImage(url);
-    
-    return res.json(result);
-  } catch (error) {
-    logger.error(`Error filtering image: ${error.message}`);
-    return res.status(500).json({ error: error.message });
+  return app;
+}
+
+/**
+ * Prepare credentials, folders and encryption, then start listening.
+ *
+ * @param {object} overrides - Configuration overrides, see loadConfig()
+ * @returns {Promise<object>} The running HTTP server
+ */
+async function startServer(overrides = {}) {
+  logger.info("Starting Socio.io Content Moderation Backend");
+
+  const googleCredentialsAvailable = setupGoogleCredentials();
+  const config = loadConfig(overrides);
+
+  for (const folder of [config.logFolder, config.uploadFolder]) {
+    fs.mkdirSync(folder, { recursive: true });
   }
-});
 
-// Decrypt previously filtered content
-app.post('/decrypt', async (req, res) => {
-  try {
-    const { encrypted } = req.body;
-    if (!encrypted) {
-      return res.status(400).json({ error: 'No encrypted content provided' });
+  await textAnalysis.initializeCrypto(config.encryptionKeyFile, config.keyringFile);
+
+  const app = createApp(config);
+  for (const feature of app.locals.context.modules) {
+    if (typeof feature.init === 'function') {
+      await feature.init(app.locals.context);
     }
-    
-    logger.info('Decrypting content...');
-    
-    // Decrypt the content using the async method
-    const decrypted = await contentFilter.decryptContent(encrypted);
-    
-    return res.json({ decrypted });
-  } catch (error) {
-    logger.error(`Error decrypting content: ${error.message}`);
-    return res.status(500).json({ error: error.message });
   }
-});
 
-// Get the status of the backend server
-app.get('/status', (req, res) => {
-  try {
-    const stats = contentFilter.getStats();
-    return res.json({
-      status: 'running',
-      stats,
-      version: '1.0.0',
-      python_integration: stats.python_available,
-      google_cloud_integration: stats.google_cloud_available
-    });
-  } catch (error) {
-    logger.error(`Error getting status: ${error.message}`);
-    return res.status(500).json({ error: error.message });
-  }
-});
+  return app.listen(config.port, () => {
+    logger.info(`Starting Socio.io backend server on port ${config.port}`);
+    logger.info(`Features: ${app.locals.context.features.join(', ') || 'none'}`);
+    logger.info(`Google Cloud credentials: ${googleCredentialsAvailable ? 'Available' : 'Not available'}`);
+  });
+}
+
+module.exports = {
+  createApp,
+  startServer,
+  logger
+};
 
-// Start the server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  logger.info(`Starting Socio.io backend server on port ${PORT}`);
-  logger.info(`Google Cloud credentials: ${fs.existsSync(credentialsPath) ? 'Available' : 'Not available'}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  startServer().catch(err => {
+    logger.error(`Error starting server: ${err.message}`);
+    process.exit(1);
+  });
+}
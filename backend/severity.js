@@ -0,0 +1,174 @@
+/**
+ * Severity Module for Socio.io
+ * Profanity severity tiers and what is done with a word of each tier.
+ *
+ * Tiers, mildest first (set per lexicon entry, see profanity_matcher.js and lexicons/):
+ *   mild    - "damn", "crap", "saala"
+ *   strong  - "fuck", "chutiya"
+ *   slur    - racial, homophobic and transphobic slurs
+ *   threat  - "kill yourself", "jaan se maar dunga"
+ *
+ * Actions:
+ *   keep    - the word stays as it is
+ *   soften  - the first letter stays, the rest is masked ("f***")
+ *   mask    - the whole word is masked ("****")
+ *   remove  - the word is masked and the text is removed (response action "remove")
+ *
+ * Profiles map every tier to an action. Configure with
+ *   SEVERITY_PROFILE=family                        - family, standard (default) or adult
+ *   SEVERITY_ACTIONS="mild=keep,strong=soften"     - per-tier overrides on top of the profile
+ * or per call with resolveSeverityActions("adult", { slur: "remove" }).
+ */
+
+const SEVERITY_TIERS = ['mild', 'strong', 'slur', 'threat'];
+
+const TIER_ACTIONS = ['keep', 'soften', 'mask', 'remove'];
+
+// Tier of lexicon entries and patterns that do not name one
+const DEFAULT_SEVERITY = 'strong';
+
+const SEVERITY_PROFILES = {
+  family: { mild: 'mask', strong: 'remove', slur: 'remove', threat: 'remove' },
+  standard: { mild: 'soften', strong: 'mask', slur: 'remove', threat: 'remove' },
+  adult: { mild: 'keep', strong: 'keep', slur: 'mask', threat: 'remove' }
+};
+
+const DEFAULT_PROFILE = 'standard';
+
+/**
+ * Parse a SEVERITY_ACTIONS value ("tier=action,...") or check an object of the same shape.
+ * Entries that are not "tier=action", unknown tiers and unknown actions are rejected.
+ *
+ * @param {string|object} value - Environment value or { tier: action }
+ * @returns {object} Tier -> action
+ * @throws {Error} If the value is malformed
+ */
+function parseSeverityActions(value) {
+  const actions = {};
+  if (value === undefined || value === null || value === '') {
+    return actions;
+  }
+
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(',')
+      .filter(entry => entry.trim() !== '')
+      .map(entry => {
+        const separator = entry.indexOf('=');
+        if (separator < 0) {
+          throw new Error(`Malformed severity action: ${JSON.stringify(entry.trim())} (expected tier=action)`);
+        }
+        return [entry.slice(0, separator), entry.slice(separator + 1)];
+      });
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    throw new Error('Severity actions must be a "tier=action,..." string or an object of tier to action');
+  }
+
+  for (const [tier, action] of entries) {
+    if (typeof action !== 'string') {
+      throw new Error(`Malformed severity action for ${JSON.stringify(tier)}: ${JSON.stringify(action)}`);
+    }
+    const name = String(tier).trim();
+    const setting = action.trim();
+    if (!SEVERITY_TIERS.includes(name)) {
+      throw new Error(`Unknown severity tier: ${JSON.stringify(tier)}`);
+    }
+    if (!TIER_ACTIONS.includes(setting)) {
+      throw new Error(`Unknown severity action: ${JSON.stringify(action)}`);
+    }
+    actions[name] = setting;
+  }
+  return actions;
+}
+
+/**
+ * Build the tier -> action map of a profile with overrides applied.
+ *
+ * @param {string} profile - Profile name, SEVERITY_PROFILE or "standard" by default
+ * @param {string|object} overrides - Per-tier actions, see parseSeverityActions()
+ * @returns {object} Action for every tier
+ */
+function resolveSeverityActions(profile = null, overrides = null) {
+  const name = profile || process.env.SEVERITY_PROFILE || DEFAULT_PROFILE;
+  if (!Object.prototype.hasOwnProperty.call(SEVERITY_PROFILES, name)) {
+    throw new Error(`Unknown severity profile: ${JSON.stringify(name)}`);
+  }
+  return {
+    ...SEVERITY_PROFILES[name],
+    ...parseSeverityActions(process.env.SEVERITY_ACTIONS),
+    ...parseSeverityActions(overrides)
+  };
+}
+
+/**
+ * The most severe of a list of tiers.
+ *
+ * @param {Array<string>} tiers - Tiers; unknown values and null are ignored
+ * @returns {string|null} Highest tier, or null for none
+ */
+function highestSeverity(tiers) {
+  let highest = null;
+  for (const tier of tiers) {
+    if (SEVERITY_TIERS.indexOf(tier) > SEVERITY_TIERS.indexOf(highest)) {
+      highest = tier;
+    }
+  }
+  return highest;
+}
+
+/**
+ * The strongest action any of the tiers calls for.
+ *
+ * @param {Array<string>} tiers - Tiers found; null stands for DEFAULT_SEVERITY
+ * @param {object} actions - Tier -> action, see resolveSeverityActions()
+ * @returns {string} keep, soften, mask or remove
+ */
+function strongestAction(tiers, actions) {
+  let strongest = 'keep';
+  for (const tier of tiers) {
+    const action = actions[tier || DEFAULT_SEVERITY];
+    if (TIER_ACTIONS.indexOf(action) > TIER_ACTIONS.indexOf(strongest)) {
+      strongest = action;
+    }
+  }
+  return strongest;
+}
+
+/**
+ * Replacement for a flagged word under a tier action. Softening keeps the spaces and
+ * punctuation inside a spaced-out word ("f * * *").
+ *
+ * @param {string} text - Flagged word as written
+ * @param {string} action - keep, soften, mask or remove
+ * @returns {string} Replacement text
+ */
+function applyTierAction(text, action) {
+  if (action === 'keep') {
+    return text;
+  }
+  if (action === 'soften') {
+    let first = true;
+    return text.replace(/[\p{L}\p{N}\p{M}*@$!]/gu, char => {
+      if (first) {
+        first = false;
+        return char;
+      }
+      return '*';
+    });
+  }
+  return '*'.repeat(text.length);
+}
+
+module.exports = {
+  SEVERITY_TIERS,
+  TIER_ACTIONS,
+  DEFAULT_SEVERITY,
+  SEVERITY_PROFILES,
+  parseSeverityActions,
+  resolveSeverityActions,
+  highestSeverity,
+  strongestAction,
+  applyTierAction
+};
@@ -0,0 +1,134 @@
+/**
+ * Span Utilities for Socio.io text analysis
+ * A span is one finding with character offsets into the analyzed text:
+ *   { type, start, end, text, category, detector, rule }
+ * `type` is 'sensitive', 'flagged_word' or 'flagged_sentence', `end` is exclusive.
+ * A hate speech sentence whose matches are all framed (hate_speech_context.js) also
+ * carries `context`: { matches, frames, explanation }.
+ */
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+function createSpan(type, start, end, text, category, detector, rule = null) {
+  return {
+    type,
+    start,
+    end,
+    text: text.slice(start, end),
+    category,
+    detector,
+    rule
+  };
+}
+
+// Find every occurrence of `needle` in `text`.
+// With `wholeWord` the occurrence must not be glued to other letters or digits.
+function findOccurrences(text, needle, { ignoreCase = false, wholeWord = false } = {}) {
+  const positions = [];
+  if (!needle) {
+    return positions;
+  }
+
+  // Lower-casing changes the length of a few characters, which would shift offsets;
+  // fall back to an exact search in that case
+  const folded = ignoreCase ? text.toLowerCase() : text;
+  const caseless = folded.length === text.length;
+  const search = caseless ? folded : text;
+  const term = caseless && ignoreCase ? needle.toLowerCase() : needle;
+
+  let index = search.indexOf(term);
+  while (index !== -1) {
+    const end = index + term.length;
+    const before = index > 0 ? text[index - 1] : '';
+    const after = end < text.length ? text[end] : '';
+    if (!wholeWord || (!WORD_CHAR.test(before) && !WORD_CHAR.test(after))) {
+      positions.push([index, end]);
+    }
+    index = search.indexOf(term, index + 1);
+  }
+  return positions;
+}
+
+// Build spans for a detector that only reports matched strings (e.g. LLM detectors)
+// by locating every occurrence of each string in the text.
+function spansFromResult(text, result, detector) {
+  const spans = [];
+
+  for (const [category, items] of Object.entries(result.sensitive_info || {})) {
+    const list = Array.isArray(items) ? items : (items ? [items] : []);
+    for (const item of list) {
+      if (typeof item !== 'string' || !item.trim()) {
+        continue;
+      }
+      for (const [start, end] of findOccurrences(text, item)) {
+        spans.push(createSpan('sensitive', start, end, text, category, detector));
+      }
+    }
+  }
+
+  for (const word of result.flagged_words || []) {
+    if (typeof word !== 'string' || !word.trim()) {
+      continue;
+    }
+    for (const [start, end] of findOccurrences(text, word, { ignoreCase: true, wholeWord: true })) {
+      spans.push(createSpan('flagged_word', start, end, text, 'profanity', detector));
+    }
+  }
+
+  const sentenceCategory = result.hate_speech ? 'hate_speech' : 'profanity';
+  for (const sentence of result.flagged_sentences || []) {
+    if (typeof sentence !== 'string' || !sentence.trim()) {
+      continue;
+    }
+    for (const [start, end] of findOccurrences(text, sentence)) {
+      spans.push(createSpan('flagged_sentence', start, end, text, sentenceCategory, detector));
+    }
+  }
+
+  return spans;
+}
+
+function sortSpans(spans) {
+  return [...spans].sort((a, b) => (a.start - b.start) || (b.end - a.end));
+}
+
+function isSameSpan(a, b) {
+  return a.start === b.start && a.end === b.end && a.category === b.category && a.type === b.type;
+}
+
+// Reduce spans to a non-overlapping list ordered by start offset.
+// A span contained in another one is dropped; partially overlapping spans are merged
+// into one span covering both, described by the longer of the two.
+function resolveOverlaps(spans, text) {
+  const resolved = [];
+
+  for (const span of sortSpans(spans)) {
+    const last = resolved[resolved.length - 1];
+    if (!last || span.start >= last.end) {
+      resolved.push({ ...span });
+      continue;
+    }
+    if (span.end <= last.end) {
+      continue;
+    }
+
+    const longer = (span.end - span.start) > (last.end - last.start) ? span : last;
+    resolved[resolved.length - 1] = {
+      ...longer,
+      start: last.start,
+      end: span.end,
+      text: text.slice(last.start, span.end)
+    };
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  createSpan,
+  findOccurrences,
+  spansFromResult,
+  sortSpans,
+  isSameSpan,
+  resolveOverlaps
+};
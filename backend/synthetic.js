@@ -0,0 +1,432 @@
+/**
+ * Synthetic Data Module for Socio.io
+ * Replaces sensitive values with realistic fake ones in the same format, so redacted
+ * text can be shared and still parsed: a phone number valid in the same country, a
+ * Luhn-valid test card, a plausible PAN, an email at a reserved example domain.
+ *
+ * Generation is seeded. Each fake value is derived from the seed and the original
+ * value, so the same input and seed always give the same output, and a value that
+ * appears several times gets the same fake everywhere. The seed comes from the call,
+ * SYNTHETIC_SEED, or else is derived from the encryption key; keep it secret, as
+ * anyone holding it can test guesses of the original values.
+ */
+
+const crypto = require('crypto');
+const { keyStore } = require('./key_store');
+const { normalizeValue } = require('./pseudonyms');
+const {
+  verhoeffCheckDigit, luhnCheckDigit, ibanCheckDigits, abaCheckDigit, gstinCheckCharacter,
+  dniLetter, nirKey, elevenTest, mod11_10CheckDigit, codiceFiscaleCheckCharacter,
+  base58CheckDecode, base58CheckEncode, bech32Decode, bech32Encode, eip55Checksum
+} = require('./checksums');
+const { parsePhoneNumber } = require('./phone_numbers');
+const { HONORIFIC_START } = require('./person_names');
+
+const UPPERCASE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const DIGITS = '0123456789';
+
+const FIRST_NAMES = [
+  'aarav', 'priya', 'rahul', 'ananya', 'vikram', 'sneha', 'arjun', 'kavya',
+  'rohan', 'isha', 'karan', 'meera', 'john', 'maria', 'fatima', 'wei'
+];
+const LAST_NAMES = [
+  'sharma', 'patel', 'iyer', 'reddy', 'singh', 'das', 'khan', 'gupta',
+  'nair', 'mehta', 'smith', 'garcia'
+];
+// Reserved for documentation (RFC 2606), so fake addresses never reach a real mailbox
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+// Reserved for documentation (RFC 5737, RFC 3849), so fake addresses never reach a real host
+const DOCUMENTATION_IPV4_PREFIXES = ['192.0.2', '198.51.100', '203.0.113'];
+const DOCUMENTATION_IPV6_PREFIX = '2001:db8';
+
+const STREET_NAMES = [
+  'Park', 'Station', 'Church', 'Lake View', 'Temple', 'Gandhi', 'Nehru', 'Maple', 'Oak', 'Hill', 'Market', 'Garden'
+];
+
+// Fourth PAN character: the holder type (P = person, C = company, ...)
+const PAN_HOLDER_TYPES = 'PCHFATBLJG';
+
+// Deterministic random source for one value: SHA-256 in counter mode over a key
+// derived from the seed, the category and the normalized value
+function createRandom(seed, category, value) {
+  const key = crypto.createHmac('sha256', seed)
+    .update(`${category}:${normalizeValue(category, value)}`, 'utf8')
+    .digest();
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+
+  const nextUint32 = () => {
+    if (buffer.length < 4) {
+      buffer = crypto.createHash('sha256').update(key).update(String(counter++)).digest();
+    }
+    const n = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return n;
+  };
+
+  const random = {
+    int: (min, max) => min + (nextUint32() % (max - min + 1)),
+    pick: items => items[random.int(0, items.length - 1)],
+    digits: count => Array.from({ length: count }, () => random.pick(DIGITS)).join('')
+  };
+  return random;
+}
+
+// Put generated digits into the digit positions of the original, keeping its spacing
+// and punctuation; null when the counts differ
+function fillDigits(original, digits) {
+  const positions = (original.match(/\d/g) || []).length;
+  if (positions !== digits.length) {
+    return null;
+  }
+  let i = 0;
+  return original.replace(/\d/g, () => digits[i++]);
+}
+
+// Replace every letter and digit with a random one of the same kind
+function preserveFormat(value, random) {
+  return Array.from(value).map(char => {
+    if (/[0-9]/.test(char)) {
+      return random.pick(DIGITS);
+    }
+    if (/[A-Z]/.test(char)) {
+      return random.pick(UPPERCASE);
+    }
+    if (/[a-z]/.test(char)) {
+      return random.pick(LOWERCASE);
+    }
+    return char;
+  }).join('');
+}
+
+// Keep the first `count` letters and digits (a state or country code), randomize the rest
+function preserveLeading(value, count, random) {
+  let kept = 0;
+  return Array.from(value).map(char => {
+    if (/[A-Za-z0-9]/.test(char) && kept < count) {
+      kept += 1;
+      return char;
+    }
+    return preserveFormat(char, random);
+  }).join('');
+}
+
+// Generators per category; each returns null to fall back to preserveFormat
+const GENERATORS = {
+  phone_numbers(value, random) {
+    const parsed = parsePhoneNumber(value);
+    if (!parsed) {
+      return null;
+    }
+    // Keep the country code or trunk prefix and the leading digit (mobile or landline),
+    // replace the rest until the number is valid in the same region
+    const digits = value.replace(/\D/g, '');
+    const prefix = digits.slice(0, digits.length - parsed.nationalNumber.length);
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const national = parsed.nationalNumber[0] + random.digits(parsed.nationalNumber.length - 1);
+      const synthetic = fillDigits(value, prefix + national);
+      const check = parsePhoneNumber(synthetic);
+      if (check && check.region === parsed.region) {
+        return synthetic;
+      }
+    }
+    return null;
+  },
+
+  credit_cards(value, random) {
+    const length = value.replace(/\D/g, '').length;
+    let prefix;
+    switch (value.replace(/\D/g, '')[0]) {
+      case '5':
+        prefix = '5' + random.int(1, 5);
+        break;
+      case '3':
+        prefix = length === 15 ? random.pick(['34', '37']) : '36';
+        break;
+      case '6':
+        prefix = '6011';
+        break;
+      default:
+        prefix = '4';
+    }
+    const body = prefix + random.digits(length - prefix.length - 1);
+    return fillDigits(value, body + luhnCheckDigit(body));
+  },
+
+  aadhaar(value, random) {
+    const body = random.pick('23456789') + random.digits(10);
+    return fillDigits(value, body + verhoeffCheckDigit(body));
+  },
+
+  pan(value, random) {
+    const holderType = PAN_HOLDER_TYPES.includes(value[3]) ? value[3] : 'P';
+    const letters = count => Array.from({ length: count }, () => random.pick(UPPERCASE)).join('');
+    return letters(3) + holderType + letters(1) + random.digits(4) + letters(1);
+  },
+
+  gstin(value, random) {
+    // Keep the state code and entity number, replace the PAN and recompute the check character
+    const body = value.slice(0, 2) + GENERATORS.pan(value.slice(2, 12), random) + value.slice(12, 14);
+    return body + gstinCheckCharacter(body);
+  },
+
+  driving_licences(value, random) {
+    // Keep the state code, RTO code and year of issue, replace the serial number
+    return preserveLeading(value, 8, random);
+  },
+
+  vehicle_registrations(value, random) {
+    // Keep the state code of the plate, or the year and "BH" of a Bharat series plate
+    return preserveLeading(value, /^\d{2}[-\s]?BH/.test(value) ? 4 : 2, random);
+  },
+
+  upi_ids(value, random) {
+    // Keep the payment app's handle
+    const handle = value.slice(value.lastIndexOf('@') + 1);
+    return `${random.pick(FIRST_NAMES)}.${random.pick(LAST_NAMES)}${random.int(1, 99)}@${handle}`;
+  },
+
+  secrets(value, random) {
+    // Keep the framing that tells what kind of secret it was (key headers, token
+    // prefixes, connection string scheme, user and host), replace the secret itself
+    const pem = value.match(/^(-----BEGIN [A-Z ]+-----)([\s\S]*)(-----END [A-Z ]+-----)$/);
+    if (pem) {
+      return pem[1] + preserveFormat(pem[2], random) + pem[3];
+    }
+    const connection = value.match(/^([a-z+]+:\/\/[^:]+:)([^@]+)(@[\s\S]*)$/i);
+    if (connection) {
+      return connection[1] + preserveFormat(connection[2], random) + connection[3];
+    }
+    const prefix = value.match(/^(?:AKIA|ASIA|gh[pousr]_|github_pat_|xox[baprs]-|eyJ)/);
+    return prefix ? prefix[0] + preserveFormat(value.slice(prefix[0].length), random) : null;
+  },
+
+  ip_addresses(value, random) {
+    if (value.includes(':')) {
+      const groups = Array.from({ length: 4 }, () => random.int(0, 0xffff).toString(16));
+      return `${DOCUMENTATION_IPV6_PREFIX}::${groups.join(':')}`;
+    }
+    return `${random.pick(DOCUMENTATION_IPV4_PREFIXES)}.${random.int(1, 254)}`;
+  },
+
+  mac_addresses(value, random) {
+    // Keep the separators; the first octet is unicast and locally administered (x2, x6,
+    // xA, xE), so the fake never belongs to a real manufacturer
+    const synthetic = Array.from(value).map(char => (/[0-9A-Fa-f]/.test(char) ? random.pick('0123456789abcdef') : char));
+    synthetic[1] = random.pick('26ae');
+    const fake = synthetic.join('');
+    return value === value.toUpperCase() ? fake.toUpperCase() : fake;
+  },
+
+  crypto_wallets(value, random) {
+    const randomBytes = count => Buffer.from(Array.from({ length: count }, () => random.int(0, 255)));
+
+    // Ethereum: a checksummed address unless the original was written in one case
+    if (/^0x/.test(value)) {
+      const address = '0x' + randomBytes(20).toString('hex');
+      return value.slice(2) === value.slice(2).toLowerCase() ? address : eip55Checksum(address);
+    }
+
+    // Segwit: keep the network, witness version and program length
+    const segwit = bech32Decode(value);
+    if (segwit) {
+      const data = [segwit.data[0], ...Array.from({ length: segwit.data.length - 1 }, () => random.int(0, 31))];
+      // Bits left over after the last whole program byte are zero padding
+      const padding = ((data.length - 1) * 5) % 8;
+      data[data.length - 1] &= 31 ^ ((1 << padding) - 1);
+      const address = bech32Encode(segwit.hrp, data, segwit.encoding);
+      return value === value.toUpperCase() ? address.toUpperCase() : address;
+    }
+
+    // Legacy: keep the version byte (network and address type)
+    const payload = base58CheckDecode(value);
+    return payload ? base58CheckEncode(Buffer.concat([payload.subarray(0, 1), randomBytes(payload.length - 1)])) : null;
+  },
+
+  postal_addresses(value, random) {
+    // Replace house numbers, street names and postal codes; keep the street type and
+    // the place names, which locate the address only coarsely. Postal codes keep their
+    // first digit (the postal zone or region).
+    const parts = value.split(',').map(part => part.replace(
+      /^(\s*\d+[A-Za-z]?\s+)(?:\S+\s+)+(\S+)$/,
+      (match, number, suffix) => `${number}${random.pick(STREET_NAMES)} ${suffix}`
+    ));
+    return parts.join(',').replace(/\d+/g, run => (run.length >= 5 ?
+      run[0] + random.digits(run.length - 1) :
+      String(random.int(1, 9)) + random.digits(run.length - 1)));
+  },
+
+  pin_codes(value, random) {
+    // Keep the postal zone and sub-zone
+    return preserveLeading(value, 2, random);
+  },
+
+  zip_codes(value, random) {
+    // Keep the national area digit
+    return preserveLeading(value, 1, random);
+  },
+
+  dates_of_birth(value, random) {
+    // A date a few years earlier in the same format; day and month are both 12 or less
+    // so either reading of a numeric date is valid
+    const year = String(Number(value.match(/\d{4}/)[0]) - random.int(1, 5));
+    return value.replace(/(\d+)(st|nd|rd|th)?/gi, (match, run, ordinal) => {
+      if (run.length === 4) {
+        return year;
+      }
+      const number = random.int(1, 12);
+      if (ordinal) {
+        return number + ([null, 'st', 'nd', 'rd'][number] || 'th');
+      }
+      return run.length === 2 ? String(number).padStart(2, '0') : String(number);
+    });
+  },
+
+  person_names(value, random) {
+    // Keep the honorific, initials and number of words; a single word after a honorific
+    // is a surname, otherwise the last word is
+    const honorific = (value.match(HONORIFIC_START) || [''])[0];
+    const parts = value.slice(honorific.length).split(/([ \t]+)/);
+    const capitalize = name => name[0].toUpperCase() + name.slice(1);
+    return honorific + parts.map((part, i) => {
+      if (/^\s*$/.test(part)) {
+        return part;
+      }
+      if (/^[A-Z]\.$/.test(part)) {
+        return random.pick(UPPERCASE) + '.';
+      }
+      const isLast = i === parts.length - 1 && (parts.length > 1 || honorific);
+      return capitalize(random.pick(isLast ? LAST_NAMES : FIRST_NAMES));
+    }).join('');
+  },
+
+  emails(value, random) {
+    return `${random.pick(FIRST_NAMES)}.${random.pick(LAST_NAMES)}${random.int(1, 99)}@${random.pick(EMAIL_DOMAINS)}`;
+  },
+
+  ifsc_codes(value, random) {
+    // Four letter bank code, a zero, six character branch code
+    const synthetic = preserveFormat(value, random);
+    return synthetic.length === 11 ? synthetic.slice(0, 4) + '0' + synthetic.slice(5) : synthetic;
+  },
+
+  iban_numbers(value, random) {
+    // Keep the country, replace the account part and recompute the check digits
+    const compact = value.replace(/\s/g, '');
+    const country = compact.slice(0, 2);
+    const bban = preserveFormat(compact.slice(4), random);
+    const iban = country + ibanCheckDigits(country, bban) + bban;
+    let i = 0;
+    return value.replace(/\S/g, () => iban[i++]);
+  },
+
+  routing_numbers(value, random) {
+    // Keep the Federal Reserve routing symbol (first two digits)
+    const digits = value.replace(/\D/g, '');
+    const body = digits.slice(0, 2) + random.digits(6);
+    return fillDigits(value, body + abaCheckDigit(body));
+  },
+
+  ssn(value, random) {
+    // Area 100-665 avoids the never-issued 000, 666 and 900-999 ranges
+    const digits = String(random.int(100, 665)) +
+      String(random.int(1, 99)).padStart(2, '0') +
+      String(random.int(1, 9999)).padStart(4, '0');
+    return fillDigits(value, digits);
+  },
+
+  dni_numbers(value, random) {
+    // Keep the NIE prefix letter, replace the number and recompute the control letter
+    const prefix = /^[XYZ]/.test(value) ? value[0] : '';
+    const number = random.digits(prefix ? 7 : 8);
+    const letter = dniLetter((prefix ? 'XYZ'.indexOf(prefix) : '') + number);
+    let i = 0;
+    const digits = value.slice(prefix.length).replace(/\d/g, () => number[i++]);
+    return prefix + digits.slice(0, -1) + letter;
+  },
+
+  nir_numbers(value, random) {
+    // Keep sex, birth year and month and department, replace commune and order number
+    const compact = value.replace(/[\s.]/g, '');
+    const body = compact.slice(0, 7) + random.digits(6);
+    const nir = body + nirKey(body);
+    let i = 0;
+    return value.replace(/[^\s.]/g, () => nir[i++]);
+  },
+
+  codice_fiscale(value, random) {
+    // Keep birth date, sex and place (characters 7-15), replace the name letters
+    const letters = Array.from({ length: 6 }, () => random.pick(UPPERCASE)).join('');
+    const body = letters + value.slice(6, 15);
+    return body + codiceFiscaleCheckCharacter(body);
+  },
+
+  bsn_numbers(value, random) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const digits = random.pick('123456789') + random.digits(8);
+      if (elevenTest(digits)) {
+        return fillDigits(value, digits);
+      }
+    }
+    return null;
+  },
+
+  german_tax_ids(value, random) {
+    // Ten digits with exactly one repeated digit, then the check digit
+    const digits = DIGITS.split('');
+    for (let i = digits.length - 1; i > 0; i--) {
+      const j = random.int(0, i);
+      [digits[i], digits[j]] = [digits[j], digits[i]];
+    }
+    if (digits[0] === '0') {
+      digits.push(digits.shift());
+    }
+    digits[9] = digits[random.int(0, 8)];
+    const body = digits.join('');
+    return fillDigits(value, body + mod11_10CheckDigit(body));
+  },
+
+  nhs_numbers(value, random) {
+    // A leading 4 keeps it from reading as an Indian mobile number
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const body = '4' + random.digits(8);
+      const weights = [10, 9, 8, 7, 6, 5, 4, 3, 2];
+      const sum = body.split('').reduce((total, digit, i) => total + parseInt(digit) * weights[i], 0);
+      const checkDigit = (11 - (sum % 11)) % 11;
+      if (checkDigit !== 10) {
+        return fillDigits(value, body + checkDigit);
+      }
+    }
+    return null;
+  }
+};
+
+function resolveSeed(seed) {
+  if (seed !== undefined && seed !== null && seed !== '') {
+    return String(seed);
+  }
+  if (process.env.SYNTHETIC_SEED) {
+    return process.env.SYNTHETIC_SEED;
+  }
+  return keyStore.sign('synthetic data seed');
+}
+
+/**
+ * Produce a fake value in the format of a sensitive value.
+ *
+ * @param {string} value - Sensitive value
+ * @param {string} category - PII category
+ * @param {object} options - { seed }
+ * @returns {string} Synthetic value
+ */
+function synthesizeValue(value, category, options = {}) {
+  const random = createRandom(resolveSeed(options.seed), category, value);
+  const generator = GENERATORS[category];
+  return (generator && generator(value, random)) || preserveFormat(value, random);
+}
+
+module.exports = {
+  synthesizeValue
+};
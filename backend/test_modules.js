@@ -0,0 +1,32 @@
+/**
+ * Module tests for Socio.io backend
+ *
+ * Behaviour tests for the backend modules that run without a server or network access.
+ * The tests live in tests/*.test.js, one file per area.
+ * Run with: node test_modules.js [file ...]   e.g. node test_modules.js detector_registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Only the offline detectors run, and keys come from temporary keyrings
+process.env.TEXT_DETECTORS = 'regex_pii,lexicon';
+delete process.env.ENCRYPTION_KEYS;
+delete process.env.ENCRYPTION_ACTIVE_KEY_ID;
+
+const harness = require('./tests/harness');
+
+const testDir = path.join(__dirname, 'tests');
+harness.load(fs.readdirSync(testDir)
+  .filter(name => name.endsWith('.test.js'))
+  .sort()
+  .map(name => path.join(testDir, name)));
+
+harness.run(process.argv.slice(2))
+  .then(failed => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { regexPatternDetection } = require('../text_analysis');
+
+function found(text) {
+  return regexPatternDetection(text).spans.map(span => [span.category, span.text]);
+}
+
+test('street addresses run from the house number to the postal code', () => {
+  assert.deepStrictEqual(found('Ship to 221B Baker Street, London'), [['postal_addresses', '221B Baker Street, London']]);
+  assert.deepStrictEqual(found('I live at 42 MG Road, Bengaluru 560001'), [['postal_addresses', '42 MG Road, Bengaluru 560001']]);
+  assert.deepStrictEqual(found('Flat No. 4B, Green Park, Delhi'), [['postal_addresses', 'Flat No. 4B, Green Park, Delhi']]);
+  assert.deepStrictEqual(found('Room 101 at the office'), []);
+});
+
+test('PIN and ZIP codes are only reported next to address keywords', () => {
+  assert.deepStrictEqual(found('PIN code 560001'), [['pin_codes', '560001']]);
+  assert.deepStrictEqual(found('zip 94105-1234 here'), [['zip_codes', '94105-1234']]);
+  assert.deepStrictEqual(found('Order 560001 shipped'), []);
+});
+
+test('dates of birth need a birth keyword and a real date', () => {
+  assert.deepStrictEqual(found('Born on 14/03/1990'), [['dates_of_birth', '14/03/1990']]);
+  assert.deepStrictEqual(found('DOB: 1990-03-14'), [['dates_of_birth', '1990-03-14']]);
+  assert.deepStrictEqual(found('born 12 March 1998'), [['dates_of_birth', '12 March 1998']]);
+  assert.deepStrictEqual(found('birthday March 12, 1998'), [['dates_of_birth', 'March 12, 1998']]);
+  assert.deepStrictEqual(found('Date of birth 31/02/1990'), []);
+  assert.deepStrictEqual(found('Meeting on 14/03/2024'), []);
+});
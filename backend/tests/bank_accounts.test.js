@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { regexPatternDetection } = require('../text_analysis');
+
+function found(text) {
+  return regexPatternDetection(text).spans.map(span => [span.category, span.text]);
+}
+
+test('IBANs are found grouped or compact and must pass mod 97', () => {
+  assert.deepStrictEqual(found('Transfer to GB82 WEST 1234 5698 7654 32 today'), [['iban_numbers', 'GB82 WEST 1234 5698 7654 32']]);
+  assert.deepStrictEqual(found('IBAN DE89370400440532013000'), [['iban_numbers', 'DE89370400440532013000']]);
+  assert.deepStrictEqual(found('Pay GB82WEST12345698765432 NOW'), [['iban_numbers', 'GB82WEST12345698765432']]);
+  assert.deepStrictEqual(found('IBAN GB82 WEST 1234 5698 7654 33'), []);
+});
+
+test('routing numbers need a valid check digit and banking context', () => {
+  assert.deepStrictEqual(found('Routing number 011000015 please'), [['routing_numbers', '011000015']]);
+  assert.deepStrictEqual(found('Ticket 011000015'), []);
+  assert.deepStrictEqual(found('routing 011000016'), []);
+});
+
+test('UK sort code and account number pairs are found together', () => {
+  assert.deepStrictEqual(found('Sort code 12-34-56 account 12345678'), [['uk_bank_accounts', '12-34-56 account 12345678']]);
+});
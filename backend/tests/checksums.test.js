@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const {
+  luhnCheck, luhnCheckDigit, verhoeffCheck, verhoeffCheckDigit, ibanCheck, ibanCheckDigits, abaCheck, abaCheckDigit
+} = require('../checksums');
+
+test('Luhn accepts valid card numbers and rejects a changed digit', () => {
+  assert.strictEqual(luhnCheck('4111111111111111'), true);
+  assert.strictEqual(luhnCheck('79927398713'), true);
+  assert.strictEqual(luhnCheck('4111111111111112'), false);
+  assert.strictEqual(luhnCheckDigit('7992739871'), '3');
+});
+
+test('Verhoeff accepts valid numbers and catches swapped digits', () => {
+  assert.strictEqual(verhoeffCheck('2363'), true);
+  assert.strictEqual(verhoeffCheck('2364'), false);
+  assert.strictEqual(verhoeffCheck('3263'), false);
+  assert.strictEqual(verhoeffCheckDigit('236'), '3');
+  const aadhaar = '23412341234';
+  assert.strictEqual(verhoeffCheck(aadhaar + verhoeffCheckDigit(aadhaar)), true);
+});
+
+test('IBAN mod 97 accepts valid IBANs and rejects a changed character', () => {
+  assert.strictEqual(ibanCheck('GB82WEST12345698765432'), true);
+  assert.strictEqual(ibanCheck('DE89370400440532013000'), true);
+  assert.strictEqual(ibanCheck('GB82WEST12345698765433'), false);
+  assert.strictEqual(ibanCheck('GB82WEST1234569876543!'), false);
+  assert.strictEqual(ibanCheckDigits('GB', 'WEST12345698765432'), '82');
+});
+
+test('ABA routing numbers use weights 3, 7, 1', () => {
+  assert.strictEqual(abaCheck('011000015'), true);
+  assert.strictEqual(abaCheck('011000016'), false);
+  assert.strictEqual(abaCheck('01100001'), false);
+  assert.strictEqual(abaCheckDigit('01100001'), '5');
+});
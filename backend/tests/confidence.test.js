@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { regexPatternDetection } = require('../text_analysis');
+
+function found(text, options) {
+  return regexPatternDetection(text, options).spans.map(span => [span.category, span.text]);
+}
+
+test('a bare nine-digit number is not an SSN without supporting context', () => {
+  assert.deepStrictEqual(found('Order 123456789 shipped'), []);
+  assert.deepStrictEqual(found('My SSN is 123456789'), [['ssn', '123456789']]);
+  assert.deepStrictEqual(found('SSN: 123-45-6789'), [['ssn', '123-45-6789']]);
+});
+
+test('card numbers must pass the Luhn check', () => {
+  assert.deepStrictEqual(found('card 4111 1111 1111 1111'), [['credit_cards', '4111 1111 1111 1111']]);
+  assert.deepStrictEqual(found('card 4111 1111 1111 1112'), []);
+});
+
+test('Aadhaar numbers must pass the Verhoeff check', () => {
+  assert.deepStrictEqual(found('aadhaar 2345 6789 0124'), [['aadhaar', '2345 6789 0124']]);
+  assert.deepStrictEqual(found('aadhaar 2345 6789 0123'), []);
+});
+
+test('spans carry a confidence between 0 and 1', () => {
+  const spans = regexPatternDetection('My SSN is 123456789, mail jane@example.com').spans;
+  assert.ok(spans.length >= 2);
+  for (const span of spans) {
+    assert.ok(span.confidence > 0 && span.confidence <= 1, `${span.category} confidence ${span.confidence}`);
+  }
+});
+
+test('per-call thresholds override the defaults', () => {
+  assert.deepStrictEqual(found('Order 123456789 shipped', { thresholds: { ssn: 0.2 } }), [['ssn', '123456789']]);
+  assert.deepStrictEqual(found('SSN: 123-45-6789', { thresholds: { ssn: 1.1 } }), []);
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { DetectorRegistry, createEmptyResults, mergeResults } = require('../detector_registry');
+const textAnalysis = require('../text_analysis');
+
+function detector(name, result, extra = {}) {
+  return { name, categories: ['emails'], detect: async () => result, ...extra };
+}
+
+test('register rejects detectors without a name, categories or detect()', () => {
+  const registry = new DetectorRegistry();
+  assert.throws(() => registry.register({ categories: [], detect() {} }), /must have a name/);
+  assert.throws(() => registry.register({ name: 'x', detect() {} }), /must declare its categories/);
+  assert.throws(() => registry.register({ name: 'x', categories: [] }), /must implement detect/);
+});
+
+test('resolve follows the explicit list, then TEXT_DETECTORS, and drops disabled names', () => {
+  const registry = new DetectorRegistry()
+    .register(detector('a', null))
+    .register(detector('b', null))
+    .register(detector('c', null));
+
+  assert.deepStrictEqual(registry.resolve({ detectors: 'c, a, unknown' }).map(d => d.name), ['c', 'a']);
+  assert.deepStrictEqual(registry.resolve({ detectors: ['a', 'b', 'c'], disabled: 'b' }).map(d => d.name), ['a', 'c']);
+
+  const previous = process.env.TEXT_DETECTORS;
+  process.env.TEXT_DETECTORS = 'b';
+  try {
+    assert.deepStrictEqual(registry.resolve().map(d => d.name), ['b']);
+  } finally {
+    process.env.TEXT_DETECTORS = previous;
+  }
+});
+
+test('run merges findings and records detectors that fail or find nothing', async () => {
+  const registry = new DetectorRegistry()
+    .register(detector('first', { profanity: true, flagged_words: ['damn'], sensitive_info: { emails: ['a@b.com'] } }))
+    .register(detector('second', { flagged_words: ['damn', 'hell'], sensitive_info: { emails: 'c@d.com' } }))
+    .register(detector('empty', null))
+    .register({ name: 'broken', categories: [], detect: async () => { throw new Error('offline'); } })
+    .register(detector('skipped', { hate_speech: true }, { supports: () => false }));
+
+  const results = await registry.run('text', { detectors: ['first', 'second', 'empty', 'broken', 'skipped'] });
+  assert.strictEqual(results.profanity, true);
+  assert.strictEqual(results.hate_speech, false);
+  assert.deepStrictEqual(results.flagged_words, ['damn', 'hell']);
+  assert.deepStrictEqual(results.sensitive_info.emails, ['a@b.com', 'c@d.com']);
+  assert.deepStrictEqual(results.detectors, [
+    { name: 'first', status: 'ok' },
+    { name: 'second', status: 'ok' },
+    { name: 'empty', status: 'no_result' },
+    { name: 'broken', status: 'error', error: 'offline' }
+  ]);
+});
+
+test('mergeResults ignores missing partial results', () => {
+  const results = createEmptyResults();
+  assert.strictEqual(mergeResults(results, null), results);
+  assert.deepStrictEqual(results.flagged_words, []);
+});
+
+test('detectContent runs the offline detectors and lists every category', async () => {
+  const results = await textAnalysis.detectContent('Write to jane.doe@example.com, damn it');
+  assert.deepStrictEqual(results.detectors.map(d => d.name), ['regex_pii', 'lexicon']);
+  assert.deepStrictEqual(results.sensitive_info.emails, ['jane.doe@example.com']);
+  assert.strictEqual(results.profanity, true);
+  assert.ok(Array.isArray(results.sensitive_info.phone_numbers));
+});
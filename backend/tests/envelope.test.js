@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { test, tempPath } = require('./harness');
+const textAnalysis = require('../text_analysis');
+const { createEnvelope, verifyEnvelope, openEnvelope, isEnvelope } = require('../envelope');
+
+async function redact(text) {
+  await textAnalysis.initializeCrypto(tempPath('envelope.key'), tempPath('envelope_keys.json'));
+  const detection = textAnalysis.regexPatternDetection(text);
+  return textAnalysis.processText(text, detection, 'encrypt');
+}
+
+test('processText signs an envelope that restores the original text', async () => {
+  const text = 'Mail bob@example.com or amy@example.com now';
+  const { processedText, envelope } = await redact(text);
+  assert.ok(isEnvelope(envelope));
+  assert.strictEqual(envelope.processed_text, processedText);
+  assert.strictEqual(envelope.spans.length, 2);
+  assert.ok(!JSON.stringify(envelope).includes('bob@example.com'));
+
+  assert.deepStrictEqual(verifyEnvelope(envelope), { valid: true, error: null });
+  assert.strictEqual(openEnvelope(JSON.parse(JSON.stringify(envelope))), text);
+});
+
+test('a tampered envelope fails verification', async () => {
+  const { processedText, encryptionLog } = await redact('Mail bob@example.com now');
+  const envelope = createEnvelope(processedText, encryptionLog);
+
+  const changedText = { ...envelope, processed_text: envelope.processed_text.replace('now', 'later') };
+  assert.deepStrictEqual(verifyEnvelope(changedText), { valid: false, error: 'Envelope integrity check failed' });
+  assert.throws(() => openEnvelope(changedText), /integrity check failed/);
+
+  const movedSpan = { ...envelope, spans: [{ ...envelope.spans[0], position: 0 }] };
+  assert.strictEqual(verifyEnvelope(movedSpan).valid, false);
+
+  const unknownKey = { ...envelope, key_id: 'k00000000-000000' };
+  assert.match(verifyEnvelope(unknownKey).error, /Unknown encryption key/);
+
+  assert.strictEqual(verifyEnvelope({ processed_text: 'x' }).error, 'Not a redaction envelope');
+  assert.match(verifyEnvelope({ ...envelope, version: 9 }).error, /Unsupported envelope version/);
+});
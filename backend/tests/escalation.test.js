@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { test, tempPath } = require('./harness');
+const { createSpan } = require('../spans');
+const { decideEscalation, processText, initializeCrypto } = require('../text_analysis');
+
+const text = 'First sentence is hateful. Second is fine. Third is fine. Fourth is fine.';
+
+function hateResult(...sentenceStarts) {
+  return {
+    hate_speech: true,
+    spans: sentenceStarts.map(start => {
+      const end = text.indexOf('.', start) + 1;
+      return createSpan('flagged_sentence', start, end, text, 'hate_speech', 'lexicon');
+    })
+  };
+}
+
+test('threshold mode compares the hate sentence ratio and count', async () => {
+  const one = await decideEscalation(text, hateResult(0), { mode: 'threshold', sentenceRatio: 0.5, sentenceCount: 3 });
+  assert.strictEqual(one.remove_entire_text, false);
+  assert.strictEqual(one.hate_sentences, 1);
+  assert.strictEqual(one.total_sentences, 4);
+  assert.strictEqual(one.hate_sentence_ratio, 0.25);
+
+  const half = await decideEscalation(text, hateResult(0, 27), { mode: 'threshold', sentenceRatio: 0.5, sentenceCount: 3 });
+  assert.strictEqual(half.remove_entire_text, true);
+  assert.strictEqual(half.reason, 'Hate speech in 50% of sentences');
+
+  const counted = await decideEscalation(text, hateResult(0), { mode: 'threshold', sentenceRatio: 1, sentenceCount: 1 });
+  assert.strictEqual(counted.remove_entire_text, true);
+  assert.strictEqual(counted.reason, 'Hate speech in 1 sentences');
+});
+
+test('never and always ignore the thresholds', async () => {
+  const never = await decideEscalation(text, hateResult(0, 27, 43), { mode: 'never' });
+  assert.strictEqual(never.remove_entire_text, false);
+  const always = await decideEscalation(text, hateResult(0), { mode: 'always' });
+  assert.strictEqual(always.remove_entire_text, true);
+});
+
+test('prompt asks the confirm callback and falls back to threshold without one', async () => {
+  const decision = await decideEscalation(text, hateResult(0), { mode: 'prompt', sentenceRatio: 0.5, sentenceCount: 3 });
+  assert.strictEqual(decision.policy, 'threshold');
+  assert.strictEqual(decision.remove_entire_text, false);
+
+  const asked = [];
+  const confirmed = await decideEscalation(text, hateResult(0), {
+    mode: 'prompt',
+    confirm: async pending => {
+      asked.push(pending.hate_sentences);
+      return true;
+    }
+  });
+  assert.deepStrictEqual(asked, [1]);
+  assert.strictEqual(confirmed.remove_entire_text, true);
+  assert.strictEqual(confirmed.reason, 'Decided interactively');
+});
+
+test('processText removes the entire text only when the policy says so', async () => {
+  const kept = await processText(text, hateResult(0), 'remove', { escalation: { mode: 'never' } });
+  assert.strictEqual(kept.processedText, '[SENTENCE REMOVED DUE TO POLICY VIOLATION] Second is fine. Third is fine. Fourth is fine.');
+  assert.strictEqual(kept.escalation.remove_entire_text, false);
+
+  const removed = await processText(text, hateResult(0), 'remove', { escalation: { mode: 'always' } });
+  assert.strictEqual(removed.processedText, '[ENTIRE TEXT REMOVED DUE TO HATE SPEECH POLICY VIOLATION]');
+
+  await initializeCrypto(tempPath('escalation.key'), tempPath('escalation_keys.json'));
+  const encrypted = await processText(text, hateResult(0), 'encrypt', { escalation: { mode: 'always' } });
+  assert.strictEqual(encrypted.escalation, null);
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { dniLetter, nirKey, elevenTest, codiceFiscaleCheckCharacter } = require('../checksums');
+const { regexPatternDetection } = require('../text_analysis');
+
+function found(text) {
+  return regexPatternDetection(text).spans.map(span => [span.category, span.text]);
+}
+
+test('national ID check characters match the published algorithms', () => {
+  assert.strictEqual(dniLetter('12345678'), 'Z');
+  assert.strictEqual(nirKey('1850578006084'), '91');
+  assert.strictEqual(elevenTest('111222333'), true);
+  assert.strictEqual(elevenTest('111222334'), false);
+  assert.strictEqual(codiceFiscaleCheckCharacter('RSSMRA85T10A562'), 'S');
+});
+
+test('Spanish DNI and NIE numbers need the right control letter', () => {
+  assert.deepStrictEqual(found('DNI 12345678Z'), [['dni_numbers', '12345678Z']]);
+  assert.deepStrictEqual(found('NIE X1234567L'), [['dni_numbers', 'X1234567L']]);
+  assert.deepStrictEqual(found('DNI 12345678A'), []);
+});
+
+test('French NIR, Italian codice fiscale, Dutch BSN and German tax IDs are validated', () => {
+  assert.deepStrictEqual(found('numéro de sécurité sociale 1 85 05 78 006 084 91'), [['nir_numbers', '1 85 05 78 006 084 91']]);
+  assert.deepStrictEqual(found('NIR 1 85 05 78 006 084 92'), []);
+  assert.deepStrictEqual(found('codice fiscale RSSMRA85T10A562S'), [['codice_fiscale', 'RSSMRA85T10A562S']]);
+  assert.deepStrictEqual(found('codice fiscale RSSMRA85T10A562T'), []);
+  assert.deepStrictEqual(found('BSN 111222333'), [['bsn_numbers', '111222333']]);
+  assert.deepStrictEqual(found('Ref 111222333 sent'), []);
+  assert.deepStrictEqual(found('Steuer-ID 86095742719'), [['german_tax_ids', '86095742719']]);
+  assert.deepStrictEqual(found('Steuer-ID 86095742718'), []);
+});
+
+test('VAT numbers are checked per member state', () => {
+  for (const vat of ['DE136695976', 'FR40303265045', 'NL004495445B01', 'ESX1234567L', 'IT00743110157']) {
+    assert.deepStrictEqual(found(`VAT ${vat}`), [['vat_numbers', vat]]);
+  }
+  assert.deepStrictEqual(found('VAT DE136695977'), []);
+});
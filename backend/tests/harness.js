@@ -0,0 +1,89 @@
+/**
+ * Test Harness for the Socio.io backend module tests
+ * Test files in this directory register tests with test(name, fn); test_modules.js
+ * loads them and runs them in order. A test fails when fn throws or its promise
+ * rejects. Console output of a test is only shown when it fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tests = [];
+let currentFile = null;
+let tempDir = null;
+
+/**
+ * Register a test.
+ *
+ * @param {string} name - What the test checks
+ * @param {Function} fn - Test body, may be async
+ */
+function test(name, fn) {
+  tests.push({ name, fn, file: currentFile });
+}
+
+// Path of a file in the temporary directory of this run, created on first use
+function tempPath(name) {
+  if (!tempDir) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'socio-test-'));
+  }
+  return path.join(tempDir, name);
+}
+
+/**
+ * Load test files, registering their tests under the file name.
+ *
+ * @param {Array<string>} files - Absolute paths of test files
+ */
+function load(files) {
+  for (const file of files) {
+    currentFile = path.basename(file, '.test.js');
+    require(file);
+  }
+  currentFile = null;
+}
+
+/**
+ * Run the registered tests and remove the temporary directory.
+ *
+ * @param {Array<string>} only - Test file names to run (all when empty)
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function run(only = []) {
+  const selected = tests.filter(entry => only.length === 0 || only.includes(entry.file));
+  const log = console.log;
+  let failed = 0;
+
+  for (const { name, fn, file } of selected) {
+    const output = [];
+    console.log = (...args) => output.push(args.join(' '));
+    try {
+      await fn();
+      console.log = log;
+      log('\x1b[32m%s\x1b[0m', `✓ ${file}: ${name}`);
+    } catch (err) {
+      console.log = log;
+      failed += 1;
+      log('\x1b[31m%s\x1b[0m', `✗ ${file}: ${name}`);
+      for (const line of output) {
+        log(`    ${line}`);
+      }
+      log(err.stack);
+    }
+  }
+
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  }
+  log(`\n${selected.length - failed} passed, ${failed} failed`);
+  return failed;
+}
+
+module.exports = {
+  test,
+  tempPath,
+  load,
+  run
+};
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { findQuotations } = require('../hate_speech_context');
+const { detectContent, processText, isFramedHateSpeech } = require('../text_analysis');
+const { determineAction, describeReasons } = require('../features/text');
+
+const REMOVED = '[ENTIRE TEXT REMOVED DUE TO HATE SPEECH POLICY VIOLATION]';
+
+// Frames found in a text, the action it gets and the processed text
+async function handle(text) {
+  const detectionResults = await detectContent(text);
+  const action = determineAction(detectionResults);
+  const { processedText } = await processText(text, detectionResults, action);
+  return {
+    frames: detectionResults.hate_speech_context.map(context => context.frames),
+    action,
+    processed: processedText
+  };
+}
+
+test('quotations skip apostrophes and a quote that holds the whole text', () => {
+  assert.deepStrictEqual(findQuotations('He wrote “don’t go” and left'), [{ start: 9, end: 19 }]);
+  assert.deepStrictEqual(findQuotations('"I hate all those people"'), []);
+});
+
+test('unframed hate speech is removed', async () => {
+  const removed = { frames: [], action: 'remove', processed: REMOVED };
+  assert.deepStrictEqual(await handle('I hate all those people.'), removed);
+  assert.deepStrictEqual(await handle('"I hate all those people"'), removed);
+  // The writer speaking is not reported speech, and "but" ends the negation
+  assert.deepStrictEqual(await handle('I said I hate all those people.'), removed);
+  assert.deepStrictEqual(await handle('Not me, but I hate all those people.'), removed);
+});
+
+test('cues that do not apply to the hateful phrase do not frame it', async () => {
+  for (const text of [
+    'Not kidding we should kill all those people.',
+    'This is not hate speech, we should kill all those people.',
+    'Read this: we should kill all those people.'
+  ]) {
+    assert.deepStrictEqual(await handle(text), { frames: [], action: 'remove', processed: REMOVED }, text);
+  }
+});
+
+test('negated, quoted, reported and condemned hate speech is masked', async () => {
+  assert.deepStrictEqual(await handle("I don't hate all those people."),
+    { frames: [['negation']], action: 'mask', processed: "I don't *********************." });
+  assert.deepStrictEqual(await handle('The banner read "kill all those people" in red.'),
+    { frames: [['quotation', 'reported_speech']], action: 'mask', processed: 'The banner read "*********************" in red.' });
+  assert.deepStrictEqual(await handle('"Kill all those people," the leader said.'),
+    { frames: [['quotation']], action: 'mask', processed: '"*********************," the leader said.' });
+  assert.deepStrictEqual(await handle('The minister said we should kill all the people of that group.'),
+    { frames: [['reported_speech']], action: 'mask', processed: 'The minister said we should *********************************.' });
+  assert.deepStrictEqual(await handle('We condemn calls to kill all those people.'),
+    { frames: [['counter_speech']], action: 'mask', processed: 'We condemn calls to *********************.' });
+  assert.deepStrictEqual(await handle('To hate all those people is wrong.'),
+    { frames: [['counter_speech']], action: 'mask', processed: 'To ********************* is wrong.' });
+});
+
+test('one unframed sentence removes the text', async () => {
+  const result = await handle('They wrote "kill all those people". I hate all those people.');
+  assert.strictEqual(result.action, 'remove');
+  assert.strictEqual(result.processed, REMOVED);
+});
+
+test('framed matches are explained in the reasons', async () => {
+  const text = "I don't hate all those people.";
+  const result = await detectContent(text);
+  assert.strictEqual(result.hate_speech, true);
+  assert.strictEqual(isFramedHateSpeech(result), true);
+  const [context] = result.hate_speech_context;
+  assert.strictEqual(text.slice(context.start, context.end), 'hate all those people');
+  assert.deepStrictEqual(describeReasons(result), [
+    'Hate speech detected in context (masked instead of removed)',
+    'Hate speech in context: "hate all those people" is negated by "don\'t"'
+  ]);
+});
+
+test('HATE_SPEECH_CONTEXT=off ignores framing', async () => {
+  process.env.HATE_SPEECH_CONTEXT = 'off';
+  try {
+    const result = await detectContent("I don't hate all those people.");
+    assert.deepStrictEqual(result.hate_speech_context, []);
+    assert.strictEqual(isFramedHateSpeech(result), false);
+  } finally {
+    delete process.env.HATE_SPEECH_CONTEXT;
+  }
+});
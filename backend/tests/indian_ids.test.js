@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { gstinCheckCharacter } = require('../checksums');
+const { regexPatternDetection } = require('../text_analysis');
+
+function found(text) {
+  return regexPatternDetection(text).spans.map(span => [span.category, span.text]);
+}
+
+test('GSTINs must carry a valid state code, PAN and check character', () => {
+  assert.strictEqual(gstinCheckCharacter('27AAPFU0939F1Z'), 'V');
+  assert.deepStrictEqual(found('GSTIN 27AAPFU0939F1ZV'), [['gstin', '27AAPFU0939F1ZV']]);
+  assert.deepStrictEqual(found('GSTIN 27AAPFU0939F1ZX'), []);
+});
+
+test('voter IDs need election context', () => {
+  assert.deepStrictEqual(found('Voter ID ABC1234567'), [['voter_ids', 'ABC1234567']]);
+  assert.deepStrictEqual(found('Code ABC1234567'), []);
+});
+
+test('driving licences are checked for state code and year of issue', () => {
+  assert.deepStrictEqual(found('DL no MH12 2015 1234567'), [['driving_licences', 'MH12 2015 1234567']]);
+  assert.deepStrictEqual(found('DL no MH12 2035 1234567'), []);
+});
+
+test('vehicle registrations cover state series and the Bharat series', () => {
+  assert.deepStrictEqual(found('My car MH 12 AB 1234'), [['vehicle_registrations', 'MH 12 AB 1234']]);
+  assert.deepStrictEqual(found('my vehicle 22 BH 1234 AA'), [['vehicle_registrations', '22 BH 1234 AA']]);
+  assert.deepStrictEqual(found('reach ZZ 12 AB 1234 car'), []);
+});
+
+test('UPI IDs are told apart from email addresses', () => {
+  assert.deepStrictEqual(found('Pay me on upi rahul.k@okaxis'), [['upi_ids', 'rahul.k@okaxis']]);
+  assert.deepStrictEqual(found('Mail rahul@gmail.com'), [['emails', 'rahul@gmail.com']]);
+});
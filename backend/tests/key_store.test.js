@@ -0,0 +1,91 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const { test, tempPath } = require('./harness');
+const { KeyStore, parseCiphertext } = require('../key_store');
+
+function store(name) {
+  return new KeyStore({ keyringFile: tempPath(`${name}.json`), legacyKeyFile: tempPath(`${name}.key`) });
+}
+
+test('encrypt writes v2 ciphertext naming the active key', async () => {
+  const keys = await store('format').load();
+  const token = keys.encrypt('secret text');
+  const parsed = parseCiphertext(token);
+  assert.strictEqual(parsed.version, 'v2');
+  assert.strictEqual(parsed.keyId, keys.activeKeyId);
+  assert.strictEqual(parsed.iv.length, 12);
+  assert.strictEqual(keys.decrypt(token), 'secret text');
+  assert.notStrictEqual(keys.encrypt('secret text'), token);
+});
+
+test('rotation keeps older ciphertext decryptable, also after a restart', async () => {
+  const keys = await store('rotate').load();
+  const before = keys.encrypt('before rotation');
+  const oldKeyId = keys.activeKeyId;
+  const newKeyId = await keys.rotate();
+  assert.notStrictEqual(newKeyId, oldKeyId);
+  const after = keys.encrypt('after rotation');
+  assert.strictEqual(parseCiphertext(after).keyId, newKeyId);
+
+  const restarted = await store('rotate').load();
+  assert.strictEqual(restarted.activeKeyId, newKeyId);
+  assert.strictEqual(restarted.decrypt(before), 'before rotation');
+  assert.strictEqual(restarted.decrypt(after), 'after rotation');
+  assert.deepStrictEqual(restarted.list().map(entry => [entry.id, entry.active]), [[oldKeyId, false], [newKeyId, true]]);
+});
+
+test('ciphertext from another key store, tampered data or a swapped key ID is rejected', async () => {
+  const keys = await store('owner').load();
+  const stranger = await store('stranger').load();
+  const token = keys.encrypt('private');
+  assert.throws(() => stranger.decrypt(token), /Unknown encryption key/);
+
+  const parts = token.split(':');
+  const data = Buffer.from(parts[4], 'base64url');
+  data[0] ^= 1;
+  assert.throws(() => keys.decrypt([...parts.slice(0, 4), data.toString('base64url')].join(':')));
+
+  const otherKeyId = await keys.rotate();
+  assert.throws(() => keys.decrypt(['v2', otherKeyId, ...parts.slice(2)].join(':')));
+  assert.throws(() => keys.decrypt('not encrypted'), /Invalid encrypted data format/);
+});
+
+test('a truncated authentication tag is rejected', async () => {
+  const keys = await store('truncated').load();
+  const parts = keys.encrypt('private').split(':');
+  for (const length of [4, 8, 12, 15]) {
+    const tag = Buffer.from(parts[3], 'base64url').subarray(0, length).toString('base64url');
+    assert.throws(() => keys.decrypt([...parts.slice(0, 3), tag, parts[4]].join(':')),
+      /Invalid authentication tag length/);
+  }
+});
+
+test('legacy CBC records decrypt with the legacy key file, which stays active', async () => {
+  const legacyKey = crypto.randomBytes(32);
+  fs.writeFileSync(tempPath('legacy.key'), legacyKey);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', legacyKey, iv);
+  const record = `${iv.toString('hex')}:${Buffer.concat([cipher.update('old record', 'utf8'), cipher.final()]).toString('hex')}`;
+
+  const keys = await store('legacy').load();
+  assert.strictEqual(keys.activeKeyId, 'legacy');
+  assert.strictEqual(keys.decrypt(record), 'old record');
+  assert.strictEqual(fs.existsSync(tempPath('legacy.json')), false);
+});
+
+test('ENCRYPTION_KEYS supplies the keys and the first one is active', async () => {
+  const key = crypto.randomBytes(32).toString('base64');
+  process.env.ENCRYPTION_KEYS = `env1:${key},env0:${crypto.randomBytes(32).toString('base64')}`;
+  try {
+    const keys = await store('env').load();
+    assert.strictEqual(keys.activeKeyId, 'env1');
+    assert.strictEqual(parseCiphertext(keys.encrypt('x')).keyId, 'env1');
+    assert.strictEqual(fs.existsSync(tempPath('env.json')), false);
+
+    process.env.ENCRYPTION_KEYS = 'env1:short';
+    await assert.rejects(store('env-short').load(), /must be 32 bytes/);
+  } finally {
+    delete process.env.ENCRYPTION_KEYS;
+  }
+});
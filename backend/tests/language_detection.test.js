@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { identifyLanguage, detectScripts } = require('../language_detection');
+const { detectHateSpeechProfanity } = require('../text_analysis');
+
+function language(text) {
+  return identifyLanguage(text).language;
+}
+
+test('the script decides the language where only one language uses it', () => {
+  assert.deepStrictEqual(identifyLanguage('मैं आज बाजार जा रहा हूँ'), { language: 'hi', script: 'Deva', scripts: ['Deva'], confidence: 1 });
+  assert.strictEqual(language('நான் இன்று கடைக்கு போகிறேன்'), 'ta');
+  assert.strictEqual(language('তুমি কেমন আছো'), 'bn');
+});
+
+test('Latin text is told apart as English, romanized Hindi or another language', () => {
+  assert.strictEqual(language('The weather is lovely today and we are going out'), 'en');
+  assert.strictEqual(language('yaar tu kya kar raha hai aaj kal'), 'hi');
+  assert.strictEqual(language('Hola amigo, ¿cómo estás hoy?'), 'es');
+});
+
+test('a borrowed word or a name does not relabel an English sentence', () => {
+  assert.strictEqual(language('My aadhaar is ready.'), 'en');
+  assert.strictEqual(language('My name is Rahul Sharma'), 'en');
+  assert.strictEqual(language('Kutta is a village in Karnataka.'), 'en');
+  assert.ok(identifyLanguage('My aadhaar is ready.').confidence < 0.5);
+});
+
+test('short sentences and addresses keep the default language', () => {
+  assert.strictEqual(language('Go home.'), 'en');
+  assert.strictEqual(language('mail a@b.com'), 'en');
+  assert.strictEqual(language('see https://example.com/path now'), 'en');
+  assert.deepStrictEqual(identifyLanguage('a@b.com'), { language: 'und', script: null, scripts: [], confidence: 0 });
+  assert.strictEqual(language('kya hua'), 'hi');
+});
+
+test('text without enough letters is undetermined; mixed scripts are all listed', () => {
+  assert.deepStrictEqual(identifyLanguage('123 456'), { language: 'und', script: null, scripts: [], confidence: 0 });
+  assert.strictEqual(language('ok'), 'und');
+  assert.deepStrictEqual(detectScripts('तू chutiya है').map(entry => entry.script), ['Latn', 'Deva']);
+  assert.deepStrictEqual(identifyLanguage('तू chutiya है').scripts, ['Latn', 'Deva']);
+});
+
+test('detection tags each sentence and picks the language most of the text is in', () => {
+  const text = 'The weather is lovely today. yaar tu kya kar raha hai aaj kal bhai. मैं आज बाजार जा रहा हूँ और तुम?';
+  const result = detectHateSpeechProfanity(text);
+  assert.strictEqual(result.language, 'hi');
+  assert.deepStrictEqual(result.languages.map(tag => [tag.start, tag.end, tag.language]), [
+    [0, 28, 'en'], [29, 67, 'hi'], [68, 99, 'hi']
+  ]);
+});
+
+test('English rules only run on sentences with Latin letters', () => {
+  assert.strictEqual(detectHateSpeechProfanity('what the hell').profanity, true);
+  assert.strictEqual(detectHateSpeechProfanity('तू चूतिया है').profanity, true);
+  assert.strictEqual(detectHateSpeechProfanity('मैं आज बाजार जा रहा हूँ').profanity, false);
+});
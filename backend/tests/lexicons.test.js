@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test, tempPath } = require('./harness');
+const { loadLexicons, createLexiconMatcher, findLexiconWords, phoneticKey, transliterate } = require('../lexicons');
+const { normalizeText } = require('../text_normalization');
+const { detectHateSpeechProfanity } = require('../text_analysis');
+
+function words(text, matcher) {
+  return findLexiconWords(normalizeText(text).text, matcher).map(found => [found.text, found.word, found.language]);
+}
+
+test('bundled lexicons load, optionally limited to some languages', () => {
+  assert.deepStrictEqual(loadLexicons().map(lexicon => lexicon.language), ['bn', 'hi', 'mr', 'pa', 'ta', 'te']);
+  assert.deepStrictEqual(loadLexicons({ languages: 'hi, mr' }).map(lexicon => lexicon.language), ['hi', 'mr']);
+});
+
+test('romanized and native spellings are found, including unlisted variants', () => {
+  assert.deepStrictEqual(words('tu chootiya hai'), [['chootiya', 'chutiya', 'hi']]);
+  assert.deepStrictEqual(words('तू चूतिया है'), [['चूतिया', 'chutiya', 'hi']]);
+  assert.deepStrictEqual(words('ch00tiya'), [['ch00tiya', 'chutiya', 'hi']]);
+  assert.deepStrictEqual(words('c h u t i y a'), [['c h u t i y a', 'chutiya', 'hi']]);
+  assert.deepStrictEqual(words('chuutiyaa'), [['chuutiyaa', 'chutiya', 'hi']]);
+  assert.deepStrictEqual(words('चुतिये'), [['चुतिये', 'chutiya', 'hi']]);
+  assert.strictEqual(phoneticKey(transliterate('चूतिया')), phoneticKey('chutiya'));
+});
+
+test('ordinary words with a similar sound are not flagged', () => {
+  assert.deepStrictEqual(words('chutti pe gaya'), []);
+  assert.deepStrictEqual(words('I have a gandhi book'), []);
+});
+
+test('lexicons can be loaded from another directory and bad files are skipped', () => {
+  const dir = tempPath('lexicons');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'xx.json'), JSON.stringify({
+    language: 'xx',
+    entries: [{ word: 'blorptastic', romanized: ['blorptastik'] }]
+  }));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+
+  const lexicons = loadLexicons({ dir });
+  assert.deepStrictEqual(lexicons.map(lexicon => lexicon.language), ['xx']);
+  const matcher = createLexiconMatcher(lexicons);
+  assert.deepStrictEqual(words('so blorptastik today', matcher), [['blorptastik', 'blorptastic', 'xx']]);
+  assert.deepStrictEqual(words('tu chootiya hai', matcher), []);
+});
+
+test('language lexicon words are flagged as profanity by the lexicon detector', () => {
+  // The sentence's language picks the entry where lexicons share a spelling
+  const result = detectHateSpeechProfanity('yaar tu kya chootiya hai re');
+  assert.strictEqual(result.profanity, true);
+  assert.deepStrictEqual(result.spans.map(span => [span.text, span.rule]), [['chootiya', 'lexicon:hi:chutiya']]);
+});
+
+test('words that are also names or places are not flagged where they read as one', () => {
+  for (const text of ['Dick Cheney spoke today.', 'I met Randi Zuckerberg.', 'We flew Lauda Air.', 'Saale is a river in Germany.']) {
+    assert.strictEqual(detectHateSpeechProfanity(text).profanity, false, text);
+  }
+  assert.deepStrictEqual(detectHateSpeechProfanity('you are a dick').flagged_words, ['dick']);
+  assert.deepStrictEqual(detectHateSpeechProfanity('DICK!').flagged_words, ['dick']);
+  assert.deepStrictEqual(detectHateSpeechProfanity('Dick.').flagged_words, ['dick']);
+  assert.deepStrictEqual(detectHateSpeechProfanity('Kutta kamina saala').flagged_words, ['kutta', 'kamina', 'saala']);
+});
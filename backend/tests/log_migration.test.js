@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test, tempPath } = require('./harness');
+const textAnalysis = require('../text_analysis');
+const { keyStore } = require('../key_store');
+const { migrateFolder } = require('../migrate_encryption_logs');
+
+async function loadKeys() {
+  await textAnalysis.initializeCrypto(tempPath('migration.key'), tempPath('migration_keys.json'));
+}
+
+function oldEntry(original, replacement, position) {
+  return { type: 'sensitive', category: 'emails', original, encrypted: textAnalysis.encryptData(original), position, replacement };
+}
+
+test('encryption data files written by processText hold no plaintext', async () => {
+  await loadKeys();
+  const text = 'Mail jane@example.com or bob@example.com';
+  const detection = textAnalysis.regexPatternDetection(text);
+  const { processedText, encryptionLog } = await textAnalysis.processText(text, detection, 'encrypt');
+  assert.ok(encryptionLog.every(entry => !('original' in entry) && entry.hash));
+
+  fs.mkdirSync(tempPath('written'), { recursive: true });
+  await textAnalysis.saveProcessingLog(text, processedText, detection, encryptionLog, 'encrypt', { logFolder: tempPath('written') });
+  const names = fs.readdirSync(tempPath('written'));
+  const dataFile = names.find(name => name.startsWith('encryption_data_'));
+  assert.ok(dataFile);
+  for (const name of names) {
+    const content = fs.readFileSync(path.join(tempPath('written'), name), 'utf8');
+    assert.ok(!content.includes('jane@example.com') && !content.includes('bob@example.com'));
+  }
+  const data = JSON.parse(fs.readFileSync(path.join(tempPath('written'), dataFile), 'utf8'));
+  assert.strictEqual(textAnalysis.recoverFromEncryptionLog(data), text);
+});
+
+test('a value that does not match its hash stays redacted', async () => {
+  await loadKeys();
+  const text = 'Mail jane@example.com';
+  const detection = textAnalysis.regexPatternDetection(text);
+  const { processedText, encryptionLog } = await textAnalysis.processText(text, detection, 'encrypt');
+  encryptionLog[0].hash = textAnalysis.hashData('someone@else.com');
+  assert.strictEqual(textAnalysis.recoverEncryptedText(processedText, encryptionLog), processedText);
+});
+
+test('migration removes originals from processed-text logs and keeps them recoverable', async () => {
+  await loadKeys();
+  const old = {
+    timestamp: '2024-01-01',
+    processed_text: 'Mail [ENCRYPTED EMAILS] now',
+    entries: [{ ...oldEntry('jane@example.com', '[ENCRYPTED EMAILS]', 5), encrypted: 'v2:gone:AAAA:AAAA:AAAA' }]
+  };
+  const result = textAnalysis.migrateEncryptionLog(old);
+  assert.strictEqual(result.changed, true);
+  assert.strictEqual(result.entries, 1);
+  assert.ok(!JSON.stringify(result.data).includes('jane@example.com'));
+  assert.strictEqual(keyStore.decrypt(result.data.entries[0].encrypted), 'jane@example.com');
+  assert.strictEqual(textAnalysis.recoverFromEncryptionLog(result.data), 'Mail jane@example.com now');
+
+  assert.strictEqual(textAnalysis.migrateEncryptionLog(result.data).changed, false);
+});
+
+test('migration removes originals from whole-text records and bare entry arrays', async () => {
+  await loadKeys();
+  const record = { original: 'whole text', encrypted: textAnalysis.encryptData('whole text') };
+  const migratedRecord = textAnalysis.migrateEncryptionLog(record);
+  assert.ok(!('original' in migratedRecord.data));
+  assert.strictEqual(textAnalysis.recoverFromEncryptionLog(migratedRecord.data), 'whole text');
+
+  const bare = [oldEntry('jane@example.com', '[ENCRYPTED EMAILS]', 5), oldEntry('555-0100', '[ENCRYPTED PHONE_NUMBERS]', 30)];
+  const migratedBare = textAnalysis.migrateEncryptionLog(bare);
+  assert.strictEqual(migratedBare.changed, true);
+  assert.strictEqual(migratedBare.entries, 2);
+  assert.ok(!JSON.stringify(migratedBare.data).includes('jane@example.com'));
+  assert.ok(!JSON.stringify(migratedBare.data).includes('555-0100'));
+  assert.deepStrictEqual(migratedBare.data.entries.map(entry => keyStore.decrypt(entry.encrypted)), ['jane@example.com', '555-0100']);
+});
+
+test('migrateFolder rewrites files in place unless it is a dry run', async () => {
+  await loadKeys();
+  const folder = tempPath('old-logs');
+  fs.mkdirSync(folder, { recursive: true });
+  const bareFile = path.join(folder, 'encryption_log_1.json');
+  const dataFile = path.join(folder, 'encryption_data_2.json');
+  fs.writeFileSync(bareFile, JSON.stringify([oldEntry('jane@example.com', '[ENCRYPTED EMAILS]', 5)]));
+  fs.writeFileSync(dataFile, JSON.stringify({ processed_text: 'Call [ENCRYPTED PHONE_NUMBERS]', entries: [oldEntry('555-0100', '[ENCRYPTED PHONE_NUMBERS]', 5)] }));
+  fs.writeFileSync(path.join(folder, 'unrelated.json'), JSON.stringify({ original: 'keep me' }));
+
+  const dryRun = await migrateFolder(folder, { dryRun: true });
+  assert.deepStrictEqual(dryRun, { scanned: 2, migrated: 2, entries: 2, failed: 0 });
+  assert.ok(fs.readFileSync(bareFile, 'utf8').includes('jane@example.com'));
+
+  const summary = await migrateFolder(folder);
+  assert.deepStrictEqual(summary, { scanned: 2, migrated: 2, entries: 2, failed: 0 });
+  assert.ok(!fs.readFileSync(bareFile, 'utf8').includes('jane@example.com'));
+  const rewritten = JSON.parse(fs.readFileSync(bareFile, 'utf8'));
+  assert.deepStrictEqual(rewritten.entries.map(entry => keyStore.decrypt(entry.encrypted)), ['jane@example.com']);
+  assert.ok(!fs.readFileSync(dataFile, 'utf8').includes('555-0100'));
+  assert.ok(fs.readFileSync(path.join(folder, 'unrelated.json'), 'utf8').includes('keep me'));
+  assert.deepStrictEqual(fs.readdirSync(folder).sort(), ['encryption_data_2.json', 'encryption_log_1.json', 'unrelated.json']);
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { test, tempPath } = require('./harness');
+const { parseStrategy, parseMaskingConfig, resolveStrategy, maskValue } = require('../masking');
+const textAnalysis = require('../text_analysis');
+
+test('strategy settings parse from strings and objects', () => {
+  assert.deepStrictEqual(parseStrategy('partial:2'), { strategy: 'partial', reveal: 2 });
+  assert.deepStrictEqual(parseStrategy('placeholder:<email>'), { strategy: 'placeholder', template: '<email>' });
+  assert.deepStrictEqual(parseStrategy({ strategy: 'hash' }), { strategy: 'hash' });
+  assert.throws(() => parseStrategy('scramble'), /Unknown masking strategy/);
+
+  assert.deepStrictEqual(parseMaskingConfig('phone_numbers=partial:4, default=redact'), {
+    phone_numbers: { strategy: 'partial', reveal: 4 },
+    default: { strategy: 'redact' }
+  });
+  assert.deepStrictEqual(resolveStrategy('emails', { default: 'hash' }), { strategy: 'hash' });
+  assert.deepStrictEqual(resolveStrategy('emails', {}, 'encrypt'), { strategy: 'encrypt' });
+});
+
+test('maskValue applies each strategy', () => {
+  assert.strictEqual(maskValue('555-867-3210', 'phone_numbers', { strategy: 'partial', reveal: 4 }), '***-***-3210');
+  assert.strictEqual(maskValue('555-867-3210', 'phone_numbers', { strategy: 'partial', reveal: 0 }), '***-***-****');
+  assert.strictEqual(maskValue('bob@example.com', 'emails', { strategy: 'placeholder', template: '<{category}:{length}>' }), '<emails:15>');
+  assert.strictEqual(maskValue('bob@example.com', 'emails', { strategy: 'redact' }), '[REDACTED EMAILS]');
+  assert.strictEqual(maskValue('bob@example.com', 'emails', { strategy: 'encrypt' }), '[ENCRYPTED EMAILS]');
+
+  const hashed = maskValue('bob@example.com', 'emails', { strategy: 'hash', salt: 'pepper' });
+  assert.match(hashed, /^\[EMAILS:[0-9a-f]{12}\]$/);
+  assert.strictEqual(maskValue('bob@example.com', 'emails', { strategy: 'hash', salt: 'pepper' }), hashed);
+  assert.notStrictEqual(maskValue('amy@example.com', 'emails', { strategy: 'hash', salt: 'pepper' }), hashed);
+});
+
+test('processText masks per category and stores encrypt-strategy values for recovery', async () => {
+  await textAnalysis.initializeCrypto(tempPath('masking.key'), tempPath('masking_keys.json'));
+  const text = 'Mail bob@example.com now';
+  const detection = textAnalysis.regexPatternDetection(text);
+
+  const partial = await textAnalysis.processText(text, detection, 'remove', { masking: { emails: 'partial:3' } });
+  assert.strictEqual(partial.processedText, 'Mail ***@*******.com now');
+  assert.deepStrictEqual(partial.encryptionLog, []);
+
+  const encrypted = await textAnalysis.processText(text, detection, 'remove', { masking: { default: 'encrypt' } });
+  assert.strictEqual(encrypted.processedText, 'Mail [ENCRYPTED EMAILS] now');
+  assert.strictEqual(textAnalysis.recoverEncryptedText(encrypted.processedText, encrypted.encryptionLog), text);
+
+  const recoverable = await textAnalysis.processText(text, detection, 'encrypt', { masking: { emails: 'partial:3' } });
+  assert.strictEqual(recoverable.processedText, 'Mail ***@*******.com now');
+  assert.strictEqual(recoverable.encryptionLog.length, 1);
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { regexPatternDetection, classifyIpAddress } = require('../text_analysis');
+
+function found(text) {
+  return regexPatternDetection(text).spans.map(span => [span.category, span.text]);
+}
+
+test('IP addresses are classified by range', () => {
+  const scopes = {
+    '8.8.8.8': 'public',
+    '10.1.2.3': 'private',
+    '127.0.0.1': 'loopback',
+    '::1': 'loopback',
+    'fe80::1': 'link_local',
+    '::ffff:192.168.1.1': 'private',
+    '100.64.1.1': 'shared',
+    '2001:db8::1': 'documentation',
+    '224.0.0.1': 'multicast',
+    '0.0.0.0': 'unspecified',
+    'nope': null
+  };
+  for (const [address, scope] of Object.entries(scopes)) {
+    assert.strictEqual(classifyIpAddress(address), scope, address);
+  }
+});
+
+test('IPv4 and IPv6 addresses are found with their scope', () => {
+  const spans = regexPatternDetection('Login from 203.0.113.7, server ip 2001:db8::1 and host ::ffff:10.0.0.1').spans;
+  assert.deepStrictEqual(spans.map(span => [span.text, span.scope]), [
+    ['203.0.113.7', 'documentation'],
+    ['2001:db8::1', 'documentation'],
+    ['::ffff:10.0.0.1', 'private']
+  ]);
+  assert.deepStrictEqual(found('IP 999.1.1.1'), []);
+});
+
+test('MAC addresses are found in colon and dotted form, except all zeros', () => {
+  assert.deepStrictEqual(found('mac 00:1A:2B:3C:4D:5E'), [['mac_addresses', '00:1A:2B:3C:4D:5E']]);
+  assert.deepStrictEqual(found('device 001a.2b3c.4d5e'), [['mac_addresses', '001a.2b3c.4d5e']]);
+  assert.deepStrictEqual(found('mac 0000.0000.0000'), []);
+});
+
+test('wallet addresses must pass their checksums', () => {
+  for (const wallet of [
+    '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+    '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+    'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq',
+    'bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297',
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+  ]) {
+    assert.deepStrictEqual(found(`wallet ${wallet}`), [['crypto_wallets', wallet]]);
+  }
+  assert.deepStrictEqual(found('btc 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb'), []);
+  assert.deepStrictEqual(found('eth 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'), []);
+});
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { findPersonName, isPersonName } = require('../person_names');
+const { regexPatternDetection } = require('../text_analysis');
+
+function names(text) {
+  return regexPatternDetection(text).spans
+    .filter(span => span.category === 'person_names')
+    .map(span => span.text);
+}
+
+test('gazetteer names are cut out of runs of capitalized words', () => {
+  assert.deepStrictEqual(findPersonName('Yesterday Rahul Sharma'), { start: 10, end: 22 });
+  assert.strictEqual(isPersonName('Rahul Sharma'), true);
+  assert.strictEqual(isPersonName('Monday'), false);
+  assert.deepStrictEqual(names('Yesterday Rahul Sharma called'), ['Rahul Sharma']);
+});
+
+test('honorifics, initials and unknown surnames after a first name are part of the name', () => {
+  assert.deepStrictEqual(names('Please ask Dr. A. K. Sharma'), ['Dr. A. K. Sharma']);
+  assert.deepStrictEqual(names('Contact Priya Kapadia today'), ['Priya Kapadia']);
+});
+
+test('a lone first name needs an introducing keyword', () => {
+  assert.deepStrictEqual(names('My name is Priya'), ['Priya']);
+  assert.deepStrictEqual(names('Priya said hi'), []);
+  assert.deepStrictEqual(names('Monday Hospital visit'), []);
+  assert.deepStrictEqual(names('The Taj Mahal is big'), []);
+});
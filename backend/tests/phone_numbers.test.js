@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { parsePhoneNumber, longestPhoneNumber } = require('../phone_numbers');
+const { regexPatternDetection } = require('../text_analysis');
+
+function phones(text, options) {
+  return regexPatternDetection(text, options).spans
+    .filter(span => span.category === 'phone_numbers')
+    .map(span => span.text);
+}
+
+test('international numbers are checked against the plan of their country code', () => {
+  assert.deepStrictEqual(parsePhoneNumber('+44 20 7946 0958'), {
+    region: 'GB', countryCode: '44', nationalNumber: '2079460958', e164: '+442079460958'
+  });
+  assert.strictEqual(parsePhoneNumber('0044 20 7946 0958').region, 'GB');
+  assert.strictEqual(parsePhoneNumber('+999 1234'), null);
+  assert.strictEqual(parsePhoneNumber('+91 12345 67890'), null);
+});
+
+test('national numbers are read in the default region', () => {
+  assert.strictEqual(parsePhoneNumber('98765 43210').region, 'IN');
+  assert.strictEqual(parsePhoneNumber('(212) 555-1234'), null);
+  assert.strictEqual(parsePhoneNumber('(212) 555-1234', { defaultRegion: 'US' }).e164, '+12125551234');
+  assert.strictEqual(parsePhoneNumber('020 7946 0958', { defaultRegion: 'GB' }).e164, '+442079460958');
+});
+
+test('detection finds phone numbers and stops at the longest valid one', () => {
+  assert.deepStrictEqual(phones('Call +44 20 7946 0958 now'), ['+44 20 7946 0958']);
+  assert.deepStrictEqual(phones('Call 98765 43210 today'), ['98765 43210']);
+  assert.deepStrictEqual(phones('Mobile 9876543210 1234'), ['9876543210']);
+  assert.strictEqual(longestPhoneNumber('9876543210 1234'), '9876543210');
+  assert.deepStrictEqual(phones('Call (212) 555-1234 now', { defaultRegion: 'US' }), ['(212) 555-1234']);
+  assert.deepStrictEqual(phones('Order 12345 shipped in 2024'), []);
+});
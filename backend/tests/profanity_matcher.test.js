@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { findProfanity } = require('../profanity_matcher');
+const textAnalysis = require('../text_analysis');
+
+function matches(text) {
+  return findProfanity(text).map(found => [found.text, found.word]);
+}
+
+test('repeated letters, leetspeak and masked letters match the lexicon word', () => {
+  assert.deepStrictEqual(matches('fuuuck this'), [['fuuuck', 'fuck']]);
+  assert.deepStrictEqual(matches('sh1t happens'), [['sh1t', 'shit']]);
+  assert.deepStrictEqual(matches('you b!tch'), [['b!tch', 'bitch']]);
+  assert.deepStrictEqual(matches('@$$ kicked'), [['@$$', 'ass']]);
+  assert.deepStrictEqual(matches('f*ck off'), [['f*ck', 'fuck']]);
+  assert.deepStrictEqual(matches('bullsh1t'), [['bullsh1t', 'bullshit']]);
+});
+
+test('spaced and punctuated letters match as one word', () => {
+  assert.deepStrictEqual(matches('f.u.c.k'), [['f.u.c.k', 'fuck']]);
+  assert.deepStrictEqual(matches('s-h-i-t'), [['s-h-i-t', 'shit']]);
+  assert.deepStrictEqual(matches('f u c k you'), [['f u c k', 'fuck']]);
+});
+
+test('lexicon words inside other words do not match', () => {
+  assert.deepStrictEqual(matches('my assets grew'), []);
+  assert.deepStrictEqual(matches('classic hello'), []);
+  assert.deepStrictEqual(matches('Scunthorpe town'), []);
+});
+
+test('a spaced-out word must be the whole run of spaced letters', () => {
+  assert.deepStrictEqual(matches('h e l l o there'), []);
+  assert.deepStrictEqual(matches('c l a s s'), []);
+  assert.deepStrictEqual(matches('what the h e l l'), [['h e l l', 'hell']]);
+  // "a" and "i" may stand next to one as words
+  assert.deepStrictEqual(matches('a f u c k'), [['f u c k', 'fuck']]);
+  assert.deepStrictEqual(matches('s h i t i know'), [['s h i t', 'shit']]);
+});
+
+test('disguised profanity is flagged and removed from the original text', async () => {
+  const text = 'what a f.u.c.k day';
+  const result = textAnalysis.detectHateSpeechProfanity(text);
+  assert.strictEqual(result.profanity, true);
+  assert.deepStrictEqual(result.flagged_words, ['fuck']);
+  assert.strictEqual((await textAnalysis.processText(text, result, 'remove')).processedText, 'what a ******* day');
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { test, tempPath } = require('./harness');
+const { PseudonymSession } = require('../pseudonyms');
+const textAnalysis = require('../text_analysis');
+
+async function loadKeys() {
+  await textAnalysis.initializeCrypto(tempPath('pseudonyms.key'), tempPath('pseudonyms_keys.json'));
+}
+
+test('a session numbers values and restores them after a round trip', async () => {
+  await loadKeys();
+  const session = new PseudonymSession();
+  assert.strictEqual(session.pseudonymFor('emails', 'Bob@Example.com'), 'EMAIL_1');
+  assert.strictEqual(session.pseudonymFor('emails', 'bob@example.com'), 'EMAIL_1');
+  assert.strictEqual(session.pseudonymFor('emails', 'amy@example.com'), 'EMAIL_2');
+  assert.strictEqual(session.pseudonymFor('phone_numbers', '+1 555 0100'), 'PHONE_1');
+
+  const text = 'EMAIL_1 wrote to EMAIL_2 and PHONE_1';
+  const expected = 'Bob@Example.com wrote to amy@example.com and +1 555 0100';
+  assert.strictEqual(session.restore(text), expected);
+
+  const serialized = JSON.parse(JSON.stringify(session.toJSON()));
+  assert.ok(!JSON.stringify(serialized).includes('amy@example.com'));
+  const restored = PseudonymSession.fromJSON(serialized);
+  assert.strictEqual(restored.restore(text), expected);
+  assert.strictEqual(restored.pseudonymFor('emails', 'carl@example.com'), 'EMAIL_3');
+  assert.strictEqual(restored.reveal('EMAIL_9'), null);
+});
+
+test('a modified session is rejected', async () => {
+  await loadKeys();
+  const session = new PseudonymSession();
+  session.pseudonymFor('emails', 'bob@example.com');
+  const data = session.toJSON();
+  data.entries[0].label = 'EMAIL_7';
+  assert.throws(() => PseudonymSession.fromJSON(data), /integrity check failed/);
+  assert.throws(() => PseudonymSession.fromJSON({}), /Not a pseudonym session/);
+});
+
+test('processText keeps placeholders stable across a batch', async () => {
+  await loadKeys();
+  const first = 'Mail bob@example.com, then bob@example.com again';
+  const firstResult = await textAnalysis.processText(first, textAnalysis.regexPatternDetection(first), 'remove', {
+    masking: { default: 'pseudonym' }
+  });
+  assert.strictEqual(firstResult.processedText, 'Mail EMAIL_1, then EMAIL_1 again');
+  assert.strictEqual(firstResult.encryptionLog.length, 2);
+
+  const second = 'Ask amy@example.com and bob@example.com';
+  const secondResult = await textAnalysis.processText(second, textAnalysis.regexPatternDetection(second), 'remove', {
+    masking: { default: 'pseudonym' },
+    pseudonyms: firstResult.pseudonyms
+  });
+  assert.strictEqual(secondResult.processedText, 'Ask EMAIL_2 and EMAIL_1');
+  assert.strictEqual(secondResult.pseudonyms.restore(secondResult.processedText), second);
+});
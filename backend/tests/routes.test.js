@@ -0,0 +1,207 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const { test, tempPath } = require('./harness');
+const { loadConfig } = require('../config');
+const { createApp, logger } = require('../server');
+const textAnalysis = require('../text_analysis');
+
+// Start the app on a free port, call fn with a request helper and close the server
+async function withServer(overrides, fn) {
+  const config = loadConfig({
+    logFolder: tempPath('logs'),
+    uploadFolder: tempPath('uploads'),
+    encryptionKeyFile: tempPath('routes.key'),
+    ...overrides,
+    features: { image: false, ...(overrides.features || {}) }
+  });
+  fs.mkdirSync(config.logFolder, { recursive: true });
+  logger.silent = true;
+  const app = createApp(config);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const request = (method, urlPath, body) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      port: server.address().port,
+      path: urlPath,
+      method,
+      headers: payload ? { 'Content-Type': 'application/json' } : {}
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(data);
+        } catch (err) {
+          // Not every route answers with JSON
+        }
+        resolve({ status: res.statusCode, body: json });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  try {
+    await fn(request, app.locals.context);
+  } finally {
+    logger.silent = false;
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('only the enabled feature modules register routes', async () => {
+  await withServer({ features: { history: false, debug: false } }, async (request, context) => {
+    assert.deepStrictEqual(context.features, ['text', 'recovery']);
+    assert.strictEqual((await request('GET', '/ping')).body.message, 'pong');
+    assert.deepStrictEqual((await request('GET', '/status')).body.features, ['text', 'recovery']);
+    assert.strictEqual((await request('GET', '/debug/info')).status, 404);
+    assert.strictEqual((await request('POST', '/filter/image', {})).status, 404);
+  });
+});
+
+test('legacy aliases can be switched off', async () => {
+  await withServer({ legacyAliases: false }, async request => {
+    assert.strictEqual((await request('POST', '/filter/text', { text: 'hello' })).status, 404);
+    assert.strictEqual((await request('POST', '/decrypt', { encrypted: 'x' })).status, 404);
+    assert.strictEqual((await request('POST', '/analyze_text', {})).status, 400);
+  });
+});
+
+test('analyze_text encrypts sensitive text and recover_content restores it', async () => {
+  await textAnalysis.initializeCrypto(tempPath('routes.key'), tempPath('routes_keys.json'));
+  await withServer({}, async request => {
+    const text = 'Mail jane@example.com today';
+    const analyzed = await request('POST', '/analyze_text', { text });
+    assert.strictEqual(analyzed.status, 200);
+    assert.strictEqual(analyzed.body.action, 'encrypt');
+    assert.strictEqual(analyzed.body.processed_text, 'Mail [ENCRYPTED EMAILS] today');
+
+    const files = (await request('GET', '/encryption_files')).body;
+    assert.strictEqual(files.length, 1);
+    const recovered = await request('GET', `/recover_content?filename=${files[0].filename}`);
+    assert.strictEqual(recovered.body.recovered_text, text);
+
+    const opened = await request('POST', '/recover_content', { envelope: analyzed.body.envelope });
+    assert.strictEqual(opened.body.recovered_text, text);
+    const tampered = { ...analyzed.body.envelope, processed_text: 'Mail [ENCRYPTED EMAILS] tomorrow' };
+    assert.strictEqual((await request('POST', '/recover_content', { envelope: tampered })).status, 400);
+
+    const legacy = await request('POST', '/filter/text', { text });
+    assert.strictEqual(legacy.body.filtered, true);
+    assert.strictEqual(legacy.body.modified, 'Mail [ENCRYPTED EMAILS] today');
+  });
+});
+
+test('analyze_text pseudonymizes with a session the client carries between requests', async () => {
+  await textAnalysis.initializeCrypto(tempPath('routes.key'), tempPath('routes_keys.json'));
+  await withServer({}, async request => {
+    const first = await request('POST', '/analyze_text', { text: 'Mail bob@example.com', pseudonymize: true });
+    assert.strictEqual(first.body.processed_text, 'Mail EMAIL_1');
+
+    const second = await request('POST', '/analyze_text', {
+      text: 'Ask amy@example.com or bob@example.com',
+      pseudonym_session: first.body.pseudonym_session
+    });
+    assert.strictEqual(second.body.processed_text, 'Ask EMAIL_2 or EMAIL_1');
+
+    const restored = await request('POST', '/recover_content', {
+      text: 'EMAIL_1 and EMAIL_2',
+      pseudonym_session: second.body.pseudonym_session
+    });
+    assert.strictEqual(restored.body.recovered_text, 'bob@example.com and amy@example.com');
+
+    const forged = await request('POST', '/analyze_text', { text: 'Mail bob@example.com', pseudonym_session: {} });
+    assert.strictEqual(forged.status, 400);
+  });
+});
+
+test('analyze_text synthesizes reproducible fake values when asked', async () => {
+  await textAnalysis.initializeCrypto(tempPath('routes.key'), tempPath('routes_keys.json'));
+  await withServer({}, async request => {
+    const body = { text: 'Mail bob@mail.in today', synthesize: true, seed: 'route-seed' };
+    const first = await request('POST', '/analyze_text', body);
+    assert.strictEqual(first.body.action, 'synthesize');
+    assert.match(first.body.processed_text, /^Mail [\w.]+@example\.(com|org|net) today$/);
+    assert.strictEqual((await request('POST', '/analyze_text', body)).body.processed_text, first.body.processed_text);
+  });
+});
+
+test('analyze_text applies the requested severity profile', async () => {
+  await withServer({}, async request => {
+    const adult = await request('POST', '/analyze_text', { text: 'that is damn good', severity_profile: 'adult' });
+    assert.strictEqual(adult.body.action, 'keep');
+    const softened = await request('POST', '/analyze_text', { text: 'that is damn good', severity_actions: { mild: 'soften' } });
+    assert.strictEqual(softened.body.processed_text, 'that is d*** good');
+    assert.strictEqual(softened.body.severity, 'mild');
+    for (const settings of [
+      { severity_actions: { rude: 'mask' } },
+      { severity_actions: { mild: 'shout' } },
+      { severity_actions: 'mild=keep,strong' },
+      { severity_actions: ['mild=keep'] },
+      { severity_profile: 'kids' }
+    ]) {
+      const rejected = await request('POST', '/analyze_text', { text: 'that is damn good', ...settings });
+      assert.strictEqual(rejected.status, 400, JSON.stringify(settings));
+      assert.match(rejected.body.error, /severity/i);
+    }
+  });
+});
+
+test('history counts runs and sentences per language', async () => {
+  await textAnalysis.initializeCrypto(tempPath('routes.key'), tempPath('routes_keys.json'));
+  await withServer({ logFolder: tempPath('history-logs') }, async request => {
+    await request('POST', '/analyze_text', { text: 'The weather is lovely today. yaar tu kya kar raha hai aaj kal bhai.' });
+    await request('POST', '/analyze_text', { text: 'What the hell is going on here today?' });
+    const stats = (await request('GET', '/history/languages')).body;
+    assert.deepStrictEqual(stats, {
+      en: { runs: 2, sentences: 2, filtered: 1 },
+      hi: { runs: 1, sentences: 1, filtered: 0 }
+    });
+  });
+});
+
+test('text routes answer 400 when text is not a string', async () => {
+  await withServer({}, async request => {
+    for (const route of ['/analyze_text', '/filter/text']) {
+      const result = await request('POST', route, { text: ['Mail jane@example.com'] });
+      assert.strictEqual(result.status, 400, route);
+      assert.strictEqual(result.body.error, 'Text must be a string');
+    }
+  });
+});
+
+test('recover_content refuses files outside the log folder', async () => {
+  await withServer({}, async request => {
+    assert.strictEqual((await request('GET', '/recover_content')).status, 400);
+    const escaped = await request('GET', '/recover_content?filename=../../package.json');
+    assert.strictEqual(escaped.status, 400);
+  });
+});
+
+test('decrypt answers 400 for content it cannot decrypt', async () => {
+  await textAnalysis.initializeCrypto(tempPath('routes.key'), tempPath('routes_keys.json'));
+  await withServer({}, async request => {
+    const encrypted = textAnalysis.encryptData('jane@example.com');
+    assert.strictEqual((await request('POST', '/decrypt', { encrypted })).body.decrypted, 'jane@example.com');
+    const broken = await request('POST', '/decrypt', { encrypted: 'not encrypted' });
+    assert.strictEqual(broken.status, 400);
+    assert.match(broken.body.error, /^Could not decrypt content/);
+  });
+});
+
+test('debug test_detection reports the action without processing', async () => {
+  await withServer({ features: { debug: true } }, async request => {
+    assert.strictEqual((await request('POST', '/debug/test_detection', {})).status, 400);
+    const array = await request('POST', '/debug/test_detection', { text: ['Mail jane@example.com'] });
+    assert.strictEqual(array.status, 400);
+    assert.strictEqual(array.body.error, 'Text must be a string');
+    const result = await request('POST', '/debug/test_detection', { text: 'Mail jane@example.com' });
+    assert.strictEqual(result.body.determined_action, 'encrypt');
+    assert.deepStrictEqual(result.body.detection_results.sensitive_info.emails, ['jane@example.com']);
+  });
+});
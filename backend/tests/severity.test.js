@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const {
+  parseSeverityActions,
+  resolveSeverityActions,
+  highestSeverity,
+  strongestAction,
+  applyTierAction
+} = require('../severity');
+const { detectContent, processText } = require('../text_analysis');
+const { determineAction } = require('../features/text');
+
+test('tier actions parse from the environment form and from objects', () => {
+  assert.deepStrictEqual(parseSeverityActions(' mild = keep , slur=mask'), { mild: 'keep', slur: 'mask' });
+  assert.deepStrictEqual(parseSeverityActions({ threat: 'remove' }), { threat: 'remove' });
+  assert.deepStrictEqual(parseSeverityActions(''), {});
+  assert.throws(() => parseSeverityActions('rude=mask'), /Unknown severity tier/);
+  assert.throws(() => parseSeverityActions({ mild: 'shout' }), /Unknown severity action/);
+});
+
+test('malformed tier actions are rejected', () => {
+  assert.deepStrictEqual(parseSeverityActions('mild=keep,'), { mild: 'keep' });
+  assert.throws(() => parseSeverityActions('mild=keep,strong'), /Malformed severity action: "strong"/);
+  assert.throws(() => parseSeverityActions('mild'), /Malformed severity action/);
+  assert.throws(() => parseSeverityActions({ mild: 5 }), /Malformed severity action for "mild"/);
+  assert.throws(() => parseSeverityActions(['mild=keep']), /must be a "tier=action,..." string or an object/);
+  assert.throws(() => parseSeverityActions(true), /must be a "tier=action,..." string or an object/);
+  assert.throws(() => resolveSeverityActions('constructor'), /Unknown severity profile/);
+});
+
+test('profiles resolve with overrides applied on top', () => {
+  assert.deepStrictEqual(resolveSeverityActions('adult', 'slur=remove'),
+    { mild: 'keep', strong: 'keep', slur: 'remove', threat: 'remove' });
+  assert.strictEqual(resolveSeverityActions().mild, 'soften');
+  assert.throws(() => resolveSeverityActions('kids'), /Unknown severity profile/);
+});
+
+test('the highest tier and the strongest action win', () => {
+  assert.strictEqual(highestSeverity(['mild', null, 'slur', 'strong']), 'slur');
+  assert.strictEqual(highestSeverity([]), null);
+  const actions = resolveSeverityActions('standard');
+  assert.strictEqual(strongestAction(['mild'], actions), 'soften');
+  assert.strictEqual(strongestAction(['mild', null], actions), 'mask');
+  assert.strictEqual(strongestAction(['mild', 'threat'], actions), 'remove');
+});
+
+test('softening keeps the first letter and the spacing', () => {
+  assert.strictEqual(applyTierAction('damn', 'keep'), 'damn');
+  assert.strictEqual(applyTierAction('damn', 'soften'), 'd***');
+  assert.strictEqual(applyTierAction('f u c k', 'soften'), 'f * * *');
+  assert.strictEqual(applyTierAction('damn', 'mask'), '****');
+});
+
+test('lexicon words carry their tier', async () => {
+  const mild = await detectContent('that is damn good');
+  assert.strictEqual(mild.severity, 'mild');
+  const threat = await detectContent('just go kill yourself');
+  assert.strictEqual(threat.severity, 'threat');
+  assert.deepStrictEqual(threat.spans.map(span => span.text), ['kill yourself']);
+});
+
+test('each profile keeps, softens, masks or removes by tier', async () => {
+  const expected = {
+    family: { 'that is damn good': ['mask', 'that is **** good'], 'you are a fucking idiot': ['remove'] },
+    standard: { 'that is damn good': ['mask', 'that is d*** good'], 'you are a fucking idiot': ['mask', 'you are a ******* idiot'] },
+    adult: { 'that is damn good': ['keep', 'that is damn good'], 'you are a fucking idiot': ['keep', 'you are a fucking idiot'] }
+  };
+  for (const [profile, cases] of Object.entries(expected)) {
+    const severityActions = resolveSeverityActions(profile);
+    for (const [text, [action, processed]] of Object.entries(cases)) {
+      const detectionResults = await detectContent(text);
+      assert.strictEqual(determineAction(detectionResults, severityActions), action, `${profile}: ${text}`);
+      if (processed) {
+        const result = await processText(text, detectionResults, action, { severityActions });
+        assert.strictEqual(result.processedText, processed, `${profile}: ${text}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createSpan, findOccurrences, spansFromResult, resolveOverlaps } = require('../spans');
+const textAnalysis = require('../text_analysis');
+
+test('findOccurrences finds every occurrence, optionally case-insensitive and whole-word', () => {
+  assert.deepStrictEqual(findOccurrences('ab ab', 'ab'), [[0, 2], [3, 5]]);
+  assert.deepStrictEqual(findOccurrences('Hell hello HELL', 'hell', { ignoreCase: true, wholeWord: true }), [[0, 4], [11, 15]]);
+  assert.deepStrictEqual(findOccurrences('text', ''), []);
+});
+
+test('spansFromResult locates strings reported without offsets', () => {
+  const text = 'Call 555-0100. You idiot. Call 555-0100!';
+  const spans = spansFromResult(text, {
+    sensitive_info: { phone_numbers: ['555-0100'] },
+    flagged_words: ['idiot'],
+    flagged_sentences: ['You idiot.']
+  }, 'gemini');
+  assert.deepStrictEqual(spans.map(span => [span.type, span.start, span.end, span.detector]), [
+    ['sensitive', 5, 13, 'gemini'],
+    ['sensitive', 31, 39, 'gemini'],
+    ['flagged_word', 19, 24, 'gemini'],
+    ['flagged_sentence', 15, 25, 'gemini']
+  ]);
+});
+
+test('resolveOverlaps drops contained spans and merges partial overlaps', () => {
+  const text = 'Call me at 555-0100 or mail bob@example.com today';
+  const sentence = createSpan('flagged_sentence', 0, 20, text, 'hate_speech', 'lexicon');
+  const word = createSpan('flagged_word', 5, 7, text, 'profanity', 'lexicon');
+  const phone = createSpan('sensitive', 11, 19, text, 'phone_numbers', 'regex_pii');
+  const email = createSpan('sensitive', 28, 43, text, 'emails', 'regex_pii');
+  const overlapping = createSpan('sensitive', 40, 49, text, 'other', 'regex_pii');
+
+  const resolved = resolveOverlaps([email, word, phone, overlapping, sentence], text);
+  assert.deepStrictEqual(resolved.map(span => [span.start, span.end, span.category]), [
+    [0, 20, 'hate_speech'],
+    [28, 49, 'emails']
+  ]);
+  assert.strictEqual(resolved[1].text, text.slice(28, 49));
+});
+
+test('resolveOverlaps keeps adjacent spans apart and sorts them', () => {
+  const text = 'abcdef';
+  const resolved = resolveOverlaps([
+    createSpan('sensitive', 3, 6, text, 'b', 'x'),
+    createSpan('sensitive', 0, 3, text, 'a', 'x')
+  ], text);
+  assert.deepStrictEqual(resolved.map(span => span.text), ['abc', 'def']);
+});
+
+test('detection reports every occurrence with offsets and processText replaces each one', async () => {
+  const text = 'Mail a@b.com or A@B.com, then a@b.com again';
+  const results = textAnalysis.regexPatternDetection(text);
+  assert.deepStrictEqual(results.spans.map(span => [span.start, span.end, span.text]), [
+    [5, 12, 'a@b.com'],
+    [16, 23, 'A@B.com'],
+    [30, 37, 'a@b.com']
+  ]);
+  for (const span of results.spans) {
+    assert.strictEqual(text.slice(span.start, span.end), span.text);
+  }
+
+  const { processedText } = await textAnalysis.processText(text, results, 'remove');
+  assert.strictEqual(processedText, 'Mail [REDACTED EMAILS] or [REDACTED EMAILS], then [REDACTED EMAILS] again');
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { test, tempPath } = require('./harness');
+const { synthesizeValue } = require('../synthetic');
+const { luhnCheck, verhoeffCheck } = require('../checksums');
+const textAnalysis = require('../text_analysis');
+
+test('fake values keep the format and pass the checksums of the original', () => {
+  const options = { seed: 'test-seed' };
+
+  const phone = synthesizeValue('+91 98765 43210', 'phone_numbers', options);
+  assert.match(phone, /^\+91 [6-9]\d{4} \d{5}$/);
+  assert.notStrictEqual(phone, '+91 98765 43210');
+
+  const card = synthesizeValue('4111 1111 1111 1111', 'credit_cards', options);
+  assert.match(card, /^\d{4} \d{4} \d{4} \d{4}$/);
+  assert.ok(luhnCheck(card.replace(/\D/g, '')));
+
+  const aadhaar = synthesizeValue('2345 6789 0124', 'aadhaar', options);
+  assert.match(aadhaar, /^[2-9]\d{3} \d{4} \d{4}$/);
+  assert.ok(verhoeffCheck(aadhaar.replace(/\D/g, '')));
+
+  assert.match(synthesizeValue('ABCDE1234F', 'pan', options), /^[A-Z]{3}P[A-Z]\d{4}[A-Z]$/);
+  assert.match(synthesizeValue('bob@mail.in', 'emails', options), /@example\.(com|org|net)$/);
+});
+
+test('the seed makes fake values reproducible', () => {
+  const value = '9876543210';
+  assert.strictEqual(synthesizeValue(value, 'phone_numbers', { seed: 'a' }), synthesizeValue(value, 'phone_numbers', { seed: 'a' }));
+  assert.notStrictEqual(synthesizeValue(value, 'phone_numbers', { seed: 'a' }), synthesizeValue(value, 'phone_numbers', { seed: 'b' }));
+});
+
+test('the synthesize action replaces each occurrence of a value with the same fake', async () => {
+  await textAnalysis.initializeCrypto(tempPath('synthetic.key'), tempPath('synthetic_keys.json'));
+  const text = 'Mail bob@mail.in, then bob@mail.in again';
+  const { processedText, encryptionLog } = await textAnalysis.processText(
+    text, textAnalysis.regexPatternDetection(text), 'synthesize', { seed: 'test-seed' }
+  );
+  const fakes = processedText.match(/[\w.]+@example\.(?:com|org|net)/g);
+  assert.strictEqual(fakes.length, 2);
+  assert.strictEqual(fakes[0], fakes[1]);
+  assert.ok(!processedText.includes('bob@mail.in'));
+  assert.deepStrictEqual(encryptionLog, []);
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { normalizeText, originalRange } = require('../text_normalization');
+const { detectHateSpeechProfanity } = require('../text_analysis');
+
+// Distinct [start, end] ranges of the profanity found in a text
+function profanityRanges(text) {
+  const ranges = detectHateSpeechProfanity(text).spans
+    .filter(span => span.category === 'profanity')
+    .map(span => `${span.start}-${span.end}`);
+  return [...new Set(ranges)];
+}
+
+test('normalization folds look-alikes and keeps a map to the original offsets', () => {
+  const normalized = normalizeText('\uFF21b\u200Bc');
+  assert.strictEqual(normalized.text, 'abc');
+  assert.deepStrictEqual(normalized.starts, [0, 1, 3]);
+  assert.deepStrictEqual(originalRange(normalized, 0, 3), [0, 4]);
+
+  assert.strictEqual(normalizeText('Crème').text, 'creme');
+  assert.strictEqual(normalizeText('Привет').text, 'привет');
+});
+
+test('disguised profanity is found and its span covers the original characters', () => {
+  const disguises = {
+    'what the f\u200Buck': '9-14',
+    'what the \uFF46\uFF55\uFF43\uFF4B': '9-13',
+    'what the f\u057Dck': '9-13',  // Armenian \u057D looks like u
+    'what the f\u0336u\u0336c\u0336k\u0336': '9-17',
+    'what the \u{1D41F}\u{1D42E}\u{1D41C}\u{1D424}': '9-17'
+  };
+  for (const [text, range] of Object.entries(disguises)) {
+    assert.deepStrictEqual(profanityRanges(text), [range], JSON.stringify(text));
+  }
+  assert.deepStrictEqual(profanityRanges('Привет мир'), []);
+});
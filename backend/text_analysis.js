@@ -2,10 +2,29 @@ require('dotenv').config(); // MUST be first import
 
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
-const readline = require('readline');
+const net = require('net');
 const { performance } = require('perf_hooks');
 const moment = require('moment');
+const { DetectorRegistry } = require('./detector_registry');
+const { createSpan, spansFromResult, sortSpans, resolveOverlaps } = require('./spans');
+const { keyStore } = require('./key_store');
+const { isEnvelope, createEnvelope, openEnvelope } = require('./envelope');
+const { MASKING_STRATEGIES, REVERSIBLE_STRATEGIES, parseStrategy, resolveStrategy, maskValue } = require('./masking');
+const { PseudonymSession } = require('./pseudonyms');
+const {
+  verhoeffCheck, luhnCheck, ibanCheck, abaCheck, gstinCheckCharacter,
+  dniLetter, nirKey, elevenTest, mod11_10CheckDigit, codiceFiscaleCheckCharacter,
+  base58CheckDecode, bech32Decode, eip55Checksum
+} = require('./checksums');
+const { parsePhoneNumber, longestPhoneNumber } = require('./phone_numbers');
+const { PERSON_NAME_PATTERN, findPersonName, isPersonName } = require('./person_names');
+const { SECRET_PATTERNS, isValidSecret } = require('./secret_patterns');
+const { normalizeText, originalRange } = require('./text_normalization');
+const { findProfanity, isProperNounUse } = require('./profanity_matcher');
+const { findLexiconWords } = require('./lexicons');
+const { identifyLanguage } = require('./language_detection');
+const { DEFAULT_SEVERITY, highestSeverity, applyTierAction } = require('./severity');
+const { CONTEXT_FRAMES, findHateSpeechContext } = require('./hate_speech_context');
 
 // Type alias for clarity is handled implicitly in JS
 
@@ -31,14 +50,37 @@ Return ONLY a valid JSON with these keys:
   - "emails": array of detected email addresses
   - "aadhaar": array of detected Aadhaar numbers (12-digit Indian ID)
   - "pan": array of detected PAN numbers (Indian tax ID)
+  - "gstin": array of detected GSTINs (Indian GST registration numbers)
+  - "voter_ids": array of detected Indian voter ID (EPIC) numbers
+  - "driving_licences": array of detected Indian driving licence numbers
+  - "vehicle_registrations": array of detected Indian vehicle registration numbers
+  - "upi_ids": array of detected UPI IDs (name@bank)
   - "account_numbers": array of detected bank account numbers
   - "ifsc_codes": array of detected IFSC codes
   - "swift_codes": array of detected SWIFT codes
+  - "iban_numbers": array of detected IBANs (international bank account numbers)
+  - "routing_numbers": array of detected US ABA routing numbers
+  - "uk_bank_accounts": array of detected UK sort code and account number pairs
   - "passport_numbers": array of detected passport numbers
   - "credit_cards": array of detected credit card numbers
   - "gps_coordinates": array of detected GPS coordinates
+  - "postal_addresses": array of detected street addresses
+  - "pin_codes": array of detected Indian PIN codes (only when written as part of an address)
+  - "zip_codes": array of detected US ZIP codes (only when written as part of an address)
+  - "dates_of_birth": array of detected dates of birth (not other dates)
+  - "person_names": array of detected names of people
   - "ssn": array of detected Social Security Numbers
   - "nhs_numbers": array of detected NHS numbers
+  - "dni_numbers": array of detected Spanish DNI/NIE numbers
+  - "nir_numbers": array of detected French social security (INSEE/NIR) numbers
+  - "codice_fiscale": array of detected Italian codici fiscali
+  - "bsn_numbers": array of detected Dutch citizen service numbers (BSN)
+  - "german_tax_ids": array of detected German tax IDs (Steuer-IdNr)
+  - "vat_numbers": array of detected EU VAT numbers
+  - "ip_addresses": array of detected IPv4 and IPv6 addresses
+  - "mac_addresses": array of detected MAC (hardware) addresses
+  - "crypto_wallets": array of detected cryptocurrency wallet addresses (Bitcoin, Ethereum)
+  - "secrets": array of detected credentials (API keys, access tokens, private keys, passwords, connection strings with passwords)
   - "other_sensitive": array of other potentially sensitive information
 
 TEXT: {text}
@@ -157,77 +199,267 @@ async function setupVertexAi(project = null, loc = null, model = null) {
   }
 }
 
+// Split text into trimmed sentences, keeping each sentence's offsets into the text.
+// Paragraphs (newlines) are split first, then sentences at ., ! or ? followed by whitespace.
+function splitSentences(text) {
+  const sentences = [];
+  const paragraphRegex = /[^\n]+/g;
+  let paragraph;
+
+  while ((paragraph = paragraphRegex.exec(text)) !== null) {
+    const boundaryRegex = /(?<=[.!?])\s+/g;
+    let segmentStart = 0;
+    let boundary;
+    const segments = [];
+
+    while ((boundary = boundaryRegex.exec(paragraph[0])) !== null) {
+      segments.push([segmentStart, boundary.index]);
+      segmentStart = boundary.index + boundary[0].length;
+    }
+    segments.push([segmentStart, paragraph[0].length]);
+
+    for (const [from, to] of segments) {
+      const raw = paragraph[0].slice(from, to);
+      const trimmed = raw.trim();
+      if (!trimmed) {
+        continue;
+      }
+      const start = paragraph.index + from + raw.indexOf(trimmed);
+      sentences.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  }
+
+  return sentences;
+}
+
+// Rule packs and the scripts they apply to. The English rules only run on sentences with
+// Latin letters; Hinglish and other code-mixed text is written in Latin script too, so
+// they are not limited to sentences identified as English. The language lexicons are
+// routed by lexicons.js.
+const RULE_PACKS = [
+  {
+    name: "en",
+    scripts: ["Latn"],
+    hateSpeech: HATE_SPEECH_KEYWORDS,
+    profanity: PROFANITY_PATTERNS,
+    lexicon: findProfanity
+  }
+];
+
+// The lexicon entry of a word matched by PROFANITY_PATTERNS ("f*ck" is "fuck"), for its
+// severity tier and proper noun flag; words in no lexicon get DEFAULT_SEVERITY
+function patternEntry(word) {
+  const [found] = [...findProfanity(word), ...findLexiconWords(word)];
+  return found || { severity: DEFAULT_SEVERITY, properNoun: false };
+}
+
+// A lexicon word that is also a name or place ("Dick Cheney", "Lauda Air"), written as
+// one in this sentence (profanity_matcher.js isProperNounUse). Whether the rest of the
+// sentence is English tells "Kutta is a village" from "Kutta kamina"; the language
+// lexicons are close enough to each other that only English is told apart reliably.
+function isNameUse(text, sentence, found, start, end) {
+  if (!found.properNoun) {
+    return false;
+  }
+  const rest = identifyLanguage(text.slice(sentence.start, start) + text.slice(end, sentence.end));
+  return isProperNounUse(text, start, end, {
+    sentenceStart: sentence.start,
+    otherLanguage: Boolean(found.language) && found.language !== "en" && rest.language === "en"
+  });
+}
+
 // Function to detect hate speech and profanity
 function detectHateSpeechProfanity(text) {
   const results = {
     "hate_speech": false,
     "profanity": false,
     "flagged_words": [],
-    "flagged_sentences": []
+    "flagged_sentences": [],
+    "spans": [],
+    "language": "und",
+    "languages": [],
+    "severity": null,
+    "hate_speech_context": []
   };
-
-  // Improved sentence splitting - handle multiple punctuation and line breaks
-  let sentences = [];
-  // First split by newlines to preserve paragraph structure
-  const paragraphs = text.split('\n');
-  for (const paragraph of paragraphs) {
-    // Then split each paragraph into sentences
-    const paragraphSentences = paragraph.split(/(?<=[.!?])\s+|(?<=[.!?])$/);
-    // Filter out empty strings
-    const filteredSentences = paragraphSentences
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-    sentences = sentences.concat(filteredSentences);
-  }
+  const languageLengths = {};
 
   // Check each sentence for hate speech patterns
-  for (const sentence of sentences) {
+  for (const sentence of splitSentences(text)) {
     let hasHateSpeech = false;
     let hasProfanity = false;
-    let profanityWords = [];
 
-    // Check for hate speech
-    for (const pattern of HATE_SPEECH_KEYWORDS) {
-      const regex = new RegExp(pattern, 'i');
-      if (regex.test(sentence.toLowerCase())) {
+    // Match against the normalized sentence (look-alike letters, invisible characters
+    // and fullwidth forms folded away), mapping matches back to the original text
+    const normalized = normalizeText(sentence.text);
+
+    // Tag the sentence with its language and script, which select the rules run on it
+    const tag = identifyLanguage(normalized.text);
+    results.languages.push({ start: sentence.start, end: sentence.end, ...tag });
+    if (tag.language !== "und") {
+      languageLengths[tag.language] = (languageLengths[tag.language] || 0) + sentence.text.length;
+    }
+    const rulePacks = RULE_PACKS.filter(pack => pack.scripts.some(script => tag.scripts.includes(script)));
+
+    // Check for hate speech - the whole sentence is flagged. When every match in it is
+    // negated, quoted, reported or condemned (hate_speech_context.js), the span carries
+    // that `context` so the action can be lowered, and the matches are listed with an
+    // explanation in hate_speech_context
+    const sentenceContexts = [];
+    let framed = false;
+    for (const pattern of rulePacks.flatMap(pack => pack.hateSpeech)) {
+      const match = new RegExp(pattern, 'i').exec(normalized.text);
+      if (!match) {
+        continue;
+      }
+      const [from, to] = originalRange(normalized, match.index, match.index + match[0].length);
+      const start = sentence.start + from;
+      const end = sentence.start + to;
+      const context = findHateSpeechContext(text, sentence, start, end);
+      if (!hasHateSpeech) {
         hasHateSpeech = true;
         results.hate_speech = true;
+        results.spans.push(createSpan(
+          'flagged_sentence', sentence.start, sentence.end, text, 'hate_speech', 'lexicon', pattern
+        ));
+        framed = true;
+      }
+      if (!context) {
+        framed = false;
         break;
       }
+      if (!sentenceContexts.some(other => start < other.end && end > other.start)) {
+        sentenceContexts.push({ start, end, text: text.slice(start, end), rule: pattern, ...context });
+      }
+    }
+    if (framed) {
+      const span = results.spans[results.spans.length - 1];
+      span.context = {
+        matches: sentenceContexts.map(({ start, end }) => ({ start, end })),
+        frames: [...new Set(sentenceContexts.flatMap(context => context.frames))],
+        explanation: sentenceContexts.map(context => context.explanation).join('; ')
+      };
+      results.hate_speech_context.push(...sentenceContexts);
     }
 
-    // Check for profanity
-    for (const pattern of PROFANITY_PATTERNS) {
+    // Check for profanity - each occurrence is flagged on its own
+    for (const pattern of rulePacks.flatMap(pack => pack.profanity)) {
       const regex = new RegExp(pattern, 'gi');
       let match;
-      while ((match = regex.exec(sentence.toLowerCase())) !== null) {
+      while ((match = regex.exec(normalized.text)) !== null) {
+        const [from, to] = originalRange(normalized, match.index, match.index + match[0].length);
+        const entry = patternEntry(match[0]);
+        if (isNameUse(text, sentence, entry, sentence.start + from, sentence.start + to)) {
+          continue;
+        }
         hasProfanity = true;
         results.profanity = true;
-        const flaggedWord = match[0];
+        const flaggedWord = match[0].toLowerCase();
         if (!results.flagged_words.includes(flaggedWord)) {
           results.flagged_words.push(flaggedWord);
         }
-        profanityWords.push(flaggedWord);
+        const span = createSpan(
+          'flagged_word', sentence.start + from, sentence.start + to, text, 'profanity', 'lexicon', pattern
+        );
+        span.severity = entry.severity;
+        results.spans.push(span);
+      }
+    }
+
+    // Disguised spellings of lexicon words ("f.u.c.k", "sh1t", "fuuuck") and words from
+    // the language lexicons, romanized or in native script ("chootiya", "चूतिया"), that
+    // the patterns above did not already flag
+    const sentenceSpans = results.spans.filter(span => span.type === 'flagged_word' &&
+      span.start >= sentence.start && span.end <= sentence.end);
+    const lexiconWords = [
+      ...rulePacks.flatMap(pack => pack.lexicon(normalized.text)),
+      ...findLexiconWords(normalized.text, undefined, { scripts: tag.scripts, language: tag.language })
+    ];
+    for (const found of lexiconWords) {
+      const [from, to] = originalRange(normalized, found.start, found.end);
+      const start = sentence.start + from;
+      const end = sentence.start + to;
+      if (sentenceSpans.some(span => start < span.end && end > span.start) ||
+          isNameUse(text, sentence, found, start, end)) {
+        continue;
+      }
+      hasProfanity = true;
+      results.profanity = true;
+      if (!results.flagged_words.includes(found.word)) {
+        results.flagged_words.push(found.word);
       }
+      const rule = found.language ? `lexicon:${found.language}:${found.word}` : `lexicon:${found.word}`;
+      const span = createSpan('flagged_word', start, end, text, 'profanity', 'lexicon', rule);
+      span.severity = found.severity;
+      sentenceSpans.push(span);
+      results.spans.push(span);
     }
 
     // Add sentence to flagged sentences if it contains hate speech or profanity
     if (hasHateSpeech || hasProfanity) {
-      if (!results.flagged_sentences.includes(sentence)) {
-        results.flagged_sentences.push(sentence);
+      if (!results.flagged_sentences.includes(sentence.text)) {
+        results.flagged_sentences.push(sentence.text);
       }
     }
   }
 
+  results.severity = highestSeverity(results.spans.map(span => span.severity));
+
+  // The language of the text is the one most of it is written in
+  const [dominant] = Object.entries(languageLengths).sort((a, b) => b[1] - a[1]);
+  if (dominant) {
+    results.language = dominant[0];
+  }
+
   return results;
 }
 
+// Street types that end the street part of an address ("221B Baker Street", "12 MG Road")
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|' +
+  'Terrace|Parkway|Highway|Hwy|Marg|Nagar|Colony|Layout|Cross|Main|Sector|Chowk|Gali|Enclave|Apartments|Society';
+
+// ", Springfield, IL 62704" - up to six comma separated parts of capitalized words and
+// numbers after the street; lowercase words and full stops end the address
+const ADDRESS_WORD = "[A-Z0-9](?:[\\w'/-]|\\.(?=\\w))*";
+const ADDRESS_PARTS = `(?:,[ \\t]*${ADDRESS_WORD}(?:[ \\t]+${ADDRESS_WORD}){0,3}){0,6}`;
+
+const MONTH_NAMES = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|' +
+  'Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+
+// Patterns are strings, or RegExps where they need flags (e.g. case-insensitive
+// keywords); the global flag is added when they are compiled.
 const PATTERNS = {
-  // Indian phone numbers - start with 6, 7, 8, or 9 followed by 9 digits
+  // Credentials: cloud and chat tokens, JWTs, private keys, connection strings with a
+  // password and "password: ..." style assignments (value only); shared with the
+  // browser extension, see secret_patterns.js
+  "secrets": SECRET_PATTERNS,
+
+  // Phone numbers - candidates are checked against the numbering plans in phone_numbers.js;
+  // numbers without a country code are read in the default region
   "phone_numbers": [
-    '\\b(?:\\+91[\\s-]?)?[6-9]\\d{9}\\b',  // Indian format with or without +91
-    '\\b(?:0)?[6-9]\\d{9}\\b',           // With optional 0 prefix
-    '\\b[6-9]\\d{2}[\\s-]?\\d{3}[\\s-]?\\d{4}\\b',  // With separators
+    '(?<![\\w+])(?:\\+|00)[1-9]\\d{0,2}(?:[\\s.-]?\\(?\\d{1,5}\\)?){1,6}(?!\\d)',  // +44 20 7946 0958, 0044 ...
+    '(?<![\\w(])\\(\\d{2,5}\\)[\\s.-]?\\d{3,4}[\\s.-]?\\d{3,4}\\b',  // (212) 555-1234, (020) 7946 0958
+    '\\b\\d{2,5}(?:[\\s.-]?\\d{2,5}){1,4}\\b',  // 9876543210, 98765 43210, 020 7946 0958
+  ],
+
+  // IP addresses; IPv6 candidates are checked with net.isIP. IPv6 comes first so an
+  // IPv4-mapped address (::ffff:10.0.0.1) is matched whole
+  "ip_addresses": [
+    '(?<![\\w:])(?:[0-9A-Fa-f]{1,4}:|:)(?::|[0-9A-Fa-f]{1,4}:){0,6}(?:(?:\\d{1,3}\\.){3}\\d{1,3}|[0-9A-Fa-f]{1,4}|:)(?![\\w:]|\\.\\d)',
+    '(?<![\\d.])(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)(?:\\.(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)){3}(?!\\d|\\.\\d)'
+  ],
+
+  // MAC addresses - six hex pairs separated by colons or hyphens, or Cisco dotted form
+  "mac_addresses": [
+    '\\b[0-9A-Fa-f]{2}([:-])[0-9A-Fa-f]{2}(?:\\1[0-9A-Fa-f]{2}){4}\\b',
+    '\\b[0-9A-Fa-f]{4}\\.[0-9A-Fa-f]{4}\\.[0-9A-Fa-f]{4}\\b'
+  ],
+
+  // Cryptocurrency wallets - Bitcoin Base58Check and bech32 addresses, Ethereum addresses
+  "crypto_wallets": [
+    '\\b[13mn2][1-9A-HJ-NP-Za-km-z]{25,34}\\b',
+    '\\b(?:bc|tb)1[02-9ac-hj-np-z]{11,71}\\b',
+    '\\b(?:BC|TB)1[02-9AC-HJ-NP-Z]{11,71}\\b',
+    '\\b0x[0-9a-fA-F]{40}\\b'
   ],
 
   // Email addresses
@@ -245,6 +477,33 @@ const PATTERNS = {
     '\\b[A-Z]{5}[0-9]{4}[A-Z]\\b'
   ],
 
+  // GSTIN - 2-digit state code, the holder's PAN, entity number, "Z" and a check character
+  "gstin": [
+    '\\b\\d{2}[A-Z]{5}\\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\\b'
+  ],
+
+  // Voter ID (EPIC) - 3 letters followed by 7 digits
+  "voter_ids": [
+    '\\b[A-Z]{3}\\d{7}\\b'
+  ],
+
+  // Indian driving licence - state code, RTO code, year of issue, 7-digit number
+  "driving_licences": [
+    '\\b[A-Z]{2}[-\\s]?\\d{2}[-\\s]?(?:19|20)\\d{2}[-\\s]?\\d{7}\\b'
+  ],
+
+  // Indian vehicle registration - state code, district, series letters and number
+  // (MH 12 AB 1234, DL 3C AB 1234), or the Bharat series (22 BH 1234 AA)
+  "vehicle_registrations": [
+    '\\b[A-Z]{2}[-\\s]?\\d{1,2}[A-Z]?[-\\s]?[A-Z]{1,3}[-\\s]?\\d{4}\\b',
+    '\\b\\d{2}[-\\s]?BH[-\\s]?\\d{4}[-\\s]?[A-Z]{1,2}\\b'
+  ],
+
+  // UPI IDs (virtual payment addresses) - name@handle, without a domain suffix
+  "upi_ids": [
+    '\\b[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}\\b(?![.@-]?[a-zA-Z0-9])'
+  ],
+
   // Bank account numbers (generally 9-18 digits)
   "account_numbers": [
     '\\b(?:acc(?:ount)?(?:\\s?(?:no|number|#))?\\s?[:=]?\\s?)?\\d{9,18}\\b',  // With potential prefix
@@ -262,6 +521,22 @@ const PATTERNS = {
     '\\b[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}(?:[A-Z0-9]{3})?\\b'
   ],
 
+  // IBANs - country code, two check digits and a national account number of up to 30
+  // characters, written in groups of four or without spaces
+  "iban_numbers": [
+    '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\\b'
+  ],
+
+  // US ABA routing numbers (9 digits with a check digit)
+  "routing_numbers": [
+    '\\b\\d{9}\\b'
+  ],
+
+  // UK sort code (12-34-56) followed by an 8-digit account number
+  "uk_bank_accounts": [
+    '\\b\\d{2}[-\\s]?\\d{2}[-\\s]?\\d{2}[\\s,;/]+(?:(?:a\\/c|acc(?:ount)?)(?:\\s?(?:no\\.?|number|#))?\\s?[:=]?\\s?)?\\d{8}\\b'
+  ],
+
   // Credit card numbers (with or without separators)
   "credit_cards": [
     '\\b(?:\\d{4}[\\s-]?){3}\\d{4}\\b',  // Common format with separators
@@ -278,6 +553,37 @@ const PATTERNS = {
     '\\b\\d{3}[\\s-]?\\d{3}[\\s-]?\\d{4}\\b'
   ],
 
+  // Spanish DNI (8 digits) or NIE (X, Y or Z and 7 digits) with a control letter
+  "dni_numbers": [
+    '\\b(?:\\d{8}|[XYZ]\\d{7})[-\\s]?[A-Z]\\b'
+  ],
+
+  // French INSEE/NIR - sex, year, month, department, commune, order number and a 2-digit key
+  "nir_numbers": [
+    '\\b[12][\\s.]?\\d{2}[\\s.]?(?:0[1-9]|1[0-2]|[2-9]\\d)[\\s.]?(?:\\d{2}|2[AB])[\\s.]?\\d{3}[\\s.]?\\d{3}[\\s.]?\\d{2}\\b'
+  ],
+
+  // Italian codice fiscale - surname, name, birth date and place, check letter
+  // (digits may be replaced with LMNPQRSTUV to resolve duplicates)
+  "codice_fiscale": [
+    '\\b[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]\\b'
+  ],
+
+  // Dutch citizen service number (BSN) - 9 digits
+  "bsn_numbers": [
+    '\\b\\d{4}[.\\s]?\\d{2}[.\\s]?\\d{3}\\b'
+  ],
+
+  // German tax ID (Steuerliche Identifikationsnummer) - 11 digits
+  "german_tax_ids": [
+    '\\b[1-9]\\d\\s?\\d{3}\\s?\\d{3}\\s?\\d{3}\\b'
+  ],
+
+  // EU VAT numbers - country prefix followed by the national number
+  "vat_numbers": [
+    '\\b(?:AT|BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|FR|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK|XI)[\\s-]?[A-Z0-9]{2,12}\\b'
+  ],
+
   // Passport numbers (various formats)
   "passport_numbers": [
     '\\b[A-Z]{1,2}\\d{6,9}\\b',  // Common format for many countries
@@ -287,44 +593,323 @@ const PATTERNS = {
   // GPS coordinates
   "gps_coordinates": [
     '\\b-?\\d{1,2}\\.\\d{1,8},\\s*-?\\d{1,3}\\.\\d{1,8}\\b'  // Decimal format
+  ],
+
+  // Street addresses: house number and street, or "Flat/House No." and locality, then
+  // city, state and postal code
+  "postal_addresses": [
+    `\\b(?:[Ff]lat|[Hh]ouse|[Pp]lot|[Dd]oor|[Ss]hop|H)\\.?[ \\t]?(?:[Nn]o\\.?|[Nn]umber|#)[ \\t]*:?[ \\t]*[\\w/-]+${ADDRESS_PARTS}`,
+    `\\b\\d{1,5}[A-Za-z]?(?:/\\d+)?,?[ \\t]+(?:[A-Z0-9][\\w'.-]*[ \\t]+){1,4}(?:${STREET_SUFFIXES})\\b\\.?${ADDRESS_PARTS}`
+  ],
+
+  // Indian PIN codes - six digits, the first a postal zone (1-8); "560 001" is common
+  "pin_codes": [
+    '(?<![\\d-])[1-8]\\d{2}[ \\t]?\\d{3}(?![\\d-])'
+  ],
+
+  // US ZIP codes and ZIP+4
+  "zip_codes": [
+    '(?<![\\d-])\\d{5}(?:-\\d{4})?(?![\\d-])'
+  ],
+
+  // Dates of birth - numeric day/month/year in either order, ISO dates and dates with
+  // the month written out ("12 March 1998", "March 12, 1998")
+  "dates_of_birth": [
+    '(?<![\\d/.-])(?:\\d{1,2}([/.-])\\d{1,2}\\1(?:19|20)\\d{2}|(?:19|20)\\d{2}-\\d{1,2}-\\d{1,2})(?!\\d|[/.-]\\d)',
+    new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?[ \\t]+(?:of[ \\t]+)?(?:${MONTH_NAMES})\\.?,?[ \\t]+(?:19|20)\\d{2}\\b`, 'i'),
+    new RegExp(`\\b(?:${MONTH_NAMES})\\.?[ \\t]+\\d{1,2}(?:st|nd|rd|th)?,?[ \\t]+(?:19|20)\\d{2}\\b`, 'i')
+  ],
+
+  // Names of people - runs of capitalized words, checked against the gazetteers in
+  // person_names.js
+  "person_names": [
+    PERSON_NAME_PATTERN
   ]
 };
 
 // Context keywords that increase likelihood of correct identification
 const CONTEXT_KEYWORDS = {
+  "ip_addresses": ['ip', 'ip address', 'ipv4', 'ipv6', 'server', 'host', 'address', 'network', 'login from'],
+  "mac_addresses": ['mac', 'mac address', 'hardware', 'ethernet', 'wifi', 'wi-fi', 'bssid', 'device', 'adapter'],
+  "crypto_wallets": ['btc', 'bitcoin', 'eth', 'ethereum', 'wallet', 'crypto', 'usdt', 'metamask', 'send', 'address'],
+  "secrets": ['password', 'secret', 'token', 'key', 'credential', 'api', 'auth', 'login', 'aws', 'github', 'slack'],
   "phone_numbers": ['phone', 'mobile', 'cell', 'call', 'contact', 'tel', 'telephone'],
   "emails": ['email', 'mail', 'contact', 'address', '@'],
   "aadhaar": ['aadhaar', 'aadhar', 'uid', 'unique id', 'identity', 'identification'],
   "pan": ['pan', 'permanent account', 'tax', 'income tax', 'it department'],
+  "gstin": ['gstin', 'gst', 'gst no', 'gst number', 'tax', 'invoice', 'registration'],
+  "voter_ids": ['voter', 'epic', 'election', 'electoral', 'voter id', 'elector'],
+  "driving_licences": ['driving', 'licence', 'license', 'dl', 'dl no', 'rto', 'parivahan'],
+  "vehicle_registrations": ['vehicle', 'car', 'bike', 'scooter', 'registration', 'number plate', 'reg no', 'rc', 'rto'],
+  "upi_ids": ['upi', 'vpa', 'gpay', 'google pay', 'phonepe', 'paytm', 'bhim', 'pay', 'payment', 'send money'],
   "account_numbers": ['account', 'bank', 'a/c', 'acc', 'savings', 'current', 'deposit'],
   "ifsc_codes": ['ifsc', 'bank', 'branch', 'rtgs', 'neft', 'transfer'],
   "swift_codes": ['swift', 'bic', 'bank', 'international', 'transfer', 'foreign'],
+  "iban_numbers": ['iban', 'bank', 'account', 'transfer', 'sepa', 'payee', 'beneficiary'],
+  "routing_numbers": ['routing', 'aba', 'rtn', 'ach', 'wire', 'transit', 'bank'],
+  "uk_bank_accounts": ['sort code', 'sort', 'account', 'bank', 'payee', 'bacs', 'faster payment'],
   "credit_cards": ['credit', 'card', 'debit', 'visa', 'mastercard', 'amex', 'payment'],
   "ssn": ['social security', 'ssn', 'social insurance', 'national id'],
   "nhs_numbers": ['nhs', 'national health', 'health service', 'medical', 'patient'],
   "passport_numbers": ['passport', 'travel', 'document', 'visa', 'international'],
-  "gps_coordinates": ['gps', 'location', 'coordinates', 'latitude', 'longitude', 'position', 'map']
+  "dni_numbers": ['dni', 'nie', 'nif', 'documento', 'identidad', 'extranjero', 'id card'],
+  "nir_numbers": ['insee', 'nir', 'sécurité sociale', 'securite sociale', 'carte vitale', 'social security', 'numéro de sécu'],
+  "codice_fiscale": ['codice fiscale', 'cod. fisc', 'c.f.', 'cf', 'fiscal code', 'tax code', 'tessera sanitaria'],
+  "bsn_numbers": ['bsn', 'burgerservicenummer', 'sofinummer', 'sofi', 'citizen service number'],
+  "german_tax_ids": ['steuer-id', 'steueridentifikationsnummer', 'steuer id', 'idnr', 'identifikationsnummer', 'tax id', 'steuernummer'],
+  "vat_numbers": ['vat', 'tva', 'iva', 'btw', 'mwst', 'ust-idnr', 'ust', 'moms', 'vat number', 'vat id', 'tax'],
+  "gps_coordinates": ['gps', 'location', 'coordinates', 'latitude', 'longitude', 'position', 'map'],
+  "postal_addresses": [
+    'address', 'live at', 'lives at', 'living at', 'located at', 'residence', 'resides', 'home', 'house',
+    'ship to', 'deliver', 'delivery', 'staying at', 'find him', 'find her', 'find them'
+  ],
+  "pin_codes": ['pin', 'pincode', 'pin code', 'postal code', 'postcode', 'post office', 'address', 'dist', 'district'],
+  "zip_codes": ['zip', 'zipcode', 'zip code', 'postal code', 'mailing address', 'address', 'usa', 'united states'],
+  "person_names": [
+    'name', 'named', 'my name is', 'called', 'i am', "i'm", 'this is', 'meet', 'contact', 'ask for',
+    'son of', 'daughter of', 'wife of', 'husband of', 's/o', 'd/o', 'w/o'
+  ],
+  "dates_of_birth": [
+    'dob', 'd.o.b', 'date of birth', 'birth date', 'birthdate', 'birthday', 'bday', 'b\'day', 'born', 'age'
+  ]
 };
 
+// Confidence scoring for PII matches.
+// A match starts at `base`, gains `validatorWeight` when its validator (checksum or
+// format rules) passes, `formatWeight` when it is written in the category's canonical
+// format and `contextWeight` when a CONTEXT_KEYWORDS entry appears within
+// `contextWindow` (default CONTEXT_WINDOW) characters. A failing validator discards
+// the match. Matches scoring below `threshold` are not reported.
+const CONTEXT_WINDOW = 50;
+
+// UPI handles of common payment apps and banks; UPI IDs at one of them gain the
+// format weight
+const UPI_HANDLES = [
+  'upi', 'ybl', 'ibl', 'axl', 'paytm', 'apl', 'yapl', 'okaxis', 'okhdfcbank', 'okicici', 'oksbi',
+  'ptaxis', 'pthdfc', 'ptsbi', 'ptyes', 'axisbank', 'axisb', 'sbi', 'icici', 'hdfcbank', 'kotak',
+  'pnb', 'boi', 'unionbank', 'barodampay', 'fbl', 'federal', 'idfcbank', 'idfcfirst', 'rbl',
+  'indus', 'aubank', 'yesbank', 'airtel', 'jio', 'postbank', 'dbs', 'cnrb', 'citi', 'hsbc',
+  'sc', 'mahb', 'kbl', 'freecharge', 'ikwik', 'waaxis', 'wahdfcbank', 'waicici', 'wasbi',
+  'jupiteraxis', 'naviaxis', 'slice', 'abfspay', 'amazonpay', 'timecosmos'
+];
+const UPI_HANDLE_FORMAT = new RegExp(`@(?:${UPI_HANDLES.join('|')})$`, 'i');
+
+const CONFIDENCE_RULES = {
+  "ip_addresses": { base: 0.4, validator: 'isValidIpAddress', validatorWeight: 0.2, contextWeight: 0.3, threshold: 0.6 },
+  "mac_addresses": { base: 0.5, validator: 'isValidMacAddress', validatorWeight: 0.2, contextWeight: 0.2, threshold: 0.6 },
+  "crypto_wallets": { base: 0.6, validator: 'isValidCryptoWallet', validatorWeight: 0.3, contextWeight: 0.1, threshold: 0.6 },
+  "secrets": { base: 0.6, validator: 'isValidSecret', validatorWeight: 0.3, contextWeight: 0.1, threshold: 0.6 },
+  "emails": { base: 0.8, validator: 'isValidEmail', validatorWeight: 0.1, contextWeight: 0.1, threshold: 0.5 },
+  "pan": { base: 0.5, validator: 'isValidPan', validatorWeight: 0.2, contextWeight: 0.3, threshold: 0.6 },
+  "gstin": { base: 0.5, validator: 'isValidGstin', validatorWeight: 0.4, contextWeight: 0.1, threshold: 0.6 },
+  "voter_ids": { base: 0.3, validator: 'isValidVoterId', validatorWeight: 0.1, contextWeight: 0.4, threshold: 0.6 },
+  "driving_licences": { base: 0.4, validator: 'isValidDrivingLicence', validatorWeight: 0.2, contextWeight: 0.3, threshold: 0.6 },
+  "vehicle_registrations": {
+    base: 0.3, validator: 'isValidVehicleRegistration', validatorWeight: 0.2,
+    format: /^(?:[A-Z]{2}\d{1,2}[A-Z]?[A-Z]{1,3}\d{4}|[A-Z]{2} \d{1,2}[A-Z]? [A-Z]{1,3} \d{4})$/, formatWeight: 0.1,
+    contextWeight: 0.3, threshold: 0.6
+  },
+  "upi_ids": {
+    base: 0.3, validator: 'isValidUpiId', validatorWeight: 0.1,
+    format: UPI_HANDLE_FORMAT, formatWeight: 0.3, contextWeight: 0.3, threshold: 0.6
+  },
+  "ifsc_codes": { base: 0.5, validator: 'isValidIfsc', validatorWeight: 0.1, contextWeight: 0.3, threshold: 0.6 },
+  "swift_codes": { base: 0.3, validator: 'isValidSwift', validatorWeight: 0.1, contextWeight: 0.4, threshold: 0.6 },
+  "iban_numbers": { base: 0.5, validator: 'isValidIban', validatorWeight: 0.4, contextWeight: 0.1, threshold: 0.6 },
+  "routing_numbers": { base: 0.2, validator: 'isValidRoutingNumber', validatorWeight: 0.3, contextWeight: 0.4, threshold: 0.6 },
+  "uk_bank_accounts": {
+    base: 0.3, validator: 'isValidUkBankAccount', validatorWeight: 0.2,
+    format: /^\d{2}-\d{2}-\d{2}\b/, formatWeight: 0.1, contextWeight: 0.3, threshold: 0.6
+  },
+  "passport_numbers": { base: 0.4, contextWeight: 0.4, threshold: 0.6 },
+  "credit_cards": { base: 0.3, validator: 'validateCreditCard', validatorWeight: 0.4, contextWeight: 0.2, threshold: 0.6 },
+  "ssn": {
+    base: 0.3, validator: 'isValidSsn', validatorWeight: 0.2,
+    format: /^\d{3}-\d{2}-\d{4}$/, formatWeight: 0.2, contextWeight: 0.4, threshold: 0.6
+  },
+  "gps_coordinates": { base: 0.6, contextWeight: 0.3, threshold: 0.5 },
+  "postal_addresses": {
+    base: 0.5, format: /(?:\b\d{5}(?:-\d{4})?|\b\d{3} ?\d{3})$/, formatWeight: 0.2, contextWeight: 0.3, threshold: 0.5
+  },
+  // PIN codes, ZIP codes and dates are everyday numbers; they are only reported next
+  // to an address or birth keyword
+  "pin_codes": { base: 0.2, contextWeight: 0.4, threshold: 0.6 },
+  "zip_codes": {
+    base: 0.2, validator: 'isValidZipCode', validatorWeight: 0.1,
+    format: /^\d{5}-\d{4}$/, formatWeight: 0.1, contextWeight: 0.4, threshold: 0.6
+  },
+  // Full names and names after a honorific ("Mr. Sharma") gain the format weight; a lone
+  // first name needs a keyword such as "my name is"
+  "person_names": {
+    base: 0.3, validator: 'isValidPersonName', validatorWeight: 0.2,
+    format: /\s/, formatWeight: 0.2, contextWeight: 0.2, threshold: 0.6
+  },
+  // A narrow window keeps other dates in a post that mentions a birthday unreported
+  "dates_of_birth": {
+    base: 0.1, validator: 'isValidDateOfBirth', validatorWeight: 0.1, contextWeight: 0.5, contextWindow: 20, threshold: 0.6
+  },
+  "phone_numbers": { base: 0.5, validator: 'isValidPhoneNumber', validatorWeight: 0.2, contextWeight: 0.2, threshold: 0.6 },
+  "nhs_numbers": {
+    base: 0.2, validator: 'validateNhsNumber', validatorWeight: 0.3,
+    format: /^\d{3} \d{3} \d{4}$/, formatWeight: 0.1, contextWeight: 0.4, threshold: 0.6
+  },
+  "aadhaar": {
+    base: 0.3, validator: 'validateAadhaar', validatorWeight: 0.3,
+    format: /^\d{4} \d{4} \d{4}$/, formatWeight: 0.1, contextWeight: 0.3, threshold: 0.65
+  },
+  "dni_numbers": { base: 0.4, validator: 'isValidDni', validatorWeight: 0.3, contextWeight: 0.3, threshold: 0.6 },
+  "nir_numbers": { base: 0.4, validator: 'isValidNir', validatorWeight: 0.3, contextWeight: 0.3, threshold: 0.6 },
+  "codice_fiscale": { base: 0.5, validator: 'isValidCodiceFiscale', validatorWeight: 0.3, contextWeight: 0.2, threshold: 0.6 },
+  "bsn_numbers": { base: 0.2, validator: 'isValidBsn', validatorWeight: 0.3, contextWeight: 0.4, threshold: 0.6 },
+  "german_tax_ids": { base: 0.2, validator: 'isValidGermanTaxId', validatorWeight: 0.3, contextWeight: 0.4, threshold: 0.6 },
+  "vat_numbers": { base: 0.4, validator: 'isValidVatNumber', validatorWeight: 0.3, contextWeight: 0.3, threshold: 0.6 },
+  "account_numbers": { base: 0.2, contextWeight: 0.5, threshold: 0.6 }
+};
+
+// Check whether one of the category's context keywords appears near the match.
+// Alphabetic keywords must match as whole words so that "pan" does not fire on "company".
+function hasContextKeyword(category, text, start, end) {
+  const keywords = CONTEXT_KEYWORDS[category] || [];
+  const size = (CONFIDENCE_RULES[category] && CONFIDENCE_RULES[category].contextWindow) || CONTEXT_WINDOW;
+  const windowText = text
+    .slice(Math.max(0, start - size), Math.min(text.length, end + size))
+    .toLowerCase();
+
+  return keywords.some(keyword => {
+    if (!/^[a-z ]+$/.test(keyword)) {
+      return windowText.includes(keyword);
+    }
+    return new RegExp(`\\b${keyword}\\b`).test(windowText);
+  });
+}
+
+// Score a PII match between 0 and 1. Returns 0 when the category validator rejects it.
+// `options` is passed on to the validator (e.g. { defaultRegion } for phone numbers).
+function scoreMatch(category, matchedText, text, start, end, options = {}) {
+  const rule = CONFIDENCE_RULES[category];
+  if (!rule) {
+    return 1;
+  }
+
+  let confidence = rule.base;
+
+  if (rule.validator) {
+    if (!VALIDATORS[rule.validator](matchedText, text, options)) {
+      return 0;
+    }
+    confidence += rule.validatorWeight || 0;
+  }
+
+  if (rule.format && rule.format.test(matchedText)) {
+    confidence += rule.formatWeight || 0;
+  }
+
+  if (hasContextKeyword(category, text, start, end)) {
+    confidence += rule.contextWeight || 0;
+  }
+
+  return Math.min(1, Math.round(confidence * 100) / 100);
+}
+
 // ======================================================
 // VALIDATION FUNCTIONS
 // ======================================================
 
-function isValidIndianPhone(match) {
-  // Remove any non-digit characters
-  const digits = match.replace(/\D/g, '');
+function isValidPhoneNumber(match, text, options = {}) {
+  // International numbers are checked against the plan of their country code,
+  // national numbers against the default region's plan
+  return parsePhoneNumber(match, { defaultRegion: options.defaultRegion }) !== null;
+}
+
+// Special-purpose address ranges (RFC 6890); anything else is "public". Checked with
+// net.BlockList, which needs Node 15.0 or later (package.json asks for 16).
+const IP_SCOPES = [
+  ['unspecified', [['0.0.0.0', 8, 'ipv4'], ['::', 128, 'ipv6']]],
+  ['loopback', [['127.0.0.0', 8, 'ipv4'], ['::1', 128, 'ipv6']]],
+  ['private', [['10.0.0.0', 8, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['fc00::', 7, 'ipv6']]],
+  ['shared', [['100.64.0.0', 10, 'ipv4']]],
+  ['link_local', [['169.254.0.0', 16, 'ipv4'], ['fe80::', 10, 'ipv6']]],
+  ['documentation', [
+    ['192.0.2.0', 24, 'ipv4'], ['198.51.100.0', 24, 'ipv4'], ['203.0.113.0', 24, 'ipv4'], ['2001:db8::', 32, 'ipv6']
+  ]],
+  ['multicast', [['224.0.0.0', 4, 'ipv4'], ['ff00::', 8, 'ipv6']]],
+  ['reserved', [['240.0.0.0', 4, 'ipv4']]]
+].map(([scope, ranges]) => {
+  const blockList = new net.BlockList();
+  for (const [address, prefix, type] of ranges) {
+    blockList.addSubnet(address, prefix, type);
+  }
+  return { scope, blockList };
+});
+
+/**
+ * Classify an IP address by the range it belongs to.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} "public", "private", "loopback", "link_local", "shared",
+ *                        "documentation", "multicast", "reserved" or "unspecified";
+ *                        null for invalid addresses
+ */
+function classifyIpAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) {
+    return null;
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:192.168.1.1) take the scope of the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return classifyIpAddress(mapped[1]);
+  }
+
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const match = IP_SCOPES.find(({ blockList }) => blockList.check(address, type));
+  return match ? match.scope : 'public';
+}
+
+function isValidIpAddress(match) {
+  // The "any" address (0.0.0.0, ::) does not identify anyone
+  const scope = classifyIpAddress(match);
+  return scope !== null && scope !== 'unspecified';
+}
 
-  // Check if starts with country code
-  let cleanDigits = digits;
-  if (digits.startsWith('91')) {
-    cleanDigits = digits.substring(2);
-  } else if (digits.startsWith('0')) {
-    cleanDigits = digits.substring(1);
+function isValidMacAddress(match) {
+  const hex = match.replace(/[^0-9A-Fa-f]/g, '');
+  if (hex.length !== 12) {
+    return false;
+  }
+
+  // All zeros and the broadcast address do not identify a device
+  return !/^0{12}$/.test(hex) && !/^f{12}$/i.test(hex);
+}
+
+function isValidCryptoWallet(match) {
+  // Ethereum: all lower or upper case carries no checksum; mixed case must be EIP-55
+  if (/^0x[0-9a-fA-F]{40}$/.test(match)) {
+    const hex = match.slice(2);
+    return hex === hex.toLowerCase() || hex === hex.toUpperCase() || eip55Checksum(match) === match;
+  }
+
+  // Bitcoin segwit (bech32 for version 0, bech32m for version 1 and later)
+  if (/^(?:bc|tb)1/i.test(match)) {
+    const decoded = bech32Decode(match);
+    if (!decoded || decoded.data.length === 0) {
+      return false;
+    }
+    const version = decoded.data[0];
+    const programBytes = Math.floor((decoded.data.length - 1) * 5 / 8);
+    if (version > 16 || programBytes < 2 || programBytes > 40) {
+      return false;
+    }
+    if (version === 0) {
+      return decoded.encoding === 'bech32' && (programBytes === 20 || programBytes === 32);
+    }
+    return decoded.encoding === 'bech32m';
   }
 
-  // Must be 10 digits and start with 6-9
-  return (cleanDigits.length === 10 &&
-    ['6', '7', '8', '9'].includes(cleanDigits[0]));
+  // Bitcoin legacy (P2PKH, P2SH) on mainnet and testnet: Base58Check with a version byte
+  const payload = base58CheckDecode(match);
+  return Boolean(payload) && payload.length === 21 && [0x00, 0x05, 0x6f, 0xc4].includes(payload[0]);
 }
 
 function isValidEmail(match) {
@@ -378,6 +963,100 @@ function isValidPan(match) {
   return true;
 }
 
+// GSTIN state codes: 01-38 for states and union territories, 97 for other territory,
+// 99 for the centre jurisdiction
+function isValidGstin(match) {
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(match)) {
+    return false;
+  }
+
+  const stateCode = parseInt(match.slice(0, 2), 10);
+  if (!((stateCode >= 1 && stateCode <= 38) || stateCode === 97 || stateCode === 99)) {
+    return false;
+  }
+
+  // Characters 3-12 are the holder's PAN
+  if (!isValidPan(match.slice(2, 12))) {
+    return false;
+  }
+
+  // The last character is a mod 36 check character
+  return gstinCheckCharacter(match) === match[14];
+}
+
+function isValidVoterId(match) {
+  // EPIC: 3-letter functional unique serial number (FUSN) followed by 7 digits
+  if (!/^[A-Z]{3}\d{7}$/.test(match)) {
+    return false;
+  }
+
+  // The serial part is never all zeros
+  return match.slice(3) !== '0000000';
+}
+
+// Indian state and union territory codes used on driving licences and number plates
+// (including the older OR, UA and DD/DN codes still in circulation)
+const INDIAN_STATE_CODES = [
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR',
+  'JH', 'JK', 'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR',
+  'PB', 'PY', 'RJ', 'SK', 'TN', 'TR', 'TS', 'UA', 'UK', 'UP', 'WB'
+];
+
+function isValidDrivingLicence(match) {
+  const compact = match.replace(/[-\s]/g, '');
+
+  // SS RR YYYY NNNNNNN: state code, RTO code, year of issue, serial number
+  if (!/^[A-Z]{2}\d{13}$/.test(compact)) {
+    return false;
+  }
+
+  if (!INDIAN_STATE_CODES.includes(compact.slice(0, 2))) {
+    return false;
+  }
+
+  // RTO codes start at 01
+  if (compact.slice(2, 4) === '00') {
+    return false;
+  }
+
+  // The year of issue cannot be in the future
+  const year = parseInt(compact.slice(4, 8), 10);
+  return year >= 1950 && year <= new Date().getFullYear();
+}
+
+function isValidVehicleRegistration(match) {
+  const compact = match.replace(/[-\s]/g, '');
+
+  // Bharat series: YY BH NNNN XX
+  if (/^\d{2}BH\d{4}[A-Z]{1,2}$/.test(compact)) {
+    return true;
+  }
+
+  const parts = compact.match(/^([A-Z]{2})(\d{1,2})[A-Z]?([A-Z]{1,3})(\d{4})$/);
+  if (!parts) {
+    return false;
+  }
+
+  if (!INDIAN_STATE_CODES.includes(parts[1])) {
+    return false;
+  }
+
+  // District codes start at 1 and the registration number at 0001
+  return parseInt(parts[2], 10) > 0 && parts[4] !== '0000';
+}
+
+function isValidUpiId(match) {
+  const [name, handle] = match.split('@');
+
+  // Names are 2-256 characters of letters, digits, dots, hyphens and underscores
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}$/.test(name)) {
+    return false;
+  }
+
+  // Handles are letters and digits only, starting with a letter
+  return /^[a-zA-Z][a-zA-Z0-9]{1,63}$/.test(handle);
+}
+
 function isValidAccountNumber(match, context) {
   // Extract only the digits from the match
   const digits = match.replace(/\D/g, '');
@@ -422,6 +1101,86 @@ function isValidSwift(match) {
   return true;
 }
 
+// IBAN length per country (SWIFT IBAN registry)
+const IBAN_LENGTHS = {
+  "AD": 24, "AE": 23, "AL": 28, "AT": 20, "AZ": 28, "BA": 20, "BE": 16, "BG": 22, "BH": 22,
+  "BR": 29, "BY": 28, "CH": 21, "CR": 22, "CY": 28, "CZ": 24, "DE": 22, "DK": 18, "DO": 28,
+  "EE": 20, "EG": 29, "ES": 24, "FI": 18, "FO": 18, "FR": 27, "GB": 22, "GE": 22, "GI": 23,
+  "GL": 18, "GR": 27, "GT": 28, "HR": 21, "HU": 28, "IE": 22, "IL": 23, "IQ": 23, "IS": 26,
+  "IT": 27, "JO": 30, "KW": 30, "KZ": 20, "LB": 28, "LC": 32, "LI": 21, "LT": 20, "LU": 20,
+  "LV": 21, "MC": 27, "MD": 24, "ME": 22, "MK": 19, "MR": 27, "MT": 31, "MU": 30, "NL": 18,
+  "NO": 15, "PK": 24, "PL": 28, "PS": 29, "PT": 25, "QA": 29, "RO": 24, "RS": 22, "SA": 24,
+  "SC": 31, "SE": 24, "SI": 19, "SK": 24, "SM": 27, "TL": 23, "TN": 24, "TR": 26, "UA": 29,
+  "VA": 22, "VG": 24, "XK": 20
+};
+
+function isValidIban(match) {
+  // Compare without the grouping spaces
+  const iban = match.replace(/\s/g, '').toUpperCase();
+
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) {
+    return false;
+  }
+
+  // Each country has a fixed IBAN length
+  if (IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) {
+    return false;
+  }
+
+  // ISO 7064 mod 97-10 check digits
+  return ibanCheck(iban);
+}
+
+// Cut an IBAN match to its country's length; the grouped pattern can take in a
+// following word of four capitals. Returns null when the groups do not line up.
+function trimIban(match) {
+  const length = IBAN_LENGTHS[match.slice(0, 2)];
+  if (!length) {
+    return null;
+  }
+
+  let count = 0;
+  for (let i = 0; i < match.length; i++) {
+    if (match[i] !== ' ') {
+      count += 1;
+    }
+    if (count === length) {
+      return i + 1 === match.length || match[i + 1] === ' ' ? match.slice(0, i + 1) : null;
+    }
+  }
+  return null;
+}
+
+function isValidRoutingNumber(match) {
+  const digits = match.replace(/\D/g, '');
+
+  if (digits.length !== 9) {
+    return false;
+  }
+
+  // The first two digits are the Federal Reserve routing symbol: 00-12 for banks,
+  // 21-32 for thrifts, 61-72 for electronic transactions, 80 for traveller's cheques
+  const prefix = parseInt(digits.slice(0, 2), 10);
+  if (!(prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix === 80)) {
+    return false;
+  }
+
+  // Weighted (3, 7, 1) checksum
+  return abaCheck(digits);
+}
+
+function isValidUkBankAccount(match) {
+  const digits = match.replace(/\D/g, '');
+
+  // 6-digit sort code followed by an 8-digit account number
+  if (digits.length !== 14) {
+    return false;
+  }
+
+  // Neither part can be all zeros
+  return digits.slice(0, 6) !== '000000' && digits.slice(6) !== '00000000';
+}
+
 function isValidCreditCard(match) {
   // Remove any non-digit characters
   const digits = match.replace(/\D/g, '');
@@ -474,6 +1233,48 @@ function isValidCreditCard(match) {
   return (checksum % 10 === 0) && validPrefix;
 }
 
+function isValidPersonName(match) {
+  return isPersonName(match);
+}
+
+function isValidZipCode(match) {
+  // No ZIP code starts with 000
+  return !match.startsWith('000');
+}
+
+const MONTH_NUMBERS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Read a written date as { year, month, day } candidates; numeric dates with the day
+// and month both 12 or less are ambiguous and give both readings
+function readDate(match) {
+  const monthName = match.match(/[A-Za-z]{3,}/g);
+  const numbers = (match.match(/\d+/g) || []).map(Number);
+  const month = monthName && monthName.map(word => MONTH_NUMBERS[word.slice(0, 3).toLowerCase()]).find(Boolean);
+  if (month) {
+    return [{ year: numbers[1], month, day: numbers[0] }];
+  }
+  if (String(numbers[0]).length === 4) {
+    return [{ year: numbers[0], month: numbers[1], day: numbers[2] }];
+  }
+  return [
+    { year: numbers[2], month: numbers[1], day: numbers[0] },
+    { year: numbers[2], month: numbers[0], day: numbers[1] }
+  ];
+}
+
+function isValidDateOfBirth(match) {
+  // A real calendar date between 1900 and today
+  const today = new Date();
+  return readDate(match).some(({ year, month, day }) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return year >= 1900 &&
+      date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+      date <= today;
+  });
+}
+
 function isValidSsn(match) {
   // Remove any non-digit characters
   const digits = match.replace(/\D/g, '');
@@ -570,6 +1371,133 @@ function validateNhsNumber(match) {
   return checkDigit === parseInt(digits[9]);
 }
 
+function isValidDni(match) {
+  const value = match.replace(/[-\s]/g, '');
+  const parts = value.match(/^([XYZ]?)(\d{7,8})([A-Z])$/);
+  if (!parts || parts[1].length + parts[2].length !== 8) {
+    return false;
+  }
+
+  // NIE prefixes X, Y and Z count as 0, 1 and 2
+  const number = (parts[1] ? 'XYZ'.indexOf(parts[1]) : '') + parts[2];
+  return dniLetter(number) === parts[3];
+}
+
+function isValidNir(match) {
+  const value = match.replace(/[\s.]/g, '');
+  if (!/^[12]\d{4}(?:\d{2}|2[AB])\d{8}$/.test(value)) {
+    return false;
+  }
+
+  // Months 01-12, or 20 and above for people registered without a known birth month
+  const month = parseInt(value.slice(3, 5), 10);
+  if (month === 0 || (month > 12 && month < 20)) {
+    return false;
+  }
+
+  // The last two digits are 97 minus the first 13 modulo 97
+  return nirKey(value) === value.slice(13);
+}
+
+function isValidCodiceFiscale(match) {
+  if (!/^[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/.test(match)) {
+    return false;
+  }
+
+  // Day of birth 01-31, plus 40 for women (letters stand for digits in duplicates)
+  const day = parseInt(match.slice(9, 11).replace(/[LMNPQRSTUV]/g, c => 'LMNPQRSTUV'.indexOf(c)), 10);
+  if (!((day >= 1 && day <= 31) || (day >= 41 && day <= 71))) {
+    return false;
+  }
+
+  // The 16th character is a check letter
+  return codiceFiscaleCheckCharacter(match) === match[15];
+}
+
+function isValidBsn(match) {
+  const digits = match.replace(/\D/g, '');
+
+  if (digits.length !== 9 || /^0+$/.test(digits)) {
+    return false;
+  }
+
+  // BSNs pass the 11-test
+  return elevenTest(digits);
+}
+
+function isValidGermanTaxId(match) {
+  const digits = match.replace(/\D/g, '');
+
+  if (digits.length !== 11 || digits[0] === '0') {
+    return false;
+  }
+
+  // In the first ten digits exactly one digit appears two or three times, the others once
+  const counts = {};
+  for (const digit of digits.slice(0, 10)) {
+    counts[digit] = (counts[digit] || 0) + 1;
+  }
+  const repeated = Object.values(counts).filter(count => count > 1);
+  if (repeated.length !== 1 || repeated[0] > 3) {
+    return false;
+  }
+
+  // ISO 7064 MOD 11,10 check digit
+  return mod11_10CheckDigit(digits.slice(0, 10)) === digits[10];
+}
+
+// National part of EU VAT numbers per country prefix (EL is Greece, XI Northern Ireland)
+const VAT_FORMATS = {
+  "AT": /^U\d{8}$/, "BE": /^[01]\d{9}$/, "BG": /^\d{9,10}$/, "CY": /^\d{8}[A-Z]$/,
+  "CZ": /^\d{8,10}$/, "DE": /^[1-9]\d{8}$/, "DK": /^\d{8}$/, "EE": /^\d{9}$/, "EL": /^\d{9}$/,
+  "ES": /^[A-Z0-9]\d{7}[A-Z0-9]$/, "FI": /^\d{8}$/, "FR": /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  "HR": /^\d{11}$/, "HU": /^\d{8}$/, "IE": /^\d{7}[A-W][A-I]?$|^\d[A-Z]\d{5}[A-W]$/,
+  "IT": /^\d{11}$/, "LT": /^\d{9}$|^\d{12}$/, "LU": /^\d{8}$/, "LV": /^\d{11}$/, "MT": /^\d{8}$/,
+  "NL": /^\d{9}B\d{2}$/, "PL": /^\d{10}$/, "PT": /^\d{9}$/, "RO": /^[1-9]\d{1,9}$/,
+  "SE": /^\d{10}01$/, "SI": /^[1-9]\d{7}$/, "SK": /^[1-9]\d{9}$/, "XI": /^\d{9}$|^\d{12}$/
+};
+
+// Weighted sum of digits, used by several VAT check digits
+function weightedSum(digits, weights) {
+  return weights.reduce((sum, weight, i) => sum + weight * parseInt(digits[i]), 0);
+}
+
+// Check digit rules for the VAT numbers that have a published one
+const VAT_CHECKS = {
+  "BE": number => 97 - (parseInt(number.slice(0, 8), 10) % 97) === parseInt(number.slice(8), 10),
+  "DE": number => mod11_10CheckDigit(number.slice(0, 8)) === number[8],
+  "DK": number => weightedSum(number, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0,
+  "FI": number => {
+    const check = (11 - (weightedSum(number, [7, 9, 10, 5, 8, 4, 2]) % 11)) % 11;
+    return check !== 10 && check === parseInt(number[7]);
+  },
+  "FR": number => {
+    // Numeric keys are derived from the SIREN; letter keys (newer numbers) are not checked
+    if (!/^\d{2}/.test(number)) {
+      return true;
+    }
+    return (12 + 3 * (parseInt(number.slice(2), 10) % 97)) % 97 === parseInt(number.slice(0, 2), 10);
+  },
+  "IT": number => luhnCheck(number),
+  "PL": number => (weightedSum(number, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11) === parseInt(number[9]),
+  "PT": number => {
+    const check = 11 - (weightedSum(number, [9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+    return (check > 9 ? 0 : check) === parseInt(number[8]);
+  }
+};
+
+function isValidVatNumber(match) {
+  const value = match.replace(/[\s-]/g, '');
+  const country = value.slice(0, 2);
+  const number = value.slice(2);
+
+  if (!VAT_FORMATS[country] || !VAT_FORMATS[country].test(number)) {
+    return false;
+  }
+
+  return VAT_CHECKS[country] ? VAT_CHECKS[country](number) : true;
+}
+
 function validateAadhaar(text) {
   // Remove any non-digits
   const digits = text.replace(/\D/g, '');
@@ -579,9 +1507,13 @@ function validateAadhaar(text) {
     return false;
   }
 
-  // Additional checks could be added here for Aadhaar Verhoeff algorithm
-  // But for simplicity, we'll just verify the length
-  return true;
+  // Aadhaar numbers never start with 0 or 1
+  if (digits[0] === '0' || digits[0] === '1') {
+    return false;
+  }
+
+  // The last digit is a Verhoeff check digit
+  return verhoeffCheck(digits);
 }
 
 function validatePan(text) {
@@ -624,15 +1556,61 @@ function validateCreditCard(text) {
   return (checkSum % 10) === 0;
 }
 
-function regexPatternDetection(text) {
+// Validators referenced by name from CONFIDENCE_RULES
+const VALIDATORS = {
+  isValidSecret,
+  isValidIpAddress,
+  isValidMacAddress,
+  isValidCryptoWallet,
+  isValidZipCode,
+  isValidPersonName,
+  isValidDateOfBirth,
+  isValidEmail,
+  isValidPan,
+  isValidGstin,
+  isValidVoterId,
+  isValidDrivingLicence,
+  isValidVehicleRegistration,
+  isValidUpiId,
+  isValidIfsc,
+  isValidSwift,
+  isValidIban,
+  isValidRoutingNumber,
+  isValidUkBankAccount,
+  isValidSsn,
+  isValidDni,
+  isValidNir,
+  isValidCodiceFiscale,
+  isValidBsn,
+  isValidGermanTaxId,
+  isValidVatNumber,
+  isValidPhoneNumber,
+  validateCreditCard,
+  validateNhsNumber,
+  validateAadhaar
+};
+
+// Detect PII with the regex patterns. Each match is scored (see CONFIDENCE_RULES) and
+// reported when it reaches its category threshold; `options.thresholds` overrides the
+// threshold per category, e.g. { ssn: 0.8 }. `options.defaultRegion` is the region for
+// phone numbers written without a country code (PHONE_DEFAULT_REGION by default).
+function regexPatternDetection(text, options = {}) {
+  const thresholds = options.thresholds || {};
+  const validatorOptions = { defaultRegion: options.defaultRegion };
   const sensitiveInfo = {};
-  const alreadyMatched = new Set(); // Track all matched strings to avoid duplicates
+  const spans = [];
+  // Character ranges already claimed by a higher priority category (or an earlier pattern)
+  const claimed = [];
+  const isClaimed = (start, end) => claimed.some(([from, to]) => start < to && end > from);
 
   // Process categories in a specific order to prioritize more specific patterns
   const categoryOrder = [
-    "emails", "pan", "ifsc_codes", "swift_codes", "passport_numbers",
-    "credit_cards", "ssn", "gps_coordinates", "phone_numbers", "nhs_numbers", "aadhaar",
-    "account_numbers"
+    "secrets", "crypto_wallets", "emails", "ip_addresses", "mac_addresses", "upi_ids", "gstin", "pan", "ifsc_codes", "swift_codes", "iban_numbers",
+    "vat_numbers", "codice_fiscale", "dni_numbers", "driving_licences", "vehicle_registrations",
+    "voter_ids", "passport_numbers", "credit_cards", "uk_bank_accounts", "nir_numbers",
+    "routing_numbers", "german_tax_ids", "bsn_numbers", "ssn", "gps_coordinates",
+    "postal_addresses", "dates_of_birth", "phone_numbers", "nhs_numbers", "aadhaar", "pin_codes",
+    "zip_codes", "account_numbers", "person_names"
   ];
 
   // First pass: process according to priority order
@@ -642,14 +1620,43 @@ function regexPatternDetection(text) {
 
     for (const pattern of patternList) {
       // Find all matches for this pattern
-      const regex = new RegExp(pattern, 'g');
+      const regex = new RegExp(pattern, pattern instanceof RegExp ? `${pattern.flags}g` : 'g');
       let match;
 
       while ((match = regex.exec(text)) !== null) {
-        const matchedText = match[0];
+        let matchedText = match[0];
+        let start = match.index;
+        let end = start + matchedText.length;
+
+        // Grouped patterns can run into the text that follows; keep the valid part
+        // (the longest phone number, the IBAN length of the country) and scan the rest again
+        if (category === "phone_numbers" || category === "iban_numbers") {
+          const value = category === "phone_numbers" ?
+            longestPhoneNumber(matchedText.replace(/\D+$/, ''), validatorOptions) :
+            trimIban(matchedText);
+          if (!value) {
+            continue;
+          }
+          matchedText = value;
+          end = start + value.length;
+          regex.lastIndex = end;
+        }
+
+        // Cut a run of capitalized words down to the name in it ("Yesterday Rahul
+        // Sharma" -> "Rahul Sharma") and scan the words after it again
+        if (category === "person_names") {
+          const name = findPersonName(matchedText);
+          if (!name) {
+            continue;
+          }
+          matchedText = matchedText.slice(name.start, name.end);
+          start += name.start;
+          end = start + matchedText.length;
+          regex.lastIndex = end;
+        }
 
-        // Skip if already matched in a higher priority category
-        if (alreadyMatched.has(matchedText)) {
+        // Skip if these characters already matched in a higher priority category
+        if (isClaimed(start, end)) {
           continue;
         }
 
@@ -658,13 +1665,9 @@ function regexPatternDetection(text) {
         if (category === "phone_numbers") {
           // Extract the actual digits for validation
           const digits = matchedText.replace(/\D/g, '');
-          // For Indian numbers, make sure it starts with 6-9 if it's 10 digits
-          if (digits.length === 10 && !['6', '7', '8', '9'].includes(digits[0])) {
-            continue;
-          }
-          // If it's not an Indian number with country code
-          if (digits.length > 10 && digits.startsWith("91") &&
-            !['6', '7', '8', '9'].includes(digits[2])) {
+
+          // Skip 12-digit numbers that validate as Aadhaar
+          if (digits.length === 12 && !matchedText.startsWith('+') && validateAadhaar(digits)) {
             continue;
           }
 
@@ -672,27 +1675,12 @@ function regexPatternDetection(text) {
           if (digits.length === 10 && validateNhsNumber(matchedText)) {
             continue;
           }
-        } else if (category === "aadhaar" && !validateAadhaar(matchedText)) {
-          continue;
-        } else if (category === "pan" && !validatePan(matchedText)) {
-          continue;
-        } else if (category === "credit_cards" && !validateCreditCard(matchedText)) {
-          continue;
-        }
-
-
-        if (digits.length === 10 && !['6', '7', '8', '9'].includes(digits[0]) && validateNhsNumber(matchedText)) {
-          continue;
         } else if (category === "nhs_numbers") {
           const digits = matchedText.replace(/\D/g, '');
 
           if (digits.length === 10 && ['6', '7', '8', '9'].includes(digits[0])) {
             continue;
           }
-
-          if (!validateNhsNumber(matchedText)) {
-            continue;
-          }
         }
 
         // Additional check to prevent phone numbers being identified as account numbers
@@ -717,9 +1705,25 @@ function regexPatternDetection(text) {
           }
         }
 
+        // Score the match; low-confidence matches leave the characters unclaimed
+        // so a later category can still report them
+        const confidence = scoreMatch(category, matchedText, text, start, end, validatorOptions);
+        const threshold = thresholds[category] !== undefined ?
+          thresholds[category] :
+          CONFIDENCE_RULES[category].threshold;
+        if (confidence === 0 || confidence < threshold) {
+          continue;
+        }
+
         // Add to matches and mark as matched
         matches.push(matchedText);
-        alreadyMatched.add(matchedText);
+        claimed.push([start, end]);
+        const span = createSpan('sensitive', start, end, text, category, 'regex_pii', String(pattern));
+        span.confidence = confidence;
+        if (category === "ip_addresses") {
+          span.scope = classifyIpAddress(matchedText);
+        }
+        spans.push(span);
       }
     }
 
@@ -736,7 +1740,8 @@ function regexPatternDetection(text) {
     "profanity": false,    // Placeholder
     "flagged_words": [],   // Placeholder
     "flagged_sentences": [],
-    "sensitive_info": sensitiveInfo
+    "sensitive_info": sensitiveInfo,
+    "spans": sortSpans(spans)
   };
 }
 
@@ -892,115 +1897,92 @@ async function detectWithVertexAiGemini(text) {
   }
 }
 
-async function detectContent(text, projectId = null, location = null, modelName = null) {
-  console.log("Analyzing content...");
-
-  // Always use regex detection for sensitive information as baseline
-  const regexResults = regexPatternDetection(text);
-
-  // Set up or get Vertex AI instance
-  await setupVertexAi(projectId, location, modelName);
-
-  // Check if it's a Gemini model
-  let vertexAiResults = null;
-
-  if (modelName && modelName.toLowerCase().includes('gemini')) {
-    // Use Gemini-specific code path
-    vertexAiResults = await detectWithVertexAiGemini(text);
-  } else {
-    // Use standard Vertex AI approach
-    vertexAiResults = await detectWithVertexAi(text);
-  }
-
-  // If Vertex AI detection failed completely, use regex results
-  if (!vertexAiResults) {
-    console.log("Using regex-based detection results (Vertex AI unavailable or failed)");
-    return regexResults;
-  }
+// =================================================================
+// Detector Registry - built-in detectors
+// =================================================================
 
-  // If Vertex AI succeeded, merge with regex findings for better sensitive info detection
-  console.log("Merging Vertex AI and regex detection results");
+// Categories the LLM detectors are asked to report (see contentDetectionTemplate)
+const LLM_CATEGORIES = ["hate_speech", "profanity", ...Object.keys(PATTERNS), "other_sensitive"];
 
-  // Ensure sensitive_info exists in Vertex AI results
-  if (!vertexAiResults.sensitive_info) {
-    vertexAiResults.sensitive_info = {};
-  }
+function isGeminiModel(context) {
+  const model = context.modelName || process.env.VERTEX_AI_MODEL || "";
+  return model.toLowerCase().includes('gemini');
+}
 
-  // Ensure all categories exist in Vertex AI results
-  for (const category in regexResults.sensitive_info) {
-    if (!vertexAiResults.sensitive_info[category]) {
-      vertexAiResults.sensitive_info[category] = [];
-    }
-  }
+const detectorRegistry = new DetectorRegistry();
+
+detectorRegistry.register({
+  name: "regex_pii",
+  categories: Object.keys(PATTERNS),
+  detect: async (text, context) => regexPatternDetection(text, {
+    thresholds: context.thresholds,
+    defaultRegion: context.phoneRegion
+  })
+});
+
+detectorRegistry.register({
+  name: "lexicon",
+  categories: ["hate_speech", "profanity"],
+  detect: async (text) => detectHateSpeechProfanity(text)
+});
+
+detectorRegistry.register({
+  name: "vertex_ai",
+  categories: LLM_CATEGORIES,
+  supports: (context) => !isGeminiModel(context),
+  detect: async (text, context) => {
+    await setupVertexAi(context.projectId, context.location, context.modelName);
+    return detectWithVertexAi(text);
+  }
+});
+
+detectorRegistry.register({
+  name: "gemini",
+  categories: LLM_CATEGORIES,
+  supports: (context) => isGeminiModel(context),
+  detect: async (text, context) => {
+    await setupVertexAi(context.projectId, context.location, context.modelName);
+    return detectWithVertexAiGemini(text);
+  }
+});
+
+// Run the configured detectors over the text and merge their findings.
+// `options.detectors` (array or comma separated string) selects and orders the detectors,
+// `options.disabled` switches individual detectors off. Defaults come from TEXT_DETECTORS.
+// `options.thresholds` overrides the per-category confidence thresholds and
+// `options.phoneRegion` the default region for phone numbers (e.g. "US").
+async function detectContent(text, projectId = null, location = null, modelName = null, options = {}) {
+  console.log("Analyzing content...");
 
-  // Merge sensitive info findings from regex
-  for (const [category, items] of Object.entries(regexResults.sensitive_info)) {
-    if (items.length > 0) {
-      // Add regex findings to Vertex AI results
-      if (!Array.isArray(vertexAiResults.sensitive_info[category])) {
-        vertexAiResults.sensitive_info[category] = [];
-      }
-      vertexAiResults.sensitive_info[category].push(...items);
-      // Remove duplicates
-      vertexAiResults.sensitive_info[category] = [...new Set(vertexAiResults.sensitive_info[category])];
-    }
-  }
+  const results = await detectorRegistry.run(text, options, {
+    projectId,
+    location,
+    modelName,
+    thresholds: options.thresholds,
+    phoneRegion: options.phoneRegion
+  });
 
-  // Ensure other required fields exist in the results
-  for (const field of ["hate_speech", "profanity", "flagged_words", "flagged_sentences"]) {
-    if (vertexAiResults[field] === undefined) {
-      vertexAiResults[field] = regexResults[field];
+  // Every known category is present in the result, even when nothing was found
+  for (const category of Object.keys(PATTERNS)) {
+    if (!results.sensitive_info[category]) {
+      results.sensitive_info[category] = [];
     }
   }
 
-  return vertexAiResults;
+  console.log(`Detectors run: ${results.detectors.map(d => `${d.name} (${d.status})`).join(', ') || 'none'}`);
+  return results;
 }
 
 // =================================================================
 // 2. Encryption/Decryption Module with Key Management
 // =================================================================
 
-function generateKey() {
-  // Generate a random 32 byte key (for AES-256)
-  return crypto.randomBytes(32);
-}
-
-async function saveEncryptionKey(key, filename = "encryption_key.key") {
-  try {
-    await fs.writeFile(filename, key);
-    console.log(`Encryption key saved to ${filename}`);
-    return true;
-  } catch (e) {
-    console.log(`Error saving encryption key: ${e.message}`);
-    return false;
-  }
-}
-
-async function loadEncryptionKey(filename = "encryption_key.key") {
-  try {
-    const key = await fs.readFile(filename);
-    console.log(`Encryption key loaded from ${filename}`);
-    return key;
-  } catch (e) {
-    if (e.code === 'ENOENT') {
-      console.log("No existing key found. Generating new key.");
-    } else {
-      console.log(`Error loading encryption key: ${e.message}`);
-    }
-    return null;
-  }
-}
-
-// Initialize encryption with persistent key
-let KEY = null;
-let cipherAlgorithm = 'aes-256-cbc';
+// Keys live in key_store.js so every module encrypts with the same keyring. Ciphertexts
+// are AES-256-GCM and carry their key ID; records written with the old AES-CBC key file
+// remain decryptable.
 
-async function initializeCrypto() {
-  KEY = await loadEncryptionKey();
-  if (!KEY) {
-    KEY = generateKey();
-    await saveEncryptionKey(KEY);
-  }
+async function initializeCrypto(filename = "encryption_key.key", keyringFile = null) {
+  await keyStore.load({ legacyKeyFile: filename, keyringFile: keyringFile || undefined });
 }
 
 function encryptData(data) {
@@ -1009,13 +1991,7 @@ function encryptData(data) {
   }
 
   try {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(cipherAlgorithm, KEY, iv);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-
-    // Return IV + encrypted data combined (IV is needed for decryption)
-    return iv.toString('hex') + ':' + encrypted;
+    return keyStore.encrypt(data);
   } catch (e) {
     console.log(`Encryption error: ${e.message}`);
     return `[ENCRYPTION_ERROR: ${e.message}]`;
@@ -1024,170 +2000,262 @@ function encryptData(data) {
 
 function decryptData(encryptedData) {
   try {
-    // Split into IV and encrypted text
-    const parts = encryptedData.split(':');
-    if (parts.length !== 2) {
-      throw new Error('Invalid encrypted data format');
-    }
-
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-
-    const decipher = crypto.createDecipheriv(cipherAlgorithm, KEY, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-
-    return decrypted;
+    return keyStore.decrypt(encryptedData);
   } catch (e) {
     console.log(`Decryption error: ${e.message}`);
     return `[DECRYPTION_ERROR: ${e.message}]`;
   }
 }
 
+// Keyed hash of a value for encryption logs: lets a recovered value be checked
+// without the log holding the value itself
+function hashData(data) {
+  return keyStore.hash(typeof data === 'string' ? data : String(data));
+}
+
 // =================================================================
 // 3. Text Processing Module
 // =================================================================
 
-async function processText(text, detectionResults, action = "keep") {
-  if (action === "keep") {
-    return { processedText: text, encryptionLog: [] }; // No changes needed
+// Escalation policy for hate speech found while removing content.
+// mode "threshold" removes the entire text when the share of hate speech sentences
+// reaches `sentenceRatio` or their number reaches `sentenceCount`; "never" and "always"
+// do what they say. "prompt" lets the caller decide through `confirm(decision)`; only
+// the command line tool passes one, so "prompt" cannot come from the environment and
+// without `confirm` it falls back to "threshold".
+const ESCALATION_MODES = ["threshold", "never", "always"];
+
+function escalationModeFromEnv(value) {
+  if (!value || ESCALATION_MODES.includes(value)) {
+    return value || "threshold";
   }
+  console.log(`Warning: HATE_SPEECH_ESCALATION="${value}" is not one of ${ESCALATION_MODES.join(", ")}; using "threshold"`);
+  return "threshold";
+}
 
-  if (!detectionResults) {
-    console.log("Warning: No detection results available. Returning original text.");
-    return { processedText: text, encryptionLog: [] };
+const ESCALATION_POLICY = {
+  mode: escalationModeFromEnv(process.env.HATE_SPEECH_ESCALATION),
+  sentenceRatio: parseFloat(process.env.HATE_SPEECH_REMOVAL_RATIO || "0.5"),
+  sentenceCount: parseInt(process.env.HATE_SPEECH_REMOVAL_COUNT || "3", 10)
+};
+
+// Number of hate speech sentences that are not framed: a sentence whose matches are all
+// negated, quoted, reported or condemned has a span with `context`. Results without
+// spans count as one sentence.
+function unframedHateSentences(detectionResults) {
+  const spans = (detectionResults.spans || []).filter(span => span.category === 'hate_speech');
+  if (spans.length === 0) {
+    return detectionResults.hate_speech ? 1 : 0;
   }
+  return new Set(spans.filter(span => !span.context).map(span => span.start)).size;
+}
 
-  let processedText = text;
-  const encryptionLog = [];
+// Whether all hate speech found is framed, so it is masked rather than removed
+function isFramedHateSpeech(detectionResults) {
+  return Boolean(detectionResults.hate_speech) && unframedHateSentences(detectionResults) === 0;
+}
 
-  // Process sensitive information first, starting with the longest items
-  const sensitiveInfo = detectionResults.sensitive_info || {};
+async function decideEscalation(text, detectionResults, overrides = {}) {
+  const { confirm, ...policy } = { ...ESCALATION_POLICY, ...overrides };
 
-  // Collect all sensitive items with their categories
-  const allSensitiveItems = [];
-  for (const [category, items] of Object.entries(sensitiveInfo)) {
-    if (!items || !items.length) {
-      continue;
-    }
+  const totalSentences = Math.max(1, splitSentences(text).length);
+  const hateSentences = unframedHateSentences(detectionResults);
+  const ratio = Math.round((hateSentences / totalSentences) * 100) / 100;
 
-    for (const item of items) {
-      if (item && typeof item === 'string' && item.trim()) {
-        allSensitiveItems.push([category, item]);
-      }
-    }
+  const decision = {
+    "policy": policy.mode,
+    "remove_entire_text": false,
+    "reason": null,
+    "hate_sentences": hateSentences,
+    "total_sentences": totalSentences,
+    "hate_sentence_ratio": ratio
+  };
+
+  let mode = policy.mode;
+  if (mode === "prompt" && typeof confirm !== "function") {
+    mode = "threshold";
+    decision.policy = mode;
+  }
+
+  if (mode === "never") {
+    decision.reason = "Policy never removes the entire text";
+  } else if (mode === "always") {
+    decision.remove_entire_text = true;
+    decision.reason = "Policy always removes the entire text";
+  } else if (mode === "prompt") {
+    decision.remove_entire_text = Boolean(await confirm(decision));
+    decision.reason = "Decided interactively";
+  } else if (ratio >= policy.sentenceRatio) {
+    decision.remove_entire_text = true;
+    decision.reason = `Hate speech in ${Math.round(ratio * 100)}% of sentences`;
+  } else if (hateSentences >= policy.sentenceCount) {
+    decision.remove_entire_text = true;
+    decision.reason = `Hate speech in ${hateSentences} sentences`;
+  } else {
+    decision.reason = "Below the whole-text removal threshold";
   }
 
-  // Sort by length (descending) to avoid substring replacement issues
-  allSensitiveItems.sort((a, b) => b[1].length - a[1].length);
+  return decision;
+}
 
-  // Process each sensitive item
-  for (const [category, item] of allSensitiveItems) {
-    if (action === "remove") {
-      processedText = processedText.replace(item, `[REDACTED ${category.toUpperCase()}]`);
-    } else if (action === "encrypt") {
-      const encrypted = encryptData(item);
-      const replacement = `[ENCRYPTED ${category.toUpperCase()}]`;
-      processedText = processedText.replace(item, replacement);
-      encryptionLog.push({
-        'type': 'sensitive',
-        'category': category,
-        'original': item,
-        'encrypted': encrypted,
-        'position': processedText.indexOf(replacement)
-      });
+// Decide how a span is replaced for the "remove", "encrypt" and "synthesize" actions.
+// Sensitive values follow their category's masking strategy (masking.js); without one
+// they are redacted, encrypted or replaced with fake values according to the action.
+// With the "encrypt" action or a reversible strategy ("encrypt", "pseudonym") the
+// original is also stored encrypted. Flagged words and sentences are removed unless
+// encrypting; of a framed hate speech sentence only the matched phrase is masked.
+function replacementFor(span, action, masking = {}, context = {}) {
+  const encrypt = action === "encrypt";
+
+  if (span.type === 'flagged_word' && context.severityActions) {
+    const tierAction = context.severityActions[span.severity || DEFAULT_SEVERITY];
+    if (tierAction === 'keep') {
+      return { replacement: span.text, encrypt: false };
     }
+    return { replacement: applyTierAction(span.text, tierAction), encrypt };
+  }
+  if (span.type === 'flagged_word') {
+    return { replacement: encrypt ? "[ENCRYPTED WORD]" : '*'.repeat(span.end - span.start), encrypt };
+  }
+  if (span.type === 'flagged_sentence' && span.context) {
+    return { replacement: '*'.repeat(span.end - span.start), encrypt };
+  }
+  if (span.type === 'flagged_sentence') {
+    return {
+      replacement: encrypt ? "[ENCRYPTED SENTENCE]" : "[SENTENCE REMOVED DUE TO POLICY VIOLATION]",
+      encrypt
+    };
   }
 
-  // Handle flagged words
-  const flaggedWords = detectionResults.flagged_words || [];
-  if (flaggedWords.length > 0 && action !== "keep") {
-    // Sort by length (descending) to avoid substring replacement issues
-    flaggedWords.sort((a, b) => b.length - a.length);
+  const fallback = { remove: 'redact', mask: 'redact', encrypt: 'encrypt', synthesize: 'synthesize' }[action];
+  const rule = resolveStrategy(span.category, masking, fallback);
+  return {
+    replacement: maskValue(span.text, span.category, rule, context),
+    encrypt: encrypt || REVERSIBLE_STRATEGIES.includes(rule.strategy)
+  };
+}
 
-    for (const word of flaggedWords) {
-      if (!word || typeof word !== 'string' || !word.trim()) {
-        continue;
-      }
+// `options.escalation` overrides the hate speech escalation policy (see ESCALATION_POLICY)
+// and `options.masking` the masking strategy per category (see masking.js).
+// `options.pseudonyms` continues a PseudonymSession so placeholders stay stable across a
+// batch of texts; otherwise a new session is started when the pseudonym strategy is used
+// and returned as `pseudonyms`. `options.seed` seeds the "synthesize" action (see
+// synthetic.js) so its fake values are reproducible. `options.severityActions` (see
+// severity.js) keeps, softens or masks each flagged word by its severity tier; the
+// "mask" action only does that, and redacts anything else.
+// When anything is encrypted, `envelope` is a signed redaction envelope (envelope.js)
+// from which any backend holding the key can restore the text.
+async function processText(text, detectionResults, action = "keep", options = {}) {
+  if (action === "keep") {
+    return { processedText: text, encryptionLog: [], escalation: null, envelope: null, pseudonyms: options.pseudonyms || null }; // No changes needed
+  }
 
-      if (action === "remove") {
-        processedText = processedText.replace(word, '*'.repeat(word.length));
-      } else if (action === "encrypt") {
-        const encrypted = encryptData(word);
-        const replacement = `[ENCRYPTED WORD]`;
-        processedText = processedText.replace(word, replacement);
-        encryptionLog.push({
-          'type': 'flagged_word',
-          'category': 'profanity',
-          'original': word,
-          'encrypted': encrypted,
-          'position': processedText.indexOf(replacement)
-        });
-      }
-    }
+  if (!detectionResults) {
+    console.log("Warning: No detection results available. Returning original text.");
+    return { processedText: text, encryptionLog: [], escalation: null, envelope: null, pseudonyms: options.pseudonyms || null };
   }
 
-  // Handle flagged sentences
-  const flaggedSentences = detectionResults.flagged_sentences || [];
-  if (flaggedSentences.length > 0 && action !== "keep") {
-    // Sort by length (descending) to avoid substring replacement issues
-    flaggedSentences.sort((a, b) => b.length - a.length);
+  if (!["remove", "mask", "encrypt", "synthesize"].includes(action)) {
+    console.log(`Warning: Unknown action "${action}". Returning original text.`);
+    return { processedText: text, encryptionLog: [], escalation: null, envelope: null, pseudonyms: options.pseudonyms || null };
+  }
 
-    for (const sentence of flaggedSentences) {
-      if (!sentence || typeof sentence !== 'string' || !sentence.trim()) {
-        continue;
-      }
+  // Work from character offsets so repeated values are all handled and overlapping
+  // findings are replaced once. Results without spans are located by their strings.
+  // A framed hate speech sentence keeps its wording: only its matched phrases are replaced
+  const found = Array.isArray(detectionResults.spans) ?
+    detectionResults.spans :
+    spansFromResult(text, detectionResults, 'unknown');
+  const spans = resolveOverlaps(found.flatMap(span => span.context ?
+    span.context.matches.map(({ start, end }) => ({ ...span, start, end, text: text.slice(start, end) })) :
+    [span]), text);
 
-      if (action === "remove") {
-        processedText = processedText.replace(
-          sentence,
-          "[SENTENCE REMOVED DUE TO POLICY VIOLATION]"
-        );
-      } else if (action === "encrypt") {
-        const encrypted = encryptData(sentence);
-        const replacement = `[ENCRYPTED SENTENCE]`;
-        processedText = processedText.replace(sentence, replacement);
-        encryptionLog.push({
-          'type': 'flagged_sentence',
-          'category': detectionResults.hate_speech ? 'hate_speech' : 'profanity',
-          'original': sentence,
-          'encrypted': encrypted,
-          'position': processedText.indexOf(replacement)
-        });
-      }
-    }
-  }
+  const masking = { ...MASKING_STRATEGIES, ...(options.masking || {}) };
+  const usesPseudonyms = Object.values(masking).some(setting => parseStrategy(setting).strategy === 'pseudonym');
+  const pseudonyms = options.pseudonyms || (usesPseudonyms ? new PseudonymSession() : null);
+  let processedText = "";
+  let cursor = 0;
+  const encryptionLog = [];
 
-  // If hate speech is detected and removal is requested, offer complete removal
-  if (detectionResults.hate_speech && action === "remove") {
-    // In Node.js we need readline to get user input
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+  for (const span of spans) {
+    processedText += text.slice(cursor, span.start);
+    const { replacement, encrypt } = replacementFor(span, action, masking, {
+      pseudonyms,
+      seed: options.seed,
+      severityActions: options.severityActions
     });
 
-    const answer = await new Promise(resolve => {
-      rl.question("\nHate speech detected. Remove entire text? (y/n): ", resolve);
-    });
-    rl.close();
+    if (encrypt) {
+      encryptionLog.push({
+        'type': span.type,
+        'category': span.category,
+        'encrypted': encryptData(span.text),
+        'hash': hashData(span.text),
+        'start': span.start,
+        'end': span.end,
+        'position': processedText.length,
+        'replacement': replacement
+      });
+    }
+
+    processedText += replacement;
+    cursor = span.end;
+  }
+  processedText += text.slice(cursor);
+
+  // If hate speech that is not framed is detected and removal is requested, the
+  // escalation policy decides whether the entire text goes
+  let escalation = null;
+  if (unframedHateSentences(detectionResults) > 0 && (action === "remove" || action === "synthesize")) {
+    escalation = await decideEscalation(text, detectionResults, options.escalation);
 
-    if (answer.toLowerCase() === 'y') {
+    if (escalation.remove_entire_text) {
       processedText = "[ENTIRE TEXT REMOVED DUE TO HATE SPEECH POLICY VIOLATION]";
       // Clear encryption log since entire text is removed
       encryptionLog.length = 0;
     }
   }
 
-  return { processedText, encryptionLog };
+  const envelope = encryptionLog.length > 0 ? createEnvelope(processedText, encryptionLog) : null;
+
+  return { processedText, encryptionLog, escalation, envelope, pseudonyms };
 }
 
 // =================================================================
 // 4. Logging and Tracking Module
 // =================================================================
 
-async function saveProcessingLog(originalText, processedText, detectionResults, encryptionLog, action) {
-  const timestamp = moment().format("YYYY-MM-DD_HH-mm-ss");
-  const logFilename = `processing_log_${timestamp}.json`;
+// Version 2 encryption data files hold no plaintext (see migrateEncryptionLog); files
+// written since are redaction envelopes
+const ENCRYPTION_LOG_VERSION = 2;
+
+// Number of sentences per language, e.g. { "hi": 2, "en": 1 }
+function countLanguages(languages) {
+  const counts = {};
+  for (const tag of languages) {
+    counts[tag.language] = (counts[tag.language] || 0) + 1;
+  }
+  return counts;
+}
+
+// Number of framed hate speech matches per frame, e.g. { "negation": 1, "quotation": 0, ... }
+function countFrames(contexts) {
+  const counts = {};
+  for (const frame of CONTEXT_FRAMES) {
+    counts[frame] = contexts.filter(context => context.frames.includes(frame)).length;
+  }
+  return counts;
+}
+
+// Write a processing summary and, when anything was encrypted, an encryption data file
+// holding the redaction envelope (`options.envelope`, or one built from the encryption
+// log). Neither file contains the original text: encrypted values are stored as
+// ciphertext with their offsets and keyed hashes.
+// `options.logFolder` selects the directory (current directory by default).
+async function saveProcessingLog(originalText, processedText, detectionResults, encryptionLog, action, options = {}) {
+  const logFolder = options.logFolder || ".";
+  const timestamp = moment().format("YYYY-MM-DD_HH-mm-ss-SSS");
+  const logFilename = path.join(logFolder, `processing_log_${timestamp}.json`);
 
   // Create log entry
   const logEntry = {
@@ -1197,12 +2265,16 @@ async function saveProcessingLog(originalText, processedText, detectionResults,
     "detection_summary": {
       "hate_speech": detectionResults.hate_speech || false,
       "profanity": detectionResults.profanity || false,
+      "severity": detectionResults.severity || null,
       "flagged_words_count": (detectionResults.flagged_words || []).length,
       "flagged_sentences_count": (detectionResults.flagged_sentences || []).length,
       "sensitive_info_detected": Object.values(detectionResults.sensitive_info || {})
-        .some(arr => arr && arr.length > 0)
+        .some(arr => arr && arr.length > 0),
+      "language": detectionResults.language || "und",
+      "sentence_languages": countLanguages(detectionResults.languages || []),
+      "hate_speech_context": countFrames(detectionResults.hate_speech_context || [])
     },
-    "changes_made": originalText.length !== processedText.length,
+    "changes_made": originalText !== processedText,
     "encryption_records": encryptionLog.length
   };
 
@@ -1211,8 +2283,11 @@ async function saveProcessingLog(originalText, processedText, detectionResults,
     const encryptionFilename = `encryption_data_${timestamp}.json`;
     try {
       await fs.writeFile(
-        encryptionFilename,
-        JSON.stringify(encryptionLog, null, 2),
+        path.join(logFolder, encryptionFilename),
+        JSON.stringify(
+          options.envelope || createEnvelope(processedText, encryptionLog, { created: logEntry.timestamp }),
+          null, 2
+        ),
         'utf8'
       );
       logEntry.encryption_file = encryptionFilename;
@@ -1240,6 +2315,16 @@ async function saveProcessingLog(originalText, processedText, detectionResults,
 // 5. Recovery Module
 // =================================================================
 
+// Decrypt one encryption log entry, checking the result against its hash when present.
+// Throws instead of returning an error string so a failed entry stays redacted.
+function decryptEntry(entry) {
+  const original = keyStore.decrypt(entry.encrypted);
+  if (entry.hash && !keyStore.verifyHash(original, entry.hash)) {
+    throw new Error('Decrypted value does not match its hash');
+  }
+  return original;
+}
+
 function recoverEncryptedText(processedText, encryptionLog) {
   if (!encryptionLog || !encryptionLog.length) {
     console.log("No encryption log provided. Cannot recover text.");
@@ -1261,24 +2346,38 @@ function recoverEncryptedText(processedText, encryptionLog) {
         continue;
       }
 
-      let replacement = null;
+      let replacement = entry.replacement || null;
 
-      if (entry.type === 'sensitive') {
-        replacement = `[ENCRYPTED ${entry.category.toUpperCase()}]`;
-      } else if (entry.type === 'flagged_word') {
-        replacement = "[ENCRYPTED WORD]";
-      } else if (entry.type === 'flagged_sentence') {
-        replacement = "[ENCRYPTED SENTENCE]";
+      // Older logs do not store the replacement text
+      if (!replacement) {
+        if (entry.type === 'sensitive') {
+          replacement = `[ENCRYPTED ${entry.category.toUpperCase()}]`;
+        } else if (entry.type === 'flagged_word') {
+          replacement = "[ENCRYPTED WORD]";
+        } else if (entry.type === 'flagged_sentence') {
+          replacement = "[ENCRYPTED SENTENCE]";
+        }
       }
 
-      if (replacement && recoveredText.includes(replacement)) {
-        try {
-          const original = decryptData(encryptedData);
+      if (!replacement) {
+        continue;
+      }
+
+      try {
+        if (entry.replacement && typeof entry.position === 'number' &&
+          recoveredText.startsWith(replacement, entry.position)) {
+          // Exact offset recorded by processText
+          const original = decryptEntry(entry);
+          recoveredText = recoveredText.slice(0, entry.position) +
+            original +
+            recoveredText.slice(entry.position + replacement.length);
+        } else if (recoveredText.includes(replacement)) {
+          const original = decryptEntry(entry);
           recoveredText = recoveredText.replace(replacement, original);
-        } catch (e) {
-          console.log(`Error decrypting entry: ${e.message}`);
-          continue;
         }
+      } catch (e) {
+        console.log(`Error decrypting entry: ${e.message}`);
+        continue;
       }
     }
   } catch (e) {
@@ -1298,11 +2397,144 @@ async function loadEncryptionLog(filename) {
   }
 }
 
+// Encryption data files come in four shapes: a redaction envelope (saveProcessingLog),
+// an array of entries (early command line tool), { processed_text, entries } (older
+// saveProcessingLog) and { original, encrypted } (whole-text encryption in the old
+// app.js server). Normalize them to { processed_text, entries, encrypted }.
+function normalizeEncryptionLog(data) {
+  if (isEnvelope(data)) {
+    return {
+      processed_text: typeof data.processed_text === 'string' ? data.processed_text : null,
+      entries: Array.isArray(data.spans) ? data.spans : [],
+      encrypted: null
+    };
+  }
+  if (Array.isArray(data)) {
+    return { processed_text: null, entries: data, encrypted: null };
+  }
+  if (!data || typeof data !== 'object') {
+    return { processed_text: null, entries: [], encrypted: null };
+  }
+  return {
+    processed_text: typeof data.processed_text === 'string' ? data.processed_text : null,
+    entries: Array.isArray(data.entries) ? data.entries : [],
+    encrypted: typeof data.encrypted === 'string' ? data.encrypted : null
+  };
+}
+
+// Restore the original text from an encryption data file or redaction envelope alone.
+// Returns null when the file does not carry enough information to do so; throws when an
+// envelope fails its integrity check.
+function recoverFromEncryptionLog(data) {
+  if (isEnvelope(data)) {
+    return openEnvelope(data);
+  }
+
+  const log = normalizeEncryptionLog(data);
+
+  if (log.processed_text !== null) {
+    return recoverEncryptedText(log.processed_text, log.entries);
+  }
+  if (log.encrypted) {
+    return decryptData(log.encrypted);
+  }
+  return null;
+}
+
+// Rewrite an encryption data file's contents without plaintext. Entries that still
+// carry an `original` value lose it and gain a hash; if their ciphertext is missing or
+// cannot be decrypted the original is encrypted again so it stays recoverable.
+// Returns { data, changed, entries } where `entries` counts the entries rewritten.
+function migrateEncryptionLog(data) {
+  const stripEntry = entry => {
+    if (!entry || typeof entry !== 'object' || !('original' in entry)) {
+      return { entry, changed: false };
+    }
+
+    const { original, ...rest } = entry;
+    const value = String(original);
+    let decryptable = false;
+    try {
+      decryptable = typeof rest.encrypted === 'string' && keyStore.decrypt(rest.encrypted) === value;
+    } catch (e) {
+      decryptable = false;
+    }
+
+    return {
+      entry: {
+        ...rest,
+        encrypted: decryptable ? rest.encrypted : encryptData(value),
+        hash: hashData(value)
+      },
+      changed: true
+    };
+  };
+
+  const stripEntries = entries => {
+    let count = 0;
+    const migrated = entries.map(entry => {
+      const result = stripEntry(entry);
+      count += result.changed ? 1 : 0;
+      return result.entry;
+    });
+    return { migrated, count };
+  };
+
+  // Early command line logs are a bare array of entries
+  if (Array.isArray(data)) {
+    const { migrated, count } = stripEntries(data);
+    return {
+      data: { version: ENCRYPTION_LOG_VERSION, processed_text: null, entries: migrated },
+      changed: true,
+      entries: count
+    };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { data, changed: false, entries: 0 };
+  }
+
+  // Whole-text records of the old app.js server keep the same shape, minus the original
+  if (!Array.isArray(data.entries)) {
+    const { entry, changed } = stripEntry(data);
+    return {
+      data: changed ? { ...entry, version: ENCRYPTION_LOG_VERSION } : data,
+      changed,
+      entries: changed ? 1 : 0
+    };
+  }
+
+  const { migrated, count } = stripEntries(data.entries);
+  return {
+    data: { ...data, version: ENCRYPTION_LOG_VERSION, entries: migrated },
+    changed: count > 0 || data.version !== ENCRYPTION_LOG_VERSION,
+    entries: count
+  };
+}
+
 // =================================================================
 // 6. Main Function and Command Line Interface
 // =================================================================
 
+// Ask on the terminal whether hate speech found by the escalation policy removes the
+// entire text
+async function confirmOnTerminal() {
+  const readline = require('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const answer = await new Promise(resolve => {
+    rl.question("\nHate speech detected. Remove entire text? (y/n): ", resolve);
+  });
+  rl.close();
+
+  return answer.toLowerCase() === 'y';
+}
+
 async function main() {
+  const readline = require('readline');
   console.log("\n===== Text Content Processing System =====\n");
 
   // Initialize crypto
@@ -1418,9 +2650,10 @@ async function main() {
   console.log("2: Remove sensitive/problematic content");
   console.log("3: Encrypt sensitive/problematic content");
   console.log("4: Recover previously encrypted text");
+  console.log("5: Replace sensitive information with synthetic data");
 
   const actionChoice = await new Promise(resolve => {
-    rl.question("Choose action (1/2/3/4): ", resolve);
+    rl.question("Choose action (1/2/3/4/5): ", resolve);
   });
 
   if (actionChoice === "4") {
@@ -1429,15 +2662,15 @@ async function main() {
       rl.question("Enter encryption data filename: ", resolve);
     });
 
-    const encryptionLog = await loadEncryptionLog(encryptionFile);
+    const encryptionData = await loadEncryptionLog(encryptionFile);
 
-    if (!encryptionLog) {
+    if (!encryptionData) {
       console.log("Could not load encryption data. Exiting.");
       rl.close();
       return;
     }
 
-    const recoveredText = recoverEncryptedText(text, encryptionLog);
+    const recoveredText = recoverEncryptedText(text, normalizeEncryptionLog(encryptionData).entries);
     const timestamp = moment().format("YYYY-MM-DD_HH-mm-ss");
     const recoveryFilename = `recovered_text_${timestamp}.txt`;
 
@@ -1458,10 +2691,15 @@ async function main() {
     action = "remove";
   } else if (actionChoice === "3") {
     action = "encrypt";
+  } else if (actionChoice === "5") {
+    action = "synthesize";
   }
 
   // Process text
-  const { processedText, encryptionLog } = await processText(text, detectionResults, action);
+  // The command line tool asks before removing the entire text
+  const { processedText, encryptionLog } = await processText(text, detectionResults, action, {
+    escalation: process.stdin.isTTY && process.stdout.isTTY ? { mode: "prompt", confirm: confirmOnTerminal } : {}
+  });
 
   // Save results
   console.log("\n===== Saving Results =====");
@@ -1512,11 +2750,26 @@ async function main() {
 // Export functions for other modules to use
 module.exports = {
   detectContent,
+  detectorRegistry,
   processText,
+  initializeCrypto,
   encryptData,
   decryptData,
   recoverEncryptedText,
-  regexPatternDetection
+  recoverFromEncryptionLog,
+  saveProcessingLog,
+  loadEncryptionLog,
+  normalizeEncryptionLog,
+  migrateEncryptionLog,
+  hashData,
+  regexPatternDetection,
+  detectHateSpeechProfanity,
+  CONFIDENCE_RULES,
+  ESCALATION_POLICY,
+  decideEscalation,
+  isFramedHateSpeech,
+  splitSentences,
+  classifyIpAddress
 };
 
 // Run the main function if this script is executed directly
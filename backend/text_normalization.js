@@ -0,0 +1,123 @@
+/**
+ * Text Normalization Module for Socio.io
+ * Undoes common tricks for getting words past the lexicon: invisible characters inside
+ * words ("f\u200Buck"), fullwidth and styled letters ("ｆｕｃｋ", "𝐟𝐮𝐜𝐤"), letters from
+ * other scripts that look Latin ("fսck" with Armenian "ս") and combining marks stacked
+ * on Latin letters ("f̶u̶c̶k̶").
+ *
+ * The normalized text keeps a map from each of its characters back to the original
+ * text, so a match found in the normalized text can be redacted in the original.
+ */
+
+// Zero-width characters, joiners, soft hyphens, bidi controls and variation selectors
+const INVISIBLE_CHARACTERS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/u;
+
+// Lowercase letters from other scripts (and IPA / small capitals) that look like a
+// Latin letter
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+  'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h',
+  'ԛ': 'q', 'ԝ': 'w', 'ь': 'b', 'ү': 'y',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+  'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // Armenian
+  'ա': 'w', 'հ': 'h', 'ո': 'n', 'ս': 'u', 'օ': 'o', 'ց': 'g', 'զ': 'q', 'ք': 'p', 'լ': 'l',
+  // IPA and small capitals
+  'ɑ': 'a', 'ɡ': 'g', 'ɩ': 'i', 'ɪ': 'i', 'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ɢ': 'g',
+  'ʜ': 'h', 'ᴊ': 'j', 'ᴋ': 'k', 'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p', 'ʀ': 'r', 'ꜱ': 's',
+  'ᴛ': 't', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z'
+};
+
+/**
+ * Normalize text for matching: strip invisible characters, apply NFKC, lowercase, fold
+ * look-alike letters in words that read as Latin, and drop accents and other combining
+ * marks on Latin letters.
+ *
+ * @param {string} text - Original text
+ * @returns {object} { text, starts, ends } - the normalized text, and for each of its
+ *                   UTF-16 units the start and end offset of the original character
+ */
+function normalizeText(text) {
+  let units = [];
+
+  // NFKC and lowercase one code point at a time, so every output unit knows its source
+  let index = 0;
+  for (const char of text) {
+    if (!INVISIBLE_CHARACTERS.test(char)) {
+      let value = char.normalize('NFKC').toLowerCase();
+      // Accented Latin letters ("ü") are split into the letter and its marks
+      const decomposed = value.normalize('NFD');
+      if (/^[a-z]\p{M}+$/u.test(decomposed)) {
+        value = decomposed;
+      }
+      for (let i = 0; i < value.length; i++) {
+        units.push({ value: value[i], start: index, end: index + char.length });
+      }
+    }
+    index += char.length;
+  }
+
+  // Fold look-alikes only in words made entirely of Latin letters and look-alikes, so
+  // Russian or Greek text is left alone. Folding keeps the length.
+  const joined = units.map(unit => unit.value).join('');
+  const wordPattern = /[\p{L}\p{M}]+/gu;
+  let word;
+  while ((word = wordPattern.exec(joined)) !== null) {
+    const letters = Array.from(word[0]).filter(char => /\p{L}/u.test(char));
+    const foreign = letters.filter(char => !/[a-z]/.test(char));
+    if (foreign.length === 0 || !foreign.every(char => CONFUSABLES[char])) {
+      continue;
+    }
+    for (let i = word.index; i < word.index + word[0].length; i++) {
+      if (CONFUSABLES[units[i].value]) {
+        units[i].value = CONFUSABLES[units[i].value];
+      }
+    }
+  }
+
+  // Drop combining marks after Latin letters, extending the letter over them; marks on
+  // other scripts (Indic vowel signs) are part of the word
+  const kept = [];
+  let base = null;
+  for (const unit of units) {
+    if (!/\p{M}/u.test(unit.value)) {
+      base = unit;
+    } else if (base && /[a-z]/.test(base.value)) {
+      base.end = Math.max(base.end, unit.end);
+      continue;
+    }
+    kept.push(unit);
+  }
+  units = kept;
+
+  return {
+    text: units.map(unit => unit.value).join(''),
+    starts: units.map(unit => unit.start),
+    ends: units.map(unit => unit.end)
+  };
+}
+
+/**
+ * Map a range of the normalized text back to the original text.
+ *
+ * @param {object} normalized - Result of normalizeText()
+ * @param {number} start - Start offset in the normalized text
+ * @param {number} end - End offset in the normalized text (exclusive)
+ * @returns {Array<number>} [start, end] in the original text
+ */
+function originalRange(normalized, start, end) {
+  if (end <= start) {
+    const offset = start < normalized.starts.length ?
+      normalized.starts[start] :
+      (normalized.ends[normalized.ends.length - 1] || 0);
+    return [offset, offset];
+  }
+  return [normalized.starts[start], normalized.ends[end - 1]];
+}
+
+module.exports = {
+  normalizeText,
+  originalRange
+};
@@ -148,6 +148,49 @@ function debounce(func, wait) {
         timeout = setTimeout(() => func.apply(context, args), wait);
     };
 }
+
+// ================ SECRET DETECTION ================
+
+// Used when the backend cannot be reached, so leaked keys and passwords are still
+// hidden. The patterns come from secret-patterns.js, generated from the backend's
+// secret_patterns.js, so both hide the same values.
+
+/**
+ * Find credentials in text: API keys, tokens, private keys, connection strings
+ * with passwords and "password: ..." values
+ * @param {string} text - The text to scan
+ * @returns {Array<{start: number, end: number}>} - Character ranges of the secrets
+ */
+function detectSecrets(text) {
+    if (typeof SocioSecretPatterns === 'undefined') {
+        return [];
+    }
+    return SocioSecretPatterns.findSecrets(text).map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Replace every detected secret in a text
+ * @param {string} text - The text to redact
+ * @returns {string|null} - Redacted text, or null when no secret was found
+ */
+function redactSecrets(text) {
+    const ranges = detectSecrets(text);
+    if (ranges.length === 0) {
+        return null;
+    }
+
+    let redacted = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+        if (start < position) {
+            continue;
+        }
+        redacted += text.slice(position, start) + '[Secret removed]';
+        position = end;
+    }
+    return redacted + text.slice(position);
+}
+
 // ================ BACKEND INTEGRATION ================
 
 /**
@@ -1519,6 +1562,16 @@ function analyzeTextContent(text, url) {
                     processed_text: text
                 };
 
+                // Leaked credentials are hidden even without the backend
+                const withoutSecrets = redactSecrets(text);
+                if (withoutSecrets !== null) {
+                    clientSideAnalysis.action = "remove";
+                    clientSideAnalysis.reasons = ["Secrets detected (client-side fallback)"];
+                    clientSideAnalysis.processed_text = withoutSecrets;
+                    resolve(clientSideAnalysis);
+                    return;
+                }
+
                 // Basic profanity detection as fallback
                 const profanityWords = ["fuck", "shit", "ass", "bitch"];
                 const containsProfanity = profanityWords.some(word =>
@@ -1611,6 +1664,29 @@ async function processTextElement(element) {
                     updateStats('text');
                     return { status: "filtered", action: data.action, reasons: data.reasons };
                 }
+
+                if (data.action === "encrypt" && data.processed_text) {
+                    // Show the redacted text; the envelope lets any backend restore it later
+                    element.textContent = data.processed_text;
+                    element.classList.add('socioio-encrypted');
+
+                    addModerationIndicator(element, "encrypt", data.reasons);
+                    updateStats('text');
+                    if (data.envelope) {
+                        saveRecoveryBundle(data.envelope, data.processed_text);
+                    }
+                    return { status: "filtered", action: data.action, reasons: data.reasons };
+                }
+
+                if (data.action === "mask" && data.processed_text) {
+                    // Only the flagged words were softened or masked; the rest of the text stays
+                    element.textContent = data.processed_text;
+                    element.classList.add('socioio-filtered-text');
+
+                    addModerationIndicator(element, "mask", data.reasons);
+                    updateStats('text');
+                    return { status: "filtered", action: data.action, reasons: data.reasons };
+                }
             }
 
             return { status: "kept" };
@@ -1619,6 +1695,17 @@ async function processTextElement(element) {
             debug('Error in fetch request:', error);
 
             // Fallback to client-side detection if backend fails
+            const withoutSecrets = redactSecrets(text);
+            if (withoutSecrets !== null) {
+                element.textContent = withoutSecrets;
+                element.classList.add('socioio-filtered-text');
+
+                const reasons = ["Secrets detected"];
+                addModerationIndicator(element, "remove", reasons);
+                updateStats('text');
+                return { status: "filtered", action: "remove", reasons: reasons };
+            }
+
             const lowerText = text.toLowerCase();
 
             // Check for profanity and hate speech with exact word matches
@@ -2524,6 +2611,37 @@ function saveFilterHistory(type, content, reasons) {
     }
 }
 
+// Save a redaction envelope so the popup can ask the backend to restore the text.
+// The envelope holds only the redacted text and ciphertext, never the original.
+function saveRecoveryBundle(envelope, processedText) {
+    try {
+        const item = {
+            timestamp: new Date().toISOString(),
+            preview: processedText.substring(0, 100) + (processedText.length > 100 ? '...' : ''),
+            url: window.location.href,
+            envelope: envelope
+        };
+
+        chrome.storage.local.get(['encryptedContent'], function (result) {
+            let items = result.encryptedContent || [];
+            items.unshift(item);
+
+            // Limit stored bundles to 50 items
+            if (items.length > 50) {
+                items = items.slice(0, 50);
+            }
+
+            chrome.storage.local.set({ 'encryptedContent': items }, function () {
+                if (chrome.runtime.lastError) {
+                    debug('Error saving recovery bundle:', chrome.runtime.lastError);
+                }
+            });
+        });
+    } catch (e) {
+        debug('Error saving recovery bundle:', e);
+    }
+}
+
 // Reset processed sets periodically
 function resetProcessedSets() {
     // Clear the sets every 5 minutes to allow re-checking
@@ -2,6 +2,8 @@
 document.addEventListener('DOMContentLoaded', function() {
     console.log("Popup loaded");
     
+    const BACKEND_URL = 'https://socio-backend-zxxd.onrender.com';
+    
     // Helper function to safely get elements
     function safeGetElement(id) {
         const element = document.getElementById(id);
@@ -361,10 +363,28 @@ document.addEventListener('DOMContentLoaded', function() {
                 
                 // Show the encrypted content
                 safeRemoveClass(recoveryResult, 'hidden');
-                if (recoveredText) {
-                    recoveredText.textContent = selectedItem.content;
+                
+                // Items with an envelope are restored by the backend; the envelope is
+                // self-contained, so it does not matter which server redacted the text
+                if (selectedItem.envelope) {
+                    recoveredText.textContent = 'Recovering...';
+                    recoverEnvelope(selectedItem.envelope)
+                        .then(text => {
+                            recoveredText.textContent = text;
+                            safeRemoveClass(startRecoveryBtn, 'hidden');
+                            safeRemoveClass(copyRecoveryBtn, 'hidden');
+                        })
+                        .catch(error => {
+                            console.error('Error recovering content:', error);
+                            recoveredText.textContent = 'Could not recover content: ' + error.message;
+                            safeAddClass(startRecoveryBtn, 'hidden');
+                            safeAddClass(copyRecoveryBtn, 'hidden');
+                        });
+                    return;
                 }
                 
+                recoveredText.textContent = selectedItem.content;
+                
                 // Show the recovery buttons
                 safeRemoveClass(startRecoveryBtn, 'hidden');
                 safeRemoveClass(copyRecoveryBtn, 'hidden');
@@ -372,6 +392,21 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Ask the backend to restore the original text of a redaction envelope
+    function recoverEnvelope(envelope) {
+        return fetch(BACKEND_URL + '/recover_content', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ envelope: envelope })
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `Server responded with status: ${response.status}`);
+                }
+                return data.recovered_text;
+            }));
+    }
+    
     // Function to set up button event listeners
     function setupButtonListeners() {
         // Reset stats button
@@ -419,7 +454,8 @@ document.addEventListener('DOMContentLoaded', function() {
                     chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
                         chrome.tabs.sendMessage(tabs[0].id, {
                             action: 'applyRecoveredContent',
-                            content: selectedItem.content,
+                            content: selectedItem.envelope ? recoveredText.textContent : selectedItem.content,
+                            recoveredText: selectedItem.envelope ? recoveredText.textContent : selectedItem.content,
                             selector: selectedItem.selector
                         }, function(response) {
                             if (chrome.runtime.lastError) {
@@ -464,7 +500,7 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
         
-        fetch('https://socio-backend-zxxd.onrender.com/ping')
+        fetch(BACKEND_URL + '/ping')
             .then(response => response.json())
             .then(data => {
                 console.log("Backend is running:", data);